@@ -11,6 +11,7 @@ const {
   GoogleCredentialsValidator,
   validateFromEnv
 } = require('../lib/google-credentials-validator');
+const { fingerprintKey } = require('../lib/redaction');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -173,8 +174,7 @@ app.get('/api/credentials/diagnose', async (req, res) => {
       diagnostics: result.diagnostics,
       credentials: result.valid ? {
         email: result.credentials.client_email,
-        keyLength: result.credentials.private_key.length,
-        keyPreview: result.credentials.private_key.substring(0, 50) + '...'
+        key: fingerprintKey(result.credentials.private_key)
       } : null,
       report: report,
       environment: {
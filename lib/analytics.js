@@ -0,0 +1,481 @@
+/**
+ * Dashboard analytics computation
+ *
+ * Produces the analytics payload rendered by dashboard.html (totals, daily
+ * units/revenue, model rankings by grade, inventory type mix, top customers
+ * and re-engagement candidates) from IMEI rows and customer order rows.
+ * Shared by `/api/analytics` and anything else that needs the same numbers.
+ *
+ * Input rows use the `/api/sheets/dashboard-data` shape
+ * ({ model, capacity, total, date, invtype, ... }); customer rows use the
+ * RAW CUSTOMER DATA shape ({ COMPANY_NAME, MODEL, GB, INVTYPE, UNITS, INVNO,
+ * QBO_TRANSACTION_DATE, AVG_PRICE }).
+ *
+ * Rows whose IMEI is a bad scan or a spreadsheet float (see imei-validation)
+ * are left out of every figure and counted in `excludedRows`.
+ *
+ * @module analytics
+ */
+
+const { DashboardQueryError, dateKey } = require('./dashboard-query');
+const { isCountedImei } = require('./imei-validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RANGE_PRESETS = ['all', 'today', 'yesterday', '7days', '30days', '90days', 'ytd', 'custom'];
+const GRADE_VIEWS = ['all', 'A GRADE', 'AB GRADE', 'RAW', 'MIXED', 'FALLOUT', 'LOCKED'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize inventory type / grade names into the dashboard's grade buckets
+ * @param {string} grade - Raw invtype value
+ * @returns {string}
+ */
+function normalizeGrade(grade) {
+  if (!grade) return 'Unknown';
+  const g = grade.toUpperCase().trim();
+  // Check AB GRADE first before A GRADE to avoid incorrect matching
+  if (g.includes('AB GRADE')) return 'AB GRADE';
+  if (g.includes('A GRADE')) return 'A GRADE';
+  if (g.includes('RAW')) return 'RAW';
+  if (g.includes('FALLOUT')) return 'FALLOUT';
+  if (g.includes('MIXED')) return 'MIXED';
+  if (g.includes('LOCKED')) return 'LOCKED';
+  return grade;
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD day key
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDayKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Parse a date-ish value (sheet timestamp, ISO date or US date) into a local Date
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseLocalDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (iso) {
+    return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+/**
+ * Resolve a dashboard date range preset into inclusive day bounds
+ * @param {string} preset - One of DATE_RANGE_PRESETS
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - Custom range start (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Custom range end (YYYY-MM-DD)
+ * @param {Date} [options.now] - Reference time
+ * @returns {{from: string|null, to: string|null}}
+ * @throws {DashboardQueryError} On unknown presets or malformed custom dates
+ */
+function resolveDateRange(preset = 'all', options = {}) {
+  if (!DATE_RANGE_PRESETS.includes(preset)) {
+    throw new DashboardQueryError(`Unknown dateRange "${preset}"`, 'INVALID_DATE_RANGE', { allowed: DATE_RANGE_PRESETS });
+  }
+
+  const now = options.now || new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysAgo = (days) => formatDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days));
+
+  switch (preset) {
+    case 'today':
+      return { from: formatDayKey(today), to: formatDayKey(today) };
+    case 'yesterday':
+      return { from: daysAgo(1), to: daysAgo(1) };
+    case '7days':
+      return { from: daysAgo(7), to: null };
+    case '30days':
+      return { from: daysAgo(30), to: null };
+    case '90days':
+      return { from: daysAgo(90), to: null };
+    case 'ytd':
+      return { from: `${today.getFullYear()}-01-01`, to: null };
+    case 'custom': {
+      ['startDate', 'endDate'].forEach(name => {
+        if (options[name] && !DATE_PATTERN.test(options[name])) {
+          throw new DashboardQueryError(`${name} must be a date in YYYY-MM-DD format`, 'INVALID_DATE', { received: options[name] });
+        }
+      });
+      return { from: options.startDate || null, to: options.endDate || null };
+    }
+    default:
+      return { from: null, to: null };
+  }
+}
+
+/**
+ * Parse `/api/analytics` query parameters
+ * @param {Object} params - `req.query`
+ * @param {Date} [now] - Reference time for relative presets
+ * @returns {{filters: Object, range: {from: string|null, to: string|null}, gradeView: string}}
+ */
+function parseAnalyticsQuery(params = {}, now = new Date()) {
+  const filters = {
+    dateRange: params.dateRange || 'all',
+    model: params.model || 'all',
+    invtype: params.invtype || 'all',
+    startDate: params.startDate || '',
+    endDate: params.endDate || ''
+  };
+
+  const gradeView = params.gradeView || 'all';
+  if (!GRADE_VIEWS.includes(gradeView)) {
+    throw new DashboardQueryError(`Unknown gradeView "${gradeView}"`, 'INVALID_GRADE_VIEW', { allowed: GRADE_VIEWS });
+  }
+
+  const range = resolveDateRange(filters.dateRange, { startDate: filters.startDate, endDate: filters.endDate, now });
+  return { filters, range, gradeView };
+}
+
+/**
+ * Whether a day key falls inside inclusive bounds
+ * @private
+ */
+function inRange(day, range) {
+  if (!range.from && !range.to) return true;
+  if (!day) return false;
+  if (range.from && day < range.from) return false;
+  if (range.to && day > range.to) return false;
+  return true;
+}
+
+/**
+ * Apply dashboard filters to IMEI rows
+ * @param {Array<Object>} rows - Dashboard-data rows
+ * @param {Object} filters - { model, invtype }
+ * @param {{from: string|null, to: string|null}} range - Day bounds
+ * @returns {Array<Object>}
+ */
+function filterRows(rows, filters, range) {
+  return rows.filter(row => {
+    if (filters.model && filters.model !== 'all' && row.model !== filters.model) return false;
+    if (filters.invtype && filters.invtype !== 'all' && row.invtype !== filters.invtype) return false;
+    return inRange(dateKey(row.date), range);
+  });
+}
+
+/**
+ * Week key in YYYY-WNN format, matching the dashboard's weekly trend buckets
+ * @private
+ */
+function getWeekKey(date) {
+  const year = date.getFullYear();
+  const startOfYear = new Date(year, 0, 1);
+  const days = Math.floor((date - startOfYear) / DAY_MS);
+  const week = Math.ceil((days + startOfYear.getDay() + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Sorted unique order days for a customer
+ * @private
+ */
+function uniqueOrderDays(stats) {
+  return Array.from(new Set(stats.orderDates.map(formatDayKey)))
+    .sort()
+    .map(day => parseLocalDate(day));
+}
+
+/**
+ * Build per-customer stats from customer order rows
+ * @private
+ */
+function buildCustomerStats(customerRows) {
+  const customerStats = {};
+
+  customerRows.forEach(row => {
+    if (!row.COMPANY_NAME) return;
+
+    const name = row.COMPANY_NAME;
+    if (!customerStats[name]) {
+      customerStats[name] = {
+        count: 0,
+        revenue: 0,
+        models: new Set(),
+        orderDates: [],
+        orders: [],
+        modelBreakdown: {},
+        weeklyData: {},
+        dayOfWeekData: {}
+      };
+    }
+
+    const stats = customerStats[name];
+    const units = parseInt(row.UNITS) || 0;
+    const avgPrice = parseFloat(row.AVG_PRICE) || 0;
+    const orderRevenue = units * avgPrice;
+    const modelKey = `${row.MODEL} ${row.GB}`;
+
+    stats.count += units;
+    stats.revenue += orderRevenue;
+    stats.models.add(modelKey);
+
+    const date = parseLocalDate(row.QBO_TRANSACTION_DATE);
+    if (!date) return;
+
+    stats.orderDates.push(date);
+    stats.orders.push({
+      date: formatDayKey(date),
+      model: modelKey,
+      price: avgPrice,
+      invno: row.INVNO,
+      grade: normalizeGrade(row.INVTYPE),
+      units
+    });
+
+    if (!stats.modelBreakdown[modelKey]) {
+      stats.modelBreakdown[modelKey] = { count: 0, revenue: 0 };
+    }
+    stats.modelBreakdown[modelKey].count += units;
+    stats.modelBreakdown[modelKey].revenue += orderRevenue;
+
+    const weekKey = getWeekKey(date);
+    if (!stats.weeklyData[weekKey]) {
+      stats.weeklyData[weekKey] = { units: 0, revenue: 0 };
+    }
+    stats.weeklyData[weekKey].units += units;
+    stats.weeklyData[weekKey].revenue += orderRevenue;
+
+    const dayOfWeek = date.getDay(); // 0=Sunday, 6=Saturday
+    stats.dayOfWeekData[dayOfWeek] = (stats.dayOfWeekData[dayOfWeek] || 0) + units;
+  });
+
+  return customerStats;
+}
+
+/**
+ * Revenue trend comparing the last 4 weeks with the 4 weeks before
+ * @private
+ */
+function revenueTrend(weeklyData) {
+  const sortedWeeks = Object.keys(weeklyData).sort();
+  if (sortedWeeks.length < 4) return 'stable';
+
+  const recentWeeks = sortedWeeks.slice(-4);
+  const previousWeeks = sortedWeeks.slice(-8, -4);
+  if (previousWeeks.length === 0) return 'stable';
+
+  const sum = (weeks) => weeks.reduce((total, week) => total + weeklyData[week].revenue, 0);
+  const previousRevenue = sum(previousWeeks);
+  if (previousRevenue === 0) return 'stable';
+
+  const change = ((sum(recentWeeks) - previousRevenue) / previousRevenue) * 100;
+  if (change > 10) return 'increasing';
+  if (change < -10) return 'decreasing';
+  return 'stable';
+}
+
+/**
+ * Ranked top customers by revenue
+ * @private
+ */
+function buildTopCustomers(customerStats, now) {
+  return Object.entries(customerStats)
+    .map(([name, stats]) => {
+      // Each unique invoice is one order
+      const uniqueOrderCount = new Set(stats.orders.map(order => order.invno)).size;
+      const uniqueDates = uniqueOrderDays(stats);
+
+      let avgDaysBetweenOrders = null;
+      let daysSinceLastOrder = null;
+
+      if (uniqueDates.length > 0) {
+        const lastOrderDate = uniqueDates[uniqueDates.length - 1];
+        daysSinceLastOrder = Math.floor((now - lastOrderDate) / DAY_MS);
+
+        if (uniqueDates.length > 1) {
+          const intervals = [];
+          for (let i = 1; i < uniqueDates.length; i++) {
+            intervals.push(Math.round((uniqueDates[i] - uniqueDates[i - 1]) / DAY_MS));
+          }
+          avgDaysBetweenOrders = intervals.reduce((sum, val) => sum + val, 0) / intervals.length;
+        }
+      }
+
+      const avgOrderSize = uniqueOrderCount > 0 ? stats.count / uniqueOrderCount : 0;
+      const avgOrderValue = uniqueOrderCount > 0 ? stats.revenue / uniqueOrderCount : 0;
+
+      return {
+        name,
+        count: stats.count,
+        revenue: stats.revenue,
+        modelCount: stats.models.size,
+        avgDaysBetweenOrders,
+        daysSinceLastOrder,
+        uniqueOrderDates: uniqueOrderCount, // Unique invoices, not unique dates
+        trend: revenueTrend(stats.weeklyData),
+        avgOrderSize: Math.round(avgOrderSize),
+        avgOrderValue: Math.round(avgOrderValue),
+        // Full stats for the customer profile view
+        fullStats: {
+          models: Array.from(stats.models).sort(),
+          orders: stats.orders,
+          modelBreakdown: stats.modelBreakdown,
+          weeklyData: stats.weeklyData,
+          dayOfWeekData: stats.dayOfWeekData
+        }
+      };
+    })
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, 25);
+}
+
+/**
+ * Customers worth re-engaging, ranked by revenue weighted by inactivity
+ * @private
+ */
+function buildLowPerformers(customerStats, now) {
+  return Object.entries(customerStats)
+    .filter(([, stats]) => stats.orderDates.length > 0)
+    .map(([name, stats]) => {
+      const uniqueDates = uniqueOrderDays(stats);
+      const lastOrderDate = uniqueDates[uniqueDates.length - 1];
+      const daysSinceLastOrder = Math.floor((now - lastOrderDate) / DAY_MS);
+
+      // High revenue + longer inactivity = higher priority
+      const revenueScore = stats.revenue / 1000;
+      const inactivityMultiplier = daysSinceLastOrder / 30;
+
+      return {
+        name,
+        count: stats.count,
+        revenue: stats.revenue,
+        daysSinceLastOrder,
+        lastOrderDate: formatDayKey(lastOrderDate),
+        modelCount: stats.models.size,
+        priorityScore: revenueScore * inactivityMultiplier
+      };
+    })
+    .filter(c => c.daysSinceLastOrder > 30) // Haven't ordered in 30+ days
+    .sort((a, b) => b.priorityScore - a.priorityScore)
+    .slice(0, 25);
+}
+
+/**
+ * Compute the dashboard analytics payload
+ * @param {Array<Object>} rows - Dashboard-data IMEI rows (unfiltered)
+ * @param {Array<Object>} customerRows - Customer order rows (unfiltered)
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - { dateRange, model, invtype, startDate, endDate }
+ * @param {string} [options.gradeView='all'] - Grade bucket for top models
+ * @param {Date} [options.now] - Reference time for relative presets
+ * @returns {Object} Analytics payload; `excludedRows` counts rows in the filters
+ *   left out for an invalid IMEI
+ */
+function computeAnalytics(rows, customerRows, options = {}) {
+  const now = options.now || new Date();
+  const filters = { dateRange: 'all', model: 'all', invtype: 'all', ...options.filters };
+  const gradeView = options.gradeView || 'all';
+  const range = resolveDateRange(filters.dateRange, { startDate: filters.startDate, endDate: filters.endDate, now });
+
+  const matchingRows = filterRows(rows, filters, range);
+  const filteredData = matchingRows.filter(row => isCountedImei(row.imei));
+  const excludedRows = matchingRows.length - filteredData.length;
+
+  const totalUnits = filteredData.length;
+  const totalRevenue = filteredData.reduce((sum, row) => sum + (parseFloat(row.total) || 0), 0);
+  const avgPrice = totalUnits > 0 ? totalRevenue / totalUnits : 0;
+
+  const unitsByDate = {};
+  const revenueByDate = {};
+  const modelStatsByGrade = {};
+  const invtypeStats = {};
+
+  filteredData.forEach(row => {
+    const date = dateKey(row.date) || 'Unknown';
+    const price = parseFloat(row.total) || 0;
+    const grade = normalizeGrade(row.invtype);
+    const modelKey = `${row.model} ${row.capacity}`;
+
+    unitsByDate[date] = (unitsByDate[date] || 0) + 1;
+    revenueByDate[date] = (revenueByDate[date] || 0) + price;
+
+    if (!modelStatsByGrade[grade]) modelStatsByGrade[grade] = {};
+    if (!modelStatsByGrade[grade][modelKey]) modelStatsByGrade[grade][modelKey] = { count: 0, revenue: 0 };
+    modelStatsByGrade[grade][modelKey].count++;
+    modelStatsByGrade[grade][modelKey].revenue += price;
+
+    if (!invtypeStats[grade]) invtypeStats[grade] = { count: 0, revenue: 0 };
+    invtypeStats[grade].count++;
+    invtypeStats[grade].revenue += price;
+  });
+
+  let topModels;
+  if (gradeView === 'all') {
+    // Aggregate all grades and keep the per-grade breakdown
+    const allModels = {};
+    Object.entries(modelStatsByGrade).forEach(([grade, gradeStats]) => {
+      Object.entries(gradeStats).forEach(([model, stats]) => {
+        if (!allModels[model]) {
+          allModels[model] = { count: 0, revenue: 0, gradeBreakdown: {} };
+        }
+        allModels[model].count += stats.count;
+        allModels[model].revenue += stats.revenue;
+        allModels[model].gradeBreakdown[grade] = stats.count;
+      });
+    });
+    topModels = Object.entries(allModels);
+  } else {
+    topModels = Object.entries(modelStatsByGrade[gradeView] || {});
+  }
+  topModels = topModels.sort((a, b) => b[1].count - a[1].count).slice(0, 15);
+
+  // Customer rows only honour the date range (they have no IMEI-level model/invtype)
+  const filteredCustomerData = customerRows.filter(row => {
+    if (!row.QBO_TRANSACTION_DATE) return true;
+    const date = parseLocalDate(row.QBO_TRANSACTION_DATE);
+    return !date || inRange(formatDayKey(date), range);
+  });
+  const customerStats = buildCustomerStats(filteredCustomerData);
+
+  return {
+    totalUnits,
+    totalRevenue,
+    avgPrice,
+    excludedRows,
+    unitsByDate,
+    revenueByDate,
+    topModels,
+    modelStatsByGrade,
+    invtypeStats,
+    topCustomers: buildTopCustomers(customerStats, now),
+    lowPerformers: buildLowPerformers(customerStats, now),
+    range,
+    filters,
+    gradeView,
+    facets: {
+      totalRows: rows.length,
+      models: [...new Set(rows.map(row => row.model))].sort(),
+      invtypes: [...new Set(rows.map(row => row.invtype))].sort()
+    }
+  };
+}
+
+module.exports = {
+  DATE_RANGE_PRESETS,
+  GRADE_VIEWS,
+  normalizeGrade,
+  formatDayKey,
+  parseLocalDate,
+  resolveDateRange,
+  parseAnalyticsQuery,
+  filterRows,
+  computeAnalytics
+};
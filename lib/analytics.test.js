@@ -0,0 +1,184 @@
+/**
+ * Test suite for dashboard analytics computation
+ */
+
+const {
+  normalizeGrade,
+  resolveDateRange,
+  parseAnalyticsQuery,
+  filterRows,
+  computeAnalytics
+} = require('./analytics');
+const { DashboardQueryError } = require('./dashboard-query');
+
+// Wednesday 2025-11-19, mid-afternoon local time
+const NOW = new Date(2025, 10, 19, 15, 0, 0);
+
+const ROWS = [
+  { imei: '353238100434009', model: '11 PRO', capacity: '256GB', total: '175', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' },
+  { imei: '353238100434017', model: '11 PRO', capacity: '256GB', total: '185', date: '2025-11-18 9:31:00', invoice: '20959', invtype: 'raw' },
+  { imei: '353238100434025', model: '13', capacity: '128GB', total: '300', date: '2025-11-19 10:15:00', invoice: '20997', invtype: 'A GRADE' },
+  { imei: '353238100434033', model: '13', capacity: '128GB', total: '250', date: '2025-11-10 8:00:00', invoice: '20900', invtype: 'AB GRADE' },
+  { imei: '353238100434041', model: '12', capacity: '64GB', total: 'n/a', date: '2024-12-31 8:00:00', invoice: '19000', invtype: 'mixed' }
+];
+
+const CUSTOMERS = [
+  { COMPANY_NAME: 'ACME', MODEL: '13', GB: '128GB', INVTYPE: 'A GRADE', UNITS: '10', INVNO: '20997', QBO_TRANSACTION_DATE: '2025-11-19', AVG_PRICE: '300' },
+  { COMPANY_NAME: 'ACME', MODEL: '11 PRO', GB: '256GB', INVTYPE: 'RAW', UNITS: '5', INVNO: '20959', QBO_TRANSACTION_DATE: '2025-11-12', AVG_PRICE: '180' },
+  { COMPANY_NAME: 'Globex', MODEL: '12', GB: '64GB', INVTYPE: 'MIXED', UNITS: '20', INVNO: '19000', QBO_TRANSACTION_DATE: '2025-08-01', AVG_PRICE: '100' },
+  { COMPANY_NAME: '', MODEL: '12', GB: '64GB', INVTYPE: 'MIXED', UNITS: '3', INVNO: '18000', QBO_TRANSACTION_DATE: '2025-08-01', AVG_PRICE: '100' }
+];
+
+describe('normalizeGrade', () => {
+  test('should map inventory types to grade buckets', () => {
+    expect(normalizeGrade('ab grade')).toBe('AB GRADE');
+    expect(normalizeGrade('A GRADE')).toBe('A GRADE');
+    expect(normalizeGrade('raw')).toBe('RAW');
+    expect(normalizeGrade('Fallout')).toBe('FALLOUT');
+    expect(normalizeGrade('')).toBe('Unknown');
+    expect(normalizeGrade('B2B')).toBe('B2B');
+  });
+});
+
+describe('resolveDateRange', () => {
+  test.each([
+    ['all', { from: null, to: null }],
+    ['today', { from: '2025-11-19', to: '2025-11-19' }],
+    ['yesterday', { from: '2025-11-18', to: '2025-11-18' }],
+    ['7days', { from: '2025-11-12', to: null }],
+    ['30days', { from: '2025-10-20', to: null }],
+    ['90days', { from: '2025-08-21', to: null }],
+    ['ytd', { from: '2025-01-01', to: null }]
+  ])('%s preset', (preset, expected) => {
+    expect(resolveDateRange(preset, { now: NOW })).toEqual(expected);
+  });
+
+  test('should pass custom bounds through', () => {
+    expect(resolveDateRange('custom', { startDate: '2025-11-01', endDate: '2025-11-18', now: NOW }))
+      .toEqual({ from: '2025-11-01', to: '2025-11-18' });
+  });
+
+  test('should reject unknown presets and malformed custom dates', () => {
+    expect(() => resolveDateRange('lastweek')).toThrow(DashboardQueryError);
+    expect(() => resolveDateRange('custom', { startDate: '11/01/2025' })).toThrow(DashboardQueryError);
+  });
+});
+
+describe('parseAnalyticsQuery', () => {
+  test('should default every filter to "all"', () => {
+    const parsed = parseAnalyticsQuery({}, NOW);
+
+    expect(parsed.filters).toMatchObject({ dateRange: 'all', model: 'all', invtype: 'all' });
+    expect(parsed.gradeView).toBe('all');
+  });
+
+  test('should reject unknown grade views', () => {
+    expect(() => parseAnalyticsQuery({ gradeView: 'B GRADE' })).toThrow('Unknown gradeView');
+  });
+});
+
+describe('filterRows', () => {
+  test('should combine model, invtype and date filters', () => {
+    const rows = filterRows(ROWS, { model: '11 PRO', invtype: 'raw' }, { from: '2025-11-18', to: '2025-11-18' });
+    expect(rows.map(r => r.imei)).toEqual(['353238100434009', '353238100434017']);
+  });
+});
+
+describe('computeAnalytics', () => {
+  test('should compute totals over all rows', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+
+    expect(analytics.totalUnits).toBe(5);
+    expect(analytics.totalRevenue).toBe(910);
+    expect(analytics.avgPrice).toBe(182);
+    expect(analytics.unitsByDate).toEqual({ '2025-11-18': 2, '2025-11-19': 1, '2025-11-10': 1, '2024-12-31': 1 });
+    expect(analytics.revenueByDate['2025-11-18']).toBe(360);
+  });
+
+  test('should leave rows with invalid IMEIs out of revenue and units', () => {
+    const corrupted = [...ROWS, { ...ROWS[0], imei: '3.53238E+14', total: '999' }, { ...ROWS[0], imei: '353238100434010' }];
+
+    const analytics = computeAnalytics(corrupted, CUSTOMERS, { now: NOW });
+
+    expect(analytics).toMatchObject({ totalUnits: 5, totalRevenue: 910, avgPrice: 182, excludedRows: 2 });
+    expect(analytics.revenueByDate['2025-11-18']).toBe(360);
+    expect(computeAnalytics(ROWS, CUSTOMERS, { now: NOW }).excludedRows).toBe(0);
+  });
+
+  test('should honour date presets', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { filters: { dateRange: '7days' }, now: NOW });
+
+    expect(analytics.totalUnits).toBe(3);
+    expect(analytics.range).toEqual({ from: '2025-11-12', to: null });
+  });
+
+  test('should rank models with a grade breakdown in the all view', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+    const [topModel, topStats] = analytics.topModels[0];
+
+    expect(topModel).toBe('11 PRO 256GB');
+    expect(topStats).toEqual({ count: 2, revenue: 360, gradeBreakdown: { RAW: 2 } });
+
+    const thirteen = analytics.topModels.find(([model]) => model === '13 128GB')[1];
+    expect(thirteen.gradeBreakdown).toEqual({ 'A GRADE': 1, 'AB GRADE': 1 });
+  });
+
+  test('should restrict top models to a single grade view', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { gradeView: 'AB GRADE', now: NOW });
+
+    expect(analytics.topModels).toEqual([['13 128GB', { count: 1, revenue: 250 }]]);
+  });
+
+  test('should build invtype stats with normalized grades', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+
+    expect(analytics.invtypeStats).toEqual({
+      RAW: { count: 2, revenue: 360 },
+      'A GRADE': { count: 1, revenue: 300 },
+      'AB GRADE': { count: 1, revenue: 250 },
+      MIXED: { count: 1, revenue: 0 }
+    });
+  });
+
+  test('should rank customers by revenue with order statistics', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+    const [acme, globex] = analytics.topCustomers;
+
+    expect(acme.name).toBe('ACME');
+    expect(acme.revenue).toBe(3900);
+    expect(acme.count).toBe(15);
+    expect(acme.uniqueOrderDates).toBe(2);
+    expect(acme.avgDaysBetweenOrders).toBe(7);
+    expect(acme.daysSinceLastOrder).toBe(0);
+    expect(acme.fullStats.models).toEqual(['11 PRO 256GB', '13 128GB']);
+    expect(acme.fullStats.dayOfWeekData).toEqual({ 3: 15 });
+    expect(globex.name).toBe('Globex');
+  });
+
+  test('should flag inactive customers as low performers', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+
+    expect(analytics.lowPerformers.map(c => c.name)).toEqual(['Globex']);
+    expect(analytics.lowPerformers[0].lastOrderDate).toBe('2025-08-01');
+  });
+
+  test('should filter customer orders by the date range', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { filters: { dateRange: 'today' }, now: NOW });
+
+    expect(analytics.topCustomers.map(c => c.name)).toEqual(['ACME']);
+    expect(analytics.topCustomers[0].revenue).toBe(3000);
+  });
+
+  test('should report facets from the unfiltered rows', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { filters: { model: '13' }, now: NOW });
+
+    expect(analytics.facets.totalRows).toBe(5);
+    expect(analytics.facets.models).toEqual(['11 PRO', '12', '13']);
+  });
+
+  test('should be JSON serializable', () => {
+    const analytics = computeAnalytics(ROWS, CUSTOMERS, { now: NOW });
+
+    expect(JSON.parse(JSON.stringify(analytics))).toEqual(analytics);
+  });
+});
@@ -0,0 +1,467 @@
+/**
+ * Authentication, sessions and role-based access
+ *
+ * Browsers sign in with a username and password (see user-store.js) and get
+ * an HttpOnly session cookie; scripts send an API token as
+ * `Authorization: Bearer obr_...`. Either way the request ends up with
+ * `req.user = { username, role, permissions, via }`.
+ *
+ * Roles:
+ * - warehouse: units, models, grades, invoices and tracking - no money;
+ *              uploads the daily inventory CSV
+ * - viewer:    everything warehouse sees plus revenue and prices
+ * - sales:     viewer plus per-customer data (customer names on invoices and
+ *              shipments, customer sheet, top customers)
+ * - admin:     everything, including credential diagnostics
+ *
+ * Responses for users without `revenue:read` (or `customers:read`) have the
+ * corresponding fields stripped server-side, so hiding them in the dashboard
+ * is cosmetic rather than the only protection.
+ *
+ * @module auth
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'outbound_session';
+
+const ROLE_PERMISSIONS = {
+  warehouse: ['data:read', 'data:write'],
+  viewer: ['data:read', 'revenue:read'],
+  sales: ['data:read', 'revenue:read', 'customers:read'],
+  admin: ['data:read', 'data:write', 'revenue:read', 'customers:read', 'admin']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Money fields anywhere in a response (rows, aggregates, analytics)
+const REVENUE_FIELDS = new Set([
+  'total', 'price', 'revenue', 'totalRevenue', 'avgPrice', 'avgOrderValue',
+  'revenueByDate', 'priorityScore', 'AVG_PRICE'
+]);
+
+// Per-customer fields anywhere in a response (customer names joined onto
+// rows, invoices and shipments; analytics customer sections)
+const CUSTOMER_FIELDS = new Set(['customer', 'COMPANY_NAME', 'topCustomers', 'lowPerformers']);
+
+/**
+ * @param {string} role
+ * @returns {string[]} Permissions granted to the role (empty for unknown roles)
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * @param {Object|null} user - req.user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return !!user && user.permissions.includes(permission);
+}
+
+/**
+ * Whether the user may see a field, for output that filterResponse does not
+ * cover (CSV and XLSX export columns)
+ * @param {Object|null} user - req.user
+ * @param {string} field
+ * @returns {boolean}
+ */
+function canSeeField(user, field) {
+  if (REVENUE_FIELDS.has(field) && !hasPermission(user, 'revenue:read')) return false;
+  if (CUSTOMER_FIELDS.has(field) && !hasPermission(user, 'customers:read')) return false;
+  return true;
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    if (!name || cookies[name] !== undefined) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Deep-copy a response payload without fields the user may not see
+ * @param {*} value
+ * @param {Object} options
+ * @param {boolean} options.revenue - Keep money fields
+ * @param {boolean} options.customers - Keep per-customer fields
+ * @returns {*}
+ */
+function stripRestricted(value, options) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripRestricted(item, options));
+  }
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    if (!options.revenue && REVENUE_FIELDS.has(field)) return;
+    if (!options.customers && CUSTOMER_FIELDS.has(field)) return;
+    copy[field] = stripRestricted(fieldValue, options);
+  });
+  return copy;
+}
+
+/**
+ * In-memory login sessions with a sliding expiry
+ * Sessions do not survive a restart; users simply sign in again.
+ */
+class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=43200000] - Idle time before a session expires (12 hours)
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 12 * 60 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Start a session
+   * @param {{username: string, role: string}} user
+   * @returns {string} Session id for the cookie
+   */
+  create(user) {
+    this.prune();
+    const id = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(id, { username: user.username, role: user.role, expiresAt: this.now() + this.ttlMs });
+    return id;
+  }
+
+  /**
+   * Look up a session and extend it
+   * @param {string} id
+   * @returns {{username: string, role: string}|null}
+   */
+  get(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) return null;
+    if (session.expiresAt <= this.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.expiresAt = this.now() + this.ttlMs;
+    return { username: session.username, role: session.role };
+  }
+
+  /**
+   * @param {string} id
+   */
+  destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * End every session of a user (after a password or role change)
+   * @param {string} username
+   */
+  destroyUser(username) {
+    for (const [id, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * @private
+   */
+  prune() {
+    const now = this.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Counts failed logins per client address and locks it out for a while
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxFailures=10] - Failures allowed per window
+   * @param {number} [options.windowMs=900000] - Window length (15 minutes)
+   * @param {Function} [options.now]
+   */
+  constructor(options = {}) {
+    this.maxFailures = options.maxFailures || 10;
+    this.windowMs = options.windowMs || 15 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.failures = new Map();
+  }
+
+  /**
+   * @param {string} key - Client address
+   * @returns {number} Seconds until the key may try again (0 when allowed)
+   */
+  retryAfter(key) {
+    const entry = this.failures.get(key);
+    if (!entry) return 0;
+    if (entry.resetAt <= this.now()) {
+      this.failures.delete(key);
+      return 0;
+    }
+    return entry.count >= this.maxFailures ? Math.ceil((entry.resetAt - this.now()) / 1000) : 0;
+  }
+
+  /**
+   * @param {string} key
+   */
+  fail(key) {
+    const entry = this.failures.get(key);
+    if (!entry || entry.resetAt <= this.now()) {
+      this.failures.set(key, { count: 1, resetAt: this.now() + this.windowMs });
+    } else {
+      entry.count++;
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  succeed(key) {
+    this.failures.delete(key);
+  }
+}
+
+/**
+ * Build the authentication middleware and route handlers
+ * @param {Object} options
+ * @param {import('./user-store').UserStore} options.userStore
+ * @param {SessionStore} [options.sessions]
+ * @param {LoginThrottle} [options.throttle]
+ * @param {boolean} [options.secureCookies=false] - Mark the session cookie Secure (HTTPS only)
+ * @param {Object} [options.logger=console]
+ * @returns {Object} Middleware: authenticate, requireAuth, requirePermission,
+ *   filterResponse, requirePageAuth; handlers: login, logout, me
+ */
+function createAuth({
+  userStore,
+  sessions = new SessionStore(),
+  throttle = new LoginThrottle(),
+  secureCookies = false,
+  logger = console
+}) {
+  const toUser = (identity, via) => ({
+    username: identity.username || identity.name,
+    role: identity.role,
+    permissions: permissionsFor(identity.role),
+    via
+  });
+
+  const sessionCookie = (value, maxAgeSeconds) => [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+    ...(secureCookies ? ['Secure'] : [])
+  ].join('; ');
+
+  /**
+   * Identify the caller from a bearer token or session cookie
+   * Never rejects; sets req.user to null for anonymous requests.
+   */
+  function authenticate(req, res, next) {
+    req.user = null;
+
+    const header = req.headers.authorization || '';
+    if (/^bearer /i.test(header)) {
+      const record = userStore.verifyToken(header.slice(7).trim());
+      if (!record) {
+        return res.status(401).json({ error: 'Invalid API token', code: 'INVALID_TOKEN' });
+      }
+      req.user = toUser(record, 'token');
+      return next();
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (session) {
+      // Pick up role changes and deletions made while the session was open
+      const user = userStore.getUser(session.username);
+      if (user) {
+        req.user = toUser({ username: user.username, role: user.role }, 'session');
+        req.sessionId = sessionId;
+      } else {
+        sessions.destroy(sessionId);
+      }
+    }
+    next();
+  }
+
+  /**
+   * Reject anonymous API requests with 401
+   */
+  function requireAuth(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+    next();
+  }
+
+  /**
+   * Reject requests from users without a permission with 403
+   * @param {string} permission
+   * @returns {Function} Express middleware
+   */
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+      }
+      if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({
+          error: `Your role (${req.user.role}) does not allow this`,
+          code: 'FORBIDDEN',
+          details: { required: permission }
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Strip revenue and per-customer fields from JSON the user may not see
+   */
+  function filterResponse(req, res, next) {
+    const options = {
+      revenue: hasPermission(req.user, 'revenue:read'),
+      customers: hasPermission(req.user, 'customers:read')
+    };
+    if (options.revenue && options.customers) return next();
+
+    const json = res.json.bind(res);
+    res.json = body => json(stripRestricted(body, options));
+    next();
+  }
+
+  /**
+   * Send anonymous page requests to the login page
+   */
+  function requirePageAuth(req, res, next) {
+    if (!req.user) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    next();
+  }
+
+  /**
+   * POST /api/auth/login { username, password }
+   */
+  function login(req, res) {
+    const client = req.ip || 'unknown';
+    const wait = throttle.retryAfter(client);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: 'Too many failed logins, try again later', code: 'LOGIN_THROTTLED' });
+    }
+
+    const { username, password } = req.body || {};
+    const user = typeof username === 'string' && typeof password === 'string'
+      ? userStore.verifyPassword(username, password)
+      : null;
+
+    if (!user) {
+      throttle.fail(client);
+      logger.warn(`⚠️  Failed login for "${String(username || '').slice(0, 64)}" from ${client}`);
+      return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    throttle.succeed(client);
+    const sessionId = sessions.create(user);
+    res.set('Set-Cookie', sessionCookie(sessionId, Math.floor(sessions.ttlMs / 1000)));
+    logger.log(`🔓 ${user.username} (${user.role}) signed in`);
+    res.json({ user: toUser(user, 'session') });
+  }
+
+  /**
+   * POST /api/auth/logout
+   */
+  function logout(req, res) {
+    if (req.sessionId) {
+      sessions.destroy(req.sessionId);
+    }
+    res.set('Set-Cookie', sessionCookie('', 0));
+    res.json({ status: 'ok' });
+  }
+
+  /**
+   * GET /api/auth/me
+   */
+  function me(req, res) {
+    res.json({ user: req.user });
+  }
+
+  return {
+    sessions,
+    authenticate,
+    requireAuth,
+    requirePermission,
+    filterResponse,
+    requirePageAuth,
+    login,
+    logout,
+    me
+  };
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the store is empty
+ * @param {import('./user-store').UserStore} userStore
+ * @param {Object} [env=process.env]
+ * @param {Object} [logger=console]
+ * @returns {boolean} Whether an admin was created
+ */
+function bootstrapAdmin(userStore, env = process.env, logger = console) {
+  if (userStore.hasUsers()) return false;
+
+  if (!env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) {
+    logger.warn('⚠️  No users configured - nobody can sign in');
+    logger.warn('   💡 Set ADMIN_USERNAME and ADMIN_PASSWORD, or run: node manage-users.js add <username> admin');
+    return false;
+  }
+
+  userStore.addUser({ username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD, role: 'admin' });
+  logger.log(`👤 Created admin user "${env.ADMIN_USERNAME.trim().toLowerCase()}" from ADMIN_USERNAME`);
+  return true;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  ROLE_PERMISSIONS,
+  REVENUE_FIELDS,
+  CUSTOMER_FIELDS,
+  permissionsFor,
+  hasPermission,
+  canSeeField,
+  parseCookies,
+  stripRestricted,
+  SessionStore,
+  LoginThrottle,
+  createAuth,
+  bootstrapAdmin
+};
@@ -0,0 +1,272 @@
+/**
+ * Test suite for authentication, sessions and role-based access
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore } = require('./user-store');
+const { aggregateDay, DAY_EXPORT_COLUMNS } = require('./historical-aggregation');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  SESSION_COOKIE,
+  parseCookies,
+  stripRestricted,
+  canSeeField,
+  SessionStore,
+  LoginThrottle,
+  createAuth,
+  bootstrapAdmin
+} = require('./auth');
+
+const silent = { log: () => {}, warn: () => {} };
+
+function createClock(start = 1700000000000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  const store = new UserStore({ file: path.join(dir, 'users.json'), roles: ROLES });
+  store.addUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+  store.addUser({ username: 'dock', password: 'dock-password', role: 'warehouse' });
+  return store;
+}
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; },
+    redirect(url) { this.redirectedTo = url; return this; }
+  };
+  return res;
+}
+
+function run(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+function signIn(auth, username, password) {
+  const { res } = run(auth.login, { ip: '10.0.0.1', headers: {}, body: { username, password } });
+  const cookie = res.headers['Set-Cookie'];
+  return { res, cookie: cookie && cookie.split(';')[0] };
+}
+
+describe('parseCookies', () => {
+  test('should parse and decode cookie pairs', () => {
+    expect(parseCookies('a=1; outbound_session=abc%3D; b')).toEqual({ a: '1', outbound_session: 'abc=' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+});
+
+describe('stripRestricted', () => {
+  const payload = {
+    totalUnits: 3,
+    totalRevenue: 930,
+    avgPrice: 310,
+    revenueByDate: { '2025-11-18': 930 },
+    topModels: [{ model: 'iPhone 13', count: 3, revenue: 930 }],
+    topCustomers: [{ name: 'Acme', revenue: 930 }],
+    data: [{ imei: '1', total: '310', fetchedAt: new Date(0) }]
+  };
+
+  test('should remove money fields at any depth', () => {
+    const stripped = stripRestricted(payload, { revenue: false, customers: true });
+
+    expect(stripped).toEqual({
+      totalUnits: 3,
+      topModels: [{ model: 'iPhone 13', count: 3 }],
+      topCustomers: [{ name: 'Acme' }],
+      data: [{ imei: '1', fetchedAt: new Date(0) }]
+    });
+    expect(payload.totalRevenue).toBe(930);
+  });
+
+  test('should remove per-customer sections', () => {
+    const stripped = stripRestricted(payload, { revenue: true, customers: false });
+
+    expect(stripped).not.toHaveProperty('topCustomers');
+    expect(stripped.totalRevenue).toBe(930);
+  });
+});
+
+describe('canSeeField', () => {
+  const roleUser = role => ({ username: role, role, permissions: ROLE_PERMISSIONS[role] });
+  const exportHeaders = role => DAY_EXPORT_COLUMNS.filter(column => canSeeField(roleUser(role), column.key)).map(column => column.header);
+
+  test('should leave customer and price columns out of day exports for roles without access', () => {
+    expect(exportHeaders('viewer')).not.toContain('Customer');
+    expect(exportHeaders('viewer')).toContain('Price');
+    expect(exportHeaders('warehouse')).not.toEqual(expect.arrayContaining(['Customer', 'Price']));
+    expect(exportHeaders('sales')).toEqual(DAY_EXPORT_COLUMNS.map(column => column.header));
+  });
+});
+
+describe('SessionStore', () => {
+  test('should expire idle sessions and slide on use', () => {
+    const now = createClock();
+    const sessions = new SessionStore({ ttlMs: 1000, now });
+    const id = sessions.create({ username: 'dock', role: 'warehouse' });
+
+    now.advance(900);
+    expect(sessions.get(id)).toEqual({ username: 'dock', role: 'warehouse' });
+    now.advance(900);
+    expect(sessions.get(id)).not.toBeNull();
+    now.advance(1001);
+    expect(sessions.get(id)).toBeNull();
+  });
+});
+
+describe('LoginThrottle', () => {
+  test('should lock out after repeated failures until the window passes', () => {
+    const now = createClock();
+    const throttle = new LoginThrottle({ maxFailures: 2, windowMs: 60000, now });
+
+    throttle.fail('ip');
+    expect(throttle.retryAfter('ip')).toBe(0);
+    throttle.fail('ip');
+    expect(throttle.retryAfter('ip')).toBe(60);
+
+    now.advance(60000);
+    expect(throttle.retryAfter('ip')).toBe(0);
+  });
+});
+
+describe('createAuth', () => {
+  test('should sign in with a password and authenticate the session cookie', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+
+    const { res, cookie } = signIn(auth, 'dock', 'dock-password');
+
+    expect(res.body.user).toMatchObject({ username: 'dock', role: 'warehouse', permissions: ['data:read', 'data:write'] });
+    expect(res.headers['Set-Cookie']).toMatch(/HttpOnly; SameSite=Lax/);
+    expect(cookie.startsWith(`${SESSION_COOKIE}=`)).toBe(true);
+
+    const req = { headers: { cookie } };
+    const { next } = run(auth.authenticate, req);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ username: 'dock', via: 'session' });
+  });
+
+  test('should reject bad passwords and throttle repeated failures', () => {
+    const auth = createAuth({
+      userStore: createStore(),
+      throttle: new LoginThrottle({ maxFailures: 2 }),
+      logger: silent
+    });
+
+    expect(signIn(auth, 'dock', 'wrong').res.statusCode).toBe(401);
+    expect(signIn(auth, 'dock', 'wrong').res.statusCode).toBe(401);
+    const { res } = signIn(auth, 'dock', 'dock-password');
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBeDefined();
+  });
+
+  test('should authenticate bearer tokens and reject unknown ones', () => {
+    const store = createStore();
+    const { token } = store.createToken({ name: 'report-script', role: 'viewer' });
+    const auth = createAuth({ userStore: store, logger: silent });
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    run(auth.authenticate, req);
+    expect(req.user).toMatchObject({ username: 'report-script', role: 'viewer', via: 'token' });
+
+    const { res, next } = run(auth.authenticate, { headers: { authorization: 'Bearer obr_nope' } });
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should end sessions on logout', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+    const { cookie } = signIn(auth, 'admin', 'admin-password');
+    const req = { headers: { cookie } };
+    run(auth.authenticate, req);
+
+    const { res } = run(auth.logout, req);
+
+    expect(res.headers['Set-Cookie']).toContain('Max-Age=0');
+    const after = { headers: { cookie } };
+    run(auth.authenticate, after);
+    expect(after.user).toBeNull();
+  });
+
+  test('should enforce permissions', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+    const adminOnly = auth.requirePermission('admin');
+
+    expect(run(adminOnly, { user: null }).res.statusCode).toBe(401);
+
+    const warehouse = { user: { username: 'dock', role: 'warehouse', permissions: ['data:read'] } };
+    const forbidden = run(adminOnly, warehouse);
+    expect(forbidden.res.statusCode).toBe(403);
+    expect(forbidden.res.body.details).toEqual({ required: 'admin' });
+
+    const admin = { user: { username: 'admin', role: 'admin', permissions: ['admin'] } };
+    expect(run(adminOnly, admin).next).toHaveBeenCalled();
+  });
+
+  test('should strip revenue from responses for warehouse users', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+    const req = { user: { username: 'dock', role: 'warehouse', permissions: ['data:read'] } };
+
+    const { res } = run(auth.filterResponse, req);
+    res.json({ data: [{ imei: '1', total: '310' }], totalRevenue: 310 });
+
+    expect(res.body).toEqual({ data: [{ imei: '1' }] });
+  });
+
+  test('should strip customer names from day drill-downs, dashboard rows and orders for viewers', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+    const viewer = { user: { username: 'val', role: 'viewer', permissions: ROLE_PERMISSIONS.viewer } };
+    const day = aggregateDay(
+      [{ imei: '353238100433431', model: '13', total: '310', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' }],
+      '2025-11-18',
+      { invoiceInfo: () => ({ customer: 'Acme', tracking: '1Z999' }) }
+    );
+    const respond = body => {
+      const { res } = run(auth.filterResponse, viewer);
+      res.json(body);
+      return res.body;
+    };
+
+    const drillDown = respond(day);
+    expect(drillDown.invoices[0]).not.toHaveProperty('customer');
+    expect(drillDown.invoices[0]).toMatchObject({ invno: '20959', tracking: '1Z999', total: 310 });
+    expect(respond({ data: [{ imei: '1', customer: 'Acme', total: '310' }] })).toEqual({ data: [{ imei: '1', total: '310' }] });
+    expect(respond({ orders: [{ invoice: '20959', customer: 'Acme', tracking: '1Z999' }] })).toEqual({ orders: [{ invoice: '20959', tracking: '1Z999' }] });
+    expect(respond({ rows: [{ COMPANY_NAME: 'Acme', UNITS: '3' }] })).toEqual({ rows: [{ UNITS: '3' }] });
+  });
+
+  test('should redirect anonymous page requests to the login page', () => {
+    const auth = createAuth({ userStore: createStore(), logger: silent });
+
+    const { res } = run(auth.requirePageAuth, { user: null, originalUrl: '/calendar?month=11' });
+
+    expect(res.redirectedTo).toBe('/login?next=%2Fcalendar%3Fmonth%3D11');
+  });
+});
+
+describe('bootstrapAdmin', () => {
+  test('should create the first admin only when the store is empty', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    const store = new UserStore({ file: path.join(dir, 'users.json'), roles: ROLES });
+    const env = { ADMIN_USERNAME: 'Owner', ADMIN_PASSWORD: 'owner-password' };
+
+    expect(bootstrapAdmin(store, {}, silent)).toBe(false);
+    expect(bootstrapAdmin(store, env, silent)).toBe(true);
+    expect(store.verifyPassword('owner', 'owner-password').role).toBe('admin');
+    expect(bootstrapAdmin(store, env, silent)).toBe(false);
+  });
+});
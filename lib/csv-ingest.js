@@ -0,0 +1,267 @@
+/**
+ * Inventory CSV ingestion
+ *
+ * Parses daily inventory dumps such as `11_18_25 INV DUMP - OUTBOUND.csv`
+ * (columns imei, model, capacity, color, lock_status, graded, price,
+ * updated_at, invno, invtype), validates every row (IMEIs with
+ * `imei-validation`) and converts the good ones to the common IMEI row shape
+ * used by the data sources ({ imei, model, capacity, color, lock_status,
+ * grade, total, date, invoice, invtype, customer, tracking }).
+ *
+ * Rows are identified by IMEI + invoice; a repeat of a key already seen in
+ * the file (or in an earlier upload) is reported as a duplicate rather than
+ * accepted twice.
+ *
+ * @module csv-ingest
+ */
+
+const { checkImei, describeImeiIssue } = require('./imei-validation');
+
+const CSV_COLUMNS = ['imei', 'model', 'capacity', 'color', 'lock_status', 'graded', 'price', 'updated_at', 'invno', 'invtype'];
+const REQUIRED_COLUMNS = ['imei', 'model', 'price', 'updated_at', 'invno', 'invtype'];
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+class CsvIngestError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CsvIngestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse CSV text into records of cells
+ * Handles quoted fields (with "" escapes and embedded commas/newlines), CRLF
+ * line endings and a UTF-8 byte order mark. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: string[]}>} `line` is the 1-based line the record starts on
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvIngestError(`Unterminated quoted field starting on line ${recordLine}`, 'UNTERMINATED_QUOTE', { line: recordLine });
+  }
+  if (cell !== '' || cells.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Check that a timestamp names a real date and time
+ * @param {string} value - e.g. "2025-11-18 9:30:27" or "2025-11-18"
+ * @returns {boolean}
+ */
+function isValidTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    hours < 24 && minutes < 60 && seconds < 60;
+}
+
+/**
+ * Validate one CSV record
+ * @param {Object<string, string>} record - Cells keyed by column name
+ * @returns {string[]} Reasons the row is rejected (empty when valid)
+ */
+function validateRecord(record) {
+  const reasons = [];
+
+  REQUIRED_COLUMNS.forEach(column => {
+    if (!record[column]) reasons.push(`${column} is required`);
+  });
+
+  if (record.imei) {
+    const imei = checkImei(record.imei);
+    if (!imei.valid) reasons.push(describeImeiIssue(imei));
+  }
+  if (record.price && !(/^-?\d+(\.\d+)?$/.test(record.price) && Number(record.price) >= 0)) {
+    reasons.push(`price must be a non-negative number (got "${record.price}")`);
+  }
+  if (record.updated_at && !isValidTimestamp(record.updated_at)) {
+    reasons.push(`updated_at must be YYYY-MM-DD [H:MM:SS] (got "${record.updated_at}")`);
+  }
+  if (record.invno && !/^\d+$/.test(record.invno)) {
+    reasons.push(`invno must be a number (got "${record.invno}")`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Convert a validated CSV record to the common IMEI row shape
+ * @param {Object<string, string>} record
+ * @returns {Object}
+ */
+function toImeiRow(record) {
+  return {
+    imei: record.imei,
+    model: record.model,
+    capacity: record.capacity,
+    color: record.color,
+    lock_status: record.lock_status,
+    grade: record.graded,
+    total: record.price,
+    date: record.updated_at,
+    invoice: record.invno,
+    invtype: record.invtype,
+    customer: '',
+    tracking: ''
+  };
+}
+
+/**
+ * Key identifying an outbound unit: the same IMEI may ship again on a later invoice
+ * @param {{imei: string, invoice: string}} row
+ * @returns {string}
+ */
+function rowKey(row) {
+  return `${row.imei}:${row.invoice}`;
+}
+
+/**
+ * Parse and validate an inventory CSV
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {Function} [options.findExisting] - (key) => where an earlier upload already
+ *   holds the key (e.g. a batch id), or null; such rows are reported as duplicates
+ * @returns {{rows: Object[], report: Object}} Accepted rows and the ingestion report:
+ *   { totalRows, accepted, rejectedCount, duplicateCount,
+ *   rejected: [{ line, reasons, values }], duplicates: [{ line, imei, invoice, duplicateOf }] }
+ * @throws {CsvIngestError} When the file is empty, malformed or the header is wrong
+ */
+function ingestInventoryCsv(text, { findExisting = () => null } = {}) {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    throw new CsvIngestError('The file is empty', 'EMPTY_FILE');
+  }
+
+  const [header, ...body] = records;
+  const columns = header.cells.map(cell => cell.trim().toLowerCase());
+  const missing = CSV_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new CsvIngestError(`Missing column(s): ${missing.join(', ')}`, 'INVALID_HEADER', {
+      expected: CSV_COLUMNS,
+      received: columns
+    });
+  }
+
+  const rows = [];
+  const rejected = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  body.forEach(({ line, cells }) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (cells[index] || '').trim();
+    });
+
+    const reasons = validateRecord(record);
+    if (cells.length > columns.length) {
+      reasons.push(`expected ${columns.length} columns, found ${cells.length}`);
+    }
+    if (reasons.length > 0) {
+      rejected.push({ line, reasons, values: CSV_COLUMNS.reduce((values, column) => ({ ...values, [column]: record[column] }), {}) });
+      return;
+    }
+
+    const row = toImeiRow(record);
+    const key = rowKey(row);
+    const duplicateOf = seen.has(key) ? `line ${seen.get(key)}` : findExisting(key);
+    if (duplicateOf) {
+      duplicates.push({ line, imei: row.imei, invoice: row.invoice, duplicateOf });
+      return;
+    }
+
+    seen.set(key, line);
+    rows.push(row);
+  });
+
+  return {
+    rows,
+    report: {
+      totalRows: body.length,
+      accepted: rows.length,
+      rejectedCount: rejected.length,
+      duplicateCount: duplicates.length,
+      rejected,
+      duplicates
+    }
+  };
+}
+
+/**
+ * Shorten a report's row lists for an API response
+ * @param {Object} report - From ingestInventoryCsv
+ * @param {number} [max=200] - Entries kept per list
+ * @returns {Object} The report with `truncated: true` when anything was cut
+ */
+function trimReport(report, max = 200) {
+  const truncated = report.rejected.length > max || report.duplicates.length > max;
+  return {
+    ...report,
+    rejected: report.rejected.slice(0, max),
+    duplicates: report.duplicates.slice(0, max),
+    ...(truncated && { truncated })
+  };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  CsvIngestError,
+  parseCsv,
+  isValidTimestamp,
+  validateRecord,
+  rowKey,
+  ingestInventoryCsv,
+  trimReport
+};
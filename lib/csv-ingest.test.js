@@ -0,0 +1,115 @@
+/**
+ * Test suite for inventory CSV ingestion
+ */
+
+const { CsvIngestError, parseCsv, isValidTimestamp, ingestInventoryCsv, trimReport } = require('./csv-ingest');
+
+const HEADER = 'imei,model,capacity,color,lock_status,graded,price,updated_at,invno,invtype';
+const ROW = '353238100433431,11 PRO,256GB,SPACE GRAY,UNLOCKED,TRUE,175.2727273,2025-11-18 9:30:27,20959,raw';
+
+describe('parseCsv', () => {
+  test('should handle quotes, CRLF, a BOM and blank lines', () => {
+    const records = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",2\n');
+
+    expect(records).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['x, y', 'say "hi"'] },
+      { line: 4, cells: ['multi\nline', '2'] }
+    ]);
+  });
+
+  test('should reject an unterminated quote', () => {
+    expect(() => parseCsv('a,b\n"open,1\n')).toThrow(expect.objectContaining({ code: 'UNTERMINATED_QUOTE', details: { line: 2 } }));
+  });
+});
+
+describe('isValidTimestamp', () => {
+  test('should accept real dates and times only', () => {
+    expect(isValidTimestamp('2025-11-18 9:30:27')).toBe(true);
+    expect(isValidTimestamp('2025-11-18')).toBe(true);
+    expect(isValidTimestamp('2025-02-30')).toBe(false);
+    expect(isValidTimestamp('2025-11-18 25:00:00')).toBe(false);
+    expect(isValidTimestamp('11/18/2025')).toBe(false);
+  });
+});
+
+describe('ingestInventoryCsv', () => {
+  test('should convert accepted rows to the common row shape', () => {
+    const { rows, report } = ingestInventoryCsv(`${HEADER}\n${ROW}\n`);
+
+    expect(rows).toEqual([{
+      imei: '353238100433431',
+      model: '11 PRO',
+      capacity: '256GB',
+      color: 'SPACE GRAY',
+      lock_status: 'UNLOCKED',
+      grade: 'TRUE',
+      total: '175.2727273',
+      date: '2025-11-18 9:30:27',
+      invoice: '20959',
+      invtype: 'raw',
+      customer: '',
+      tracking: ''
+    }]);
+    expect(report).toMatchObject({ totalRows: 1, accepted: 1, rejectedCount: 0, duplicateCount: 0 });
+  });
+
+  test('should accept columns in any order', () => {
+    const { rows } = ingestInventoryCsv('invno,invtype,imei,model,capacity,color,lock_status,graded,price,updated_at\n20959,raw,353238100433431,11 PRO,256GB,,,,100,2025-11-18\n');
+
+    expect(rows[0]).toMatchObject({ imei: '353238100433431', invoice: '20959', total: '100' });
+  });
+
+  test('should reject invalid rows with every reason and the line number', () => {
+    const csv = [
+      HEADER,
+      ROW,
+      '3.53238E+14,11 PRO,256GB,SPACE GRAY,UNLOCKED,TRUE,abc,2025-13-01,INV1,raw',
+      ',,,,,,,,,'
+    ].join('\n');
+
+    const { rows, report } = ingestInventoryCsv(csv);
+
+    expect(rows).toHaveLength(1);
+    expect(report.rejectedCount).toBe(2);
+    expect(report.rejected[0].line).toBe(3);
+    expect(report.rejected[0].reasons).toEqual([
+      'imei was turned into a number by a spreadsheet and lost digits (got "3.53238E+14")',
+      'price must be a non-negative number (got "abc")',
+      'updated_at must be YYYY-MM-DD [H:MM:SS] (got "2025-13-01")',
+      'invno must be a number (got "INV1")'
+    ]);
+    expect(report.rejected[1].reasons).toContain('imei is required');
+  });
+
+  test('should report duplicates within the file and from earlier uploads', () => {
+    const csv = [HEADER, ROW, ROW, ROW.replace('20959', '20960'), ROW.replace('353238100433431', '353238106841256')].join('\n');
+    const findExisting = key => (key === '353238106841256:20959' ? '20251117-080000-abcdef' : null);
+
+    const { rows, report } = ingestInventoryCsv(csv, { findExisting });
+
+    expect(rows.map(row => `${row.imei}:${row.invoice}`)).toEqual(['353238100433431:20959', '353238100433431:20960']);
+    expect(report.duplicates).toEqual([
+      { line: 3, imei: '353238100433431', invoice: '20959', duplicateOf: 'line 2' },
+      { line: 5, imei: '353238106841256', invoice: '20959', duplicateOf: '20251117-080000-abcdef' }
+    ]);
+  });
+
+  test('should reject files without the expected header', () => {
+    expect(() => ingestInventoryCsv('imei,model\n1,2')).toThrow(CsvIngestError);
+    expect(() => ingestInventoryCsv('imei,model\n1,2')).toThrow(expect.objectContaining({
+      code: 'INVALID_HEADER',
+      details: expect.objectContaining({ received: ['imei', 'model'] })
+    }));
+    expect(() => ingestInventoryCsv('  \n')).toThrow(expect.objectContaining({ code: 'EMPTY_FILE' }));
+  });
+});
+
+describe('trimReport', () => {
+  test('should cut long lists and flag the report', () => {
+    const report = { accepted: 0, rejected: [1, 2, 3], duplicates: [] };
+
+    expect(trimReport(report, 2)).toEqual({ accepted: 0, rejected: [1, 2], duplicates: [], truncated: true });
+    expect(trimReport(report)).not.toHaveProperty('truncated');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Local copy of the customer order rows
+ *
+ * Holds the last full read of the `RAW CUSTOMER DATA` sheet (or the
+ * configured data source's customer rows) in one JSON file
+ * (CUSTOMER_ROWS_FILE, default data/customer-rows.json) so reports can be
+ * served without downloading the sheet, and reports what changed between
+ * reads.
+ *
+ * Customer rows have no IMEI; a row is identified by company, invoice,
+ * model, capacity and invoice type. Identical keys within one read are
+ * numbered in order (`...#2`).
+ *
+ * File format:
+ *   { "source": "sheets", "updatedAt": "...", "rows": [{ key, row }] }
+ *
+ * @module customer-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CUSTOMER_FILE = path.join('data', 'customer-rows.json');
+const KEY_COLUMNS = ['COMPANY_NAME', 'INVNO', 'MODEL', 'GB', 'INVTYPE'];
+
+class CustomerStoreError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CustomerStoreError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Key a customer row by its identifying columns
+ * @param {Object} row - Row in the customer-data shape
+ * @returns {string}
+ */
+function customerKey(row) {
+  return KEY_COLUMNS.map(column => String(row[column] === undefined || row[column] === null ? '' : row[column]).trim()).join('|');
+}
+
+class CustomerStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file=data/customer-rows.json]
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_CUSTOMER_FILE;
+    this.now = options.now || Date.now;
+    this.data = null;
+  }
+
+  /**
+   * Read the store (once)
+   * @returns {{source: string|null, updatedAt: string|null, rows: Array<{key: string, row: Object}>}}
+   */
+  load() {
+    if (this.data) return this.data;
+
+    if (!fs.existsSync(this.file)) {
+      this.data = { source: null, updatedAt: null, rows: [] };
+      return this.data;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.data = {
+        source: parsed.source || null,
+        updatedAt: parsed.updatedAt || null,
+        rows: Array.isArray(parsed.rows) ? parsed.rows : []
+      };
+    } catch (error) {
+      throw new CustomerStoreError(`Could not read customer store ${this.file}: ${error.message}`, 'STORE_UNREADABLE', { file: this.file });
+    }
+    return this.data;
+  }
+
+  /**
+   * Write the store atomically (temp file + rename)
+   * @private
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.data) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * Replace the stored rows with a full read of the source
+   * @param {Object[]} rows - Every customer row the source currently holds
+   * @param {string} source
+   * @returns {{added: number, changed: number, removed: number, unchanged: number}}
+   * @throws {CustomerStoreError} EMPTY_SNAPSHOT when the source returned
+   *   nothing but rows are stored (more likely a bad read than a cleared sheet)
+   */
+  replace(rows, source) {
+    const previous = new Map(this.load().rows.map(entry => [entry.key, entry.row]));
+    if (rows.length === 0 && previous.size > 0) {
+      throw new CustomerStoreError(`${source} returned no customer rows; keeping the ${previous.size} stored rows`, 'EMPTY_SNAPSHOT', { source, rows: previous.size });
+    }
+
+    const counts = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    const occurrences = new Map();
+    const entries = rows.map(row => {
+      const base = customerKey(row);
+      const seen = (occurrences.get(base) || 0) + 1;
+      occurrences.set(base, seen);
+      const key = seen === 1 ? base : `${base}#${seen}`;
+
+      if (!previous.has(key)) {
+        counts.added += 1;
+      } else if (JSON.stringify(previous.get(key)) !== JSON.stringify(row)) {
+        counts.changed += 1;
+      } else {
+        counts.unchanged += 1;
+      }
+      previous.delete(key);
+      return { key, row };
+    });
+    counts.removed = previous.size;
+
+    this.data = { source, updatedAt: new Date(this.now()).toISOString(), rows: entries };
+    this.save();
+    return counts;
+  }
+
+  /**
+   * @returns {Object[]} Stored rows in the customer-data shape
+   */
+  rows() {
+    return this.load().rows.map(entry => entry.row);
+  }
+
+  /**
+   * @returns {{file: string, rows: number, source: string|null, updatedAt: string|null}}
+   */
+  stats() {
+    const { source, updatedAt, rows } = this.load();
+    return { file: this.file, rows: rows.length, source, updatedAt };
+  }
+}
+
+module.exports = {
+  DEFAULT_CUSTOMER_FILE,
+  CustomerStoreError,
+  CustomerStore,
+  customerKey
+};
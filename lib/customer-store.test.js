@@ -0,0 +1,59 @@
+/**
+ * Test suite for the local copy of customer order rows
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CustomerStore, customerKey } = require('./customer-store');
+
+const ROW = {
+  COMPANY_NAME: 'Acme',
+  MODEL: 'IPHONE 13',
+  GB: '128',
+  INVTYPE: 'raw',
+  UNITS: '10',
+  INVNO: '20959',
+  QBO_TRANSACTION_DATE: '2025-11-18',
+  AVG_PRICE: '310'
+};
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'customers-')), 'customer-rows.json');
+}
+
+describe('customerKey', () => {
+  test('should key rows by company, invoice, model, capacity and type', () => {
+    expect(customerKey(ROW)).toBe('Acme|20959|IPHONE 13|128|raw');
+  });
+});
+
+describe('CustomerStore', () => {
+  test('should report added, changed and removed rows between reads', () => {
+    const file = tempFile();
+    const store = new CustomerStore({ file, now: () => Date.UTC(2025, 10, 18) });
+    const other = { ...ROW, INVNO: '20960' };
+
+    expect(store.replace([ROW, other], 'sheets')).toEqual({ added: 2, changed: 0, removed: 0, unchanged: 0 });
+    expect(store.replace([{ ...ROW, UNITS: '12' }, ROW], 'sheets')).toEqual({ added: 1, changed: 1, removed: 1, unchanged: 0 });
+
+    const reopened = new CustomerStore({ file });
+    expect(reopened.rows()).toEqual([{ ...ROW, UNITS: '12' }, ROW]);
+    expect(reopened.stats()).toEqual({ file, rows: 2, source: 'sheets', updatedAt: '2025-11-18T00:00:00.000Z' });
+  });
+
+  test('should keep the stored rows when a read comes back empty', () => {
+    const store = new CustomerStore({ file: tempFile() });
+    store.replace([ROW], 'sheets');
+
+    expect(() => store.replace([], 'sheets')).toThrow(expect.objectContaining({ code: 'EMPTY_SNAPSHOT' }));
+    expect(store.rows()).toEqual([ROW]);
+  });
+
+  test('should refuse an unreadable file', () => {
+    const file = tempFile();
+    fs.writeFileSync(file, '{not json');
+
+    expect(() => new CustomerStore({ file }).rows()).toThrow(expect.objectContaining({ code: 'STORE_UNREADABLE' }));
+  });
+});
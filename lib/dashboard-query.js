@@ -0,0 +1,305 @@
+/**
+ * Server-side filtering, sorting and pagination for dashboard IMEI rows
+ *
+ * Parses the query string accepted by `/api/sheets/dashboard-data` and
+ * applies it to the normalized rows produced by the data loaders
+ * ({ imei, model, capacity, color, lock_status, grade, total, date, invoice,
+ * invtype, ... }).
+ *
+ * Supported query parameters:
+ * - model, capacity, color, lock_status, grade, invtype, invoice
+ *     Exact, case-insensitive matches. Comma-separate values to match any.
+ * - from, to
+ *     Inclusive ship date bounds (YYYY-MM-DD) compared against `date`.
+ * - sort, direction
+ *     Sort field (see SORT_FIELDS) and `asc` or `desc`.
+ * - limit, offset, cursor
+ *     Page size plus either a numeric offset or the opaque `nextCursor`
+ *     returned by the previous page.
+ *
+ * @module dashboard-query
+ */
+
+const crypto = require('crypto');
+
+const FILTER_FIELDS = ['model', 'capacity', 'color', 'lock_status', 'grade', 'invtype', 'invoice'];
+const SORT_FIELDS = ['imei', 'model', 'capacity', 'color', 'lock_status', 'grade', 'total', 'date', 'invoice', 'invtype'];
+const NUMERIC_SORT_FIELDS = ['total', 'invoice'];
+const MAX_LIMIT = 10000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error class for invalid dashboard query parameters
+ */
+class DashboardQueryError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DashboardQueryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Parsed dashboard query
+ * @typedef {Object} DashboardQuery
+ * @property {Object<string, Array<string>>} filters - Field filters (lowercased values)
+ * @property {{from: string|null, to: string|null}} dateRange - Inclusive date bounds
+ * @property {{field: string|null, direction: string}} sort - Sort order
+ * @property {{limit: number|null, offset: number}} page - Page window
+ */
+
+/**
+ * Parse a sheet timestamp such as "2025-11-18 9:30:27" into epoch milliseconds
+ * @param {string} value - Timestamp from the `updated_at` column
+ * @returns {number|null} Milliseconds (local time) or null when unparseable
+ */
+function parseRowDate(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+  return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+}
+
+/**
+ * Extract the YYYY-MM-DD day from a sheet timestamp
+ * @param {string} value - Timestamp from the `updated_at` column
+ * @returns {string} Day key, or '' when the value has no date
+ */
+function dateKey(value) {
+  return String(value || '').trim().split(' ')[0];
+}
+
+/**
+ * Split a comma-separated query value into normalized match values
+ * @private
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values
+    .map(v => String(v).trim().toLowerCase())
+    .filter(v => v.length > 0 && v !== 'all');
+}
+
+/**
+ * @private
+ */
+function parseNonNegativeInt(value, name) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new DashboardQueryError(`${name} must be a non-negative integer`, 'INVALID_' + name.toUpperCase(), { received: value });
+  }
+  return parsed;
+}
+
+/**
+ * Fingerprint of the filters and sort, embedded in cursors so a cursor
+ * cannot be replayed against a different result set
+ * @private
+ */
+function queryHash(query) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([query.filters, query.dateRange, query.sort]))
+    .digest('base64url')
+    .substring(0, 12);
+}
+
+/**
+ * Encode an opaque pagination cursor
+ * @private
+ */
+function encodeCursor(offset, query) {
+  return Buffer.from(JSON.stringify({ o: offset, q: queryHash(query) })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor produced by encodeCursor
+ * @private
+ */
+function decodeCursor(cursor, query) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new DashboardQueryError('cursor is malformed', 'INVALID_CURSOR');
+  }
+
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new DashboardQueryError('cursor is malformed', 'INVALID_CURSOR');
+  }
+  if (decoded.q !== queryHash(query)) {
+    throw new DashboardQueryError(
+      'cursor does not match the current filters or sort',
+      'CURSOR_QUERY_MISMATCH',
+      { suggestion: 'Restart pagination without a cursor after changing filters' }
+    );
+  }
+  return decoded.o;
+}
+
+/**
+ * Parse Express query parameters into a DashboardQuery
+ * @param {Object} params - `req.query`
+ * @returns {DashboardQuery}
+ * @throws {DashboardQueryError} When a parameter is invalid
+ */
+function parseDashboardQuery(params = {}) {
+  const query = {
+    filters: {},
+    dateRange: { from: null, to: null },
+    sort: { field: null, direction: 'asc' },
+    page: { limit: null, offset: 0 }
+  };
+
+  FILTER_FIELDS.forEach(field => {
+    if (params[field] === undefined) return;
+    const values = parseList(params[field]);
+    if (values.length > 0) {
+      query.filters[field] = values;
+    }
+  });
+
+  ['from', 'to'].forEach(bound => {
+    if (!params[bound]) return;
+    if (!DATE_PATTERN.test(params[bound])) {
+      throw new DashboardQueryError(`${bound} must be a date in YYYY-MM-DD format`, 'INVALID_DATE', { received: params[bound] });
+    }
+    query.dateRange[bound] = params[bound];
+  });
+
+  if (query.dateRange.from && query.dateRange.to && query.dateRange.from > query.dateRange.to) {
+    throw new DashboardQueryError('from must not be after to', 'INVALID_DATE_RANGE', query.dateRange);
+  }
+
+  if (params.sort) {
+    if (!SORT_FIELDS.includes(params.sort)) {
+      throw new DashboardQueryError(`Cannot sort by "${params.sort}"`, 'INVALID_SORT', { allowed: SORT_FIELDS });
+    }
+    query.sort.field = params.sort;
+  }
+
+  if (params.direction) {
+    const direction = String(params.direction).toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new DashboardQueryError('direction must be "asc" or "desc"', 'INVALID_DIRECTION', { received: params.direction });
+    }
+    query.sort.direction = direction;
+  }
+
+  if (params.limit !== undefined && params.limit !== '') {
+    const limit = parseNonNegativeInt(params.limit, 'limit');
+    if (limit === 0 || limit > MAX_LIMIT) {
+      throw new DashboardQueryError(`limit must be between 1 and ${MAX_LIMIT}`, 'INVALID_LIMIT', { received: params.limit });
+    }
+    query.page.limit = limit;
+  }
+
+  if (params.cursor && params.offset !== undefined) {
+    throw new DashboardQueryError('Use either cursor or offset, not both', 'CONFLICTING_PAGINATION');
+  }
+
+  if (params.cursor) {
+    query.page.offset = decodeCursor(params.cursor, query);
+  } else if (params.offset !== undefined && params.offset !== '') {
+    query.page.offset = parseNonNegativeInt(params.offset, 'offset');
+  }
+
+  return query;
+}
+
+/**
+ * Whether a row passes the query's field and date filters
+ * @param {Object} row - Normalized IMEI row
+ * @param {DashboardQuery} query
+ * @returns {boolean}
+ */
+function matchesQuery(row, query) {
+  for (const [field, values] of Object.entries(query.filters)) {
+    const rowValue = String(row[field] || '').trim().toLowerCase();
+    if (!values.includes(rowValue)) return false;
+  }
+
+  const { from, to } = query.dateRange;
+  if (from || to) {
+    const day = dateKey(row.date);
+    if (!day) return false;
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Comparator for the requested sort field
+ * @private
+ */
+function compareRows(field, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+
+  const valueOf = (row) => {
+    if (field === 'date') return parseRowDate(row.date);
+    if (NUMERIC_SORT_FIELDS.includes(field)) {
+      const num = parseFloat(row[field]);
+      return isNaN(num) ? null : num;
+    }
+    return String(row[field] || '').toLowerCase();
+  };
+
+  return (a, b) => {
+    const av = valueOf(a);
+    const bv = valueOf(b);
+
+    // Missing values always sort last regardless of direction
+    if (av === null || av === '') return bv === null || bv === '' ? 0 : 1;
+    if (bv === null || bv === '') return -1;
+    if (av < bv) return -sign;
+    if (av > bv) return sign;
+    // Tie-break on IMEI so pages are stable between requests
+    return String(a.imei).localeCompare(String(b.imei));
+  };
+}
+
+/**
+ * Filter, sort and page a set of rows
+ * @param {Array<Object>} rows - Normalized IMEI rows
+ * @param {DashboardQuery} query - Parsed query
+ * @returns {{data: Array<Object>, matchedRows: number, pagination: Object}}
+ */
+function applyDashboardQuery(rows, query) {
+  let matched = rows.filter(row => matchesQuery(row, query));
+
+  if (query.sort.field) {
+    matched = matched.slice().sort(compareRows(query.sort.field, query.sort.direction));
+  }
+
+  const { limit, offset } = query.page;
+  const end = limit ? offset + limit : matched.length;
+  const data = matched.slice(offset, end);
+  const hasMore = end < matched.length;
+
+  return {
+    data,
+    matchedRows: matched.length,
+    pagination: {
+      offset,
+      limit,
+      hasMore,
+      nextOffset: hasMore ? end : null,
+      nextCursor: hasMore ? encodeCursor(end, query) : null
+    }
+  };
+}
+
+module.exports = {
+  DashboardQueryError,
+  FILTER_FIELDS,
+  SORT_FIELDS,
+  parseDashboardQuery,
+  applyDashboardQuery,
+  matchesQuery,
+  parseRowDate,
+  dateKey
+};
@@ -0,0 +1,135 @@
+/**
+ * Test suite for dashboard filtering, sorting and pagination
+ */
+
+const {
+  DashboardQueryError,
+  parseDashboardQuery,
+  applyDashboardQuery,
+  parseRowDate,
+  dateKey
+} = require('./dashboard-query');
+
+const ROWS = [
+  { imei: '353238100433431', model: '11 PRO', capacity: '256GB', color: 'SPACE GRAY', lock_status: 'UNLOCKED', grade: 'TRUE', total: '175.27', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' },
+  { imei: '353238106841256', model: '11 PRO', capacity: '64GB', color: 'GOLD', lock_status: 'LOCKED', grade: 'TRUE', total: '120', date: '2025-11-17 14:02:00', invoice: '20958', invtype: 'raw' },
+  { imei: '356789012345678', model: '13', capacity: '128GB', color: 'BLUE', lock_status: 'UNLOCKED', grade: 'FALSE', total: '310.5', date: '2025-11-18 10:15:00', invoice: '20997', invtype: 'A GRADE' },
+  { imei: '359876543210987', model: '13', capacity: '128GB', color: 'MIDNIGHT', lock_status: 'UNLOCKED', grade: 'TRUE', total: '', date: '2025-10-30 8:00:00', invoice: '21005', invtype: 'mixed' }
+];
+
+describe('parseDashboardQuery', () => {
+  test('should return an empty query when no parameters are given', () => {
+    const query = parseDashboardQuery({});
+
+    expect(query.filters).toEqual({});
+    expect(query.dateRange).toEqual({ from: null, to: null });
+    expect(query.sort).toEqual({ field: null, direction: 'asc' });
+    expect(query.page).toEqual({ limit: null, offset: 0 });
+  });
+
+  test('should split comma-separated filters and ignore "all"', () => {
+    const query = parseDashboardQuery({ model: '11 PRO, 13', invtype: 'all', color: 'Gold' });
+
+    expect(query.filters).toEqual({ model: ['11 pro', '13'], color: ['gold'] });
+  });
+
+  test('should reject malformed dates and inverted ranges', () => {
+    expect(() => parseDashboardQuery({ from: '11/18/2025' })).toThrow(DashboardQueryError);
+    expect(() => parseDashboardQuery({ from: '2025-11-18', to: '2025-11-01' })).toThrow('from must not be after to');
+  });
+
+  test('should reject unknown sort fields and directions', () => {
+    expect(() => parseDashboardQuery({ sort: 'customer' })).toThrow('Cannot sort by "customer"');
+    expect(() => parseDashboardQuery({ sort: 'date', direction: 'up' })).toThrow(DashboardQueryError);
+  });
+
+  test('should validate limit and offset', () => {
+    expect(() => parseDashboardQuery({ limit: '0' })).toThrow(DashboardQueryError);
+    expect(() => parseDashboardQuery({ limit: 'abc' })).toThrow(DashboardQueryError);
+    expect(() => parseDashboardQuery({ offset: '-1' })).toThrow(DashboardQueryError);
+    expect(parseDashboardQuery({ limit: '50', offset: '100' }).page).toEqual({ limit: 50, offset: 100 });
+  });
+
+  test('should reject cursor and offset together', () => {
+    expect(() => parseDashboardQuery({ cursor: 'abc', offset: '10' })).toThrow('Use either cursor or offset');
+  });
+});
+
+describe('applyDashboardQuery', () => {
+  test('should preserve sheet order and return everything by default', () => {
+    const result = applyDashboardQuery(ROWS, parseDashboardQuery({}));
+
+    expect(result.data).toEqual(ROWS);
+    expect(result.matchedRows).toBe(4);
+    expect(result.pagination.hasMore).toBe(false);
+  });
+
+  test('should filter by fields case-insensitively', () => {
+    const result = applyDashboardQuery(ROWS, parseDashboardQuery({ model: '13', lock_status: 'unlocked', invtype: 'A GRADE,mixed' }));
+
+    expect(result.data.map(r => r.invoice)).toEqual(['20997', '21005']);
+  });
+
+  test('should filter by inclusive date range', () => {
+    const result = applyDashboardQuery(ROWS, parseDashboardQuery({ from: '2025-11-17', to: '2025-11-17' }));
+
+    expect(result.data.map(r => r.invoice)).toEqual(['20958']);
+  });
+
+  test('should sort dates chronologically despite unpadded hours', () => {
+    const result = applyDashboardQuery(ROWS, parseDashboardQuery({ sort: 'date', direction: 'desc' }));
+
+    expect(result.data.map(r => r.invoice)).toEqual(['20997', '20959', '20958', '21005']);
+  });
+
+  test('should sort totals numerically with blanks last', () => {
+    const asc = applyDashboardQuery(ROWS, parseDashboardQuery({ sort: 'total' }));
+    const desc = applyDashboardQuery(ROWS, parseDashboardQuery({ sort: 'total', direction: 'desc' }));
+
+    expect(asc.data.map(r => r.total)).toEqual(['120', '175.27', '310.5', '']);
+    expect(desc.data.map(r => r.total)).toEqual(['310.5', '175.27', '120', '']);
+  });
+
+  test('should page with offsets and report totals', () => {
+    const result = applyDashboardQuery(ROWS, parseDashboardQuery({ limit: '3', offset: '2' }));
+
+    expect(result.data).toHaveLength(2);
+    expect(result.matchedRows).toBe(4);
+    expect(result.pagination).toMatchObject({ offset: 2, limit: 3, hasMore: false, nextCursor: null });
+  });
+
+  test('should walk every row exactly once using cursors', () => {
+    const params = { sort: 'imei', limit: '3' };
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const query = parseDashboardQuery(cursor ? { ...params, cursor } : params);
+      const result = applyDashboardQuery(ROWS, query);
+      seen.push(...result.data.map(r => r.imei));
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(ROWS.map(r => r.imei).sort());
+  });
+
+  test('should refuse a cursor from a different query', () => {
+    const first = applyDashboardQuery(ROWS, parseDashboardQuery({ sort: 'imei', limit: '1' }));
+
+    expect(() => parseDashboardQuery({ sort: 'total', limit: '1', cursor: first.pagination.nextCursor }))
+      .toThrow('cursor does not match');
+  });
+});
+
+describe('date helpers', () => {
+  test('parseRowDate should handle sheet timestamps', () => {
+    expect(parseRowDate('2025-11-18 9:30:27')).toBe(new Date(2025, 10, 18, 9, 30, 27).getTime());
+    expect(parseRowDate('2025-11-18')).toBe(new Date(2025, 10, 18).getTime());
+    expect(parseRowDate('not a date')).toBeNull();
+  });
+
+  test('dateKey should return the day portion', () => {
+    expect(dateKey('2025-11-18 9:30:27')).toBe('2025-11-18');
+    expect(dateKey('')).toBe('');
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Test suite for the data source adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TtlCache } = require('../ttl-cache');
+const { createDataSource, DATA_SOURCES } = require('./index');
+const { fetchAllPages } = require('./snowflake');
+
+const silent = { log: () => {}, warn: () => {} };
+
+const IMEI_ROW = {
+  imei: '356789012345678',
+  model: 'iPhone 13',
+  capacity: '128GB',
+  color: 'Blue',
+  lock_status: 'Unlocked',
+  grade: 'A',
+  total: '310',
+  date: '2025-11-18 9:30:27',
+  invoice: '20997',
+  invtype: 'WHOLESALE',
+  customer: '',
+  tracking: ''
+};
+
+const CUSTOMER_ROW = {
+  COMPANY_NAME: 'Acme Wireless',
+  MODEL: 'iPhone 13',
+  GB: '128',
+  INVTYPE: 'WHOLESALE',
+  UNITS: '1',
+  INVNO: '20997',
+  QBO_TRANSACTION_DATE: '2025-11-18',
+  AVG_PRICE: '310'
+};
+
+function mockSheetsClient(ranges) {
+  const calls = [];
+  return {
+    calls,
+    spreadsheets: {
+      values: {
+        get: async ({ spreadsheetId, range }) => {
+          calls.push(`${spreadsheetId}!${range}`);
+          return { data: { values: ranges[range] } };
+        }
+      }
+    }
+  };
+}
+
+describe('createDataSource', () => {
+  test('should list the supported sources', () => {
+    expect(DATA_SOURCES).toEqual(['sheets', 'snowflake', 'fake']);
+  });
+
+  test('should reject unknown sources', () => {
+    expect(() => createDataSource('excel')).toThrow('Unknown DATA_SOURCE "excel"');
+  });
+});
+
+describe('sheets data source', () => {
+  const env = { GOOGLE_SHEET_ID: 'sheet-1' };
+
+  test('should map IMEI rows to the dashboard-data shape', async () => {
+    const client = mockSheetsClient({
+      'outbound IMEIs!A3:J': [['356789012345678', 'iPhone 13', '128GB', 'Blue', 'Unlocked', 'A', '310', '2025-11-18 9:30:27', '20997', 'WHOLESALE']]
+    });
+    const source = createDataSource('sheets', { getClient: () => client, cache: new TtlCache(), env, logger: silent });
+
+    const result = await source.loadImeiRows();
+
+    expect(result.rows).toEqual([IMEI_ROW]);
+    expect(result.details).toEqual({ source: 'sheets', sheetId: 'sheet-1', sheetName: 'outbound IMEIs' });
+    expect(result.cache.cached).toBe(false);
+  });
+
+  test('should skip the customer header row and serve repeats from cache', async () => {
+    const client = mockSheetsClient({
+      'RAW CUSTOMER DATA!A2:H': [
+        ['COMPANY_NAME', 'MODEL', 'GB', 'INVTYPE', 'UNITS', 'INVNO', 'QBO_TRANSACTION_DATE', 'AVG_PRICE'],
+        ['Acme Wireless', 'iPhone 13', '128', 'WHOLESALE', '1', '20997', '2025-11-18', '310']
+      ]
+    });
+    const source = createDataSource('sheets', { getClient: () => client, cache: new TtlCache(), env, logger: silent });
+
+    await source.loadCustomerRows();
+    const result = await source.loadCustomerRows();
+
+    expect(result.rows).toEqual([CUSTOMER_ROW]);
+    expect(result.cache.cached).toBe(true);
+    expect(client.calls).toHaveLength(1);
+  });
+
+  test('should report unconfigured without a client', () => {
+    const source = createDataSource('sheets', { getClient: () => null, cache: new TtlCache(), env });
+
+    expect(source.isConfigured()).toBe(false);
+  });
+});
+
+describe('snowflake data source', () => {
+  const env = { SNOWFLAKE_USERNAME: 'svc', SNOWFLAKE_PASSWORD: 'secret' };
+  const client = {
+    fetchIMEIData: async () => ({ rows: [{
+      IMEI: '356789012345678',
+      MODEL: 'iPhone 13',
+      CAPACITY: '128GB',
+      COLOR: 'Blue',
+      LOCK_STATUS: 'Unlocked',
+      GRADE: 'A',
+      PRICE: 310,
+      UPDATED_AT: new Date(Date.UTC(2025, 10, 18, 9, 30, 27)),
+      INVNO: 20997,
+      INVTYPE: 'WHOLESALE'
+    }] }),
+    fetchCustomerData: async () => ({ rows: [{
+      COMPANY_NAME: 'Acme Wireless',
+      MODEL: 'iPhone 13',
+      GB: 128,
+      INVTYPE: 'WHOLESALE',
+      UNITS: 1,
+      INVNO: '20997',
+      QBO_TRANSACTION_DATE: new Date(Date.UTC(2025, 10, 18)),
+      AVG_PRICE: 310
+    }] })
+  };
+
+  test('should return the same row shapes as the sheets source', async () => {
+    const source = createDataSource('snowflake', { loadClient: () => client, cache: new TtlCache(), env, logger: silent });
+
+    const imei = await source.loadImeiRows();
+    const customers = await source.loadCustomerRows();
+
+    expect(imei.rows).toEqual([{ ...IMEI_ROW, date: '2025-11-18 09:30:27' }]);
+    expect(customers.rows).toEqual([CUSTOMER_ROW]);
+    expect(imei.details).toMatchObject({ source: 'snowflake', table: 'SCAL.OUTBOUND.AUTOMATED' });
+  });
+
+  test('should read every keyset page instead of one unbounded select', async () => {
+    const record = (imei) => ({ IMEI: imei, PRICE: 100, INVNO: 20997, UPDATED_AT: new Date(Date.UTC(2025, 10, 18)) });
+    const fetchIMEIData = jest.fn(async (filters, page) => (page.cursor
+      ? { rows: [record('3')], hasMore: false, nextCursor: null }
+      : { rows: [record('1'), record('2')], hasMore: true, nextCursor: 'c1' }));
+    const source = createDataSource('snowflake', {
+      loadClient: () => ({ ...client, fetchIMEIData }),
+      cache: new TtlCache(),
+      env: { ...env, SNOWFLAKE_PAGE_SIZE: '2' },
+      logger: silent
+    });
+
+    const { rows } = await source.loadImeiRows();
+
+    expect(rows.map(row => row.imei)).toEqual(['1', '2', '3']);
+    expect(fetchIMEIData.mock.calls.map(([, page]) => page)).toEqual([
+      { limit: 2, cursor: null },
+      { limit: 2, cursor: 'c1' }
+    ]);
+  });
+
+  test('should stop when a page does not advance the cursor', async () => {
+    const stuck = async () => ({ rows: [], hasMore: true, nextCursor: null });
+
+    await expect(fetchAllPages(stuck, {}, 10)).rejects.toThrow('did not advance');
+  });
+
+  test('should not load the client until rows are requested', () => {
+    const loadClient = jest.fn(() => client);
+    const source = createDataSource('snowflake', { loadClient, cache: new TtlCache(), env });
+
+    expect(source.isConfigured()).toBe(true);
+    expect(loadClient).not.toHaveBeenCalled();
+  });
+
+  test('should expose pool health and close only once the client is loaded', async () => {
+    const pooled = {
+      ...client,
+      poolStatus: () => ({ created: true, size: 1 }),
+      checkHealth: async () => ({ healthy: true, latencyMs: 5 }),
+      shutdown: jest.fn(async () => {})
+    };
+    const source = createDataSource('snowflake', { loadClient: () => pooled, cache: new TtlCache(), env, logger: silent });
+
+    expect(await source.health()).toEqual({ pool: { created: false } });
+    await source.close();
+    expect(pooled.shutdown).not.toHaveBeenCalled();
+
+    await source.loadImeiRows();
+
+    expect(await source.health({ deep: true })).toEqual({
+      pool: { created: true, size: 1 },
+      check: { healthy: true, latencyMs: 5 }
+    });
+    await source.close();
+    expect(pooled.shutdown).toHaveBeenCalledTimes(1);
+  });
+
+  test('should require a username and a password or key', () => {
+    const source = createDataSource('snowflake', { cache: new TtlCache(), env: { SNOWFLAKE_USERNAME: 'svc' } });
+
+    expect(source.isConfigured()).toBe(false);
+  });
+});
+
+describe('fake data source', () => {
+  test('should serve rows passed directly', async () => {
+    const source = createDataSource('fake', { imeiRows: [{ imei: '1', invoice: '20997' }] });
+
+    const { rows, details } = await source.loadImeiRows();
+
+    expect(rows).toEqual([{ imei: '1', invoice: '20997', customer: '', tracking: '' }]);
+    expect(details.source).toBe('fake');
+  });
+
+  test('should load rows from a JSON fixture', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fake-source-')), 'data.json');
+    fs.writeFileSync(file, JSON.stringify({ imeiRows: [IMEI_ROW], customerRows: [CUSTOMER_ROW] }));
+
+    const source = createDataSource('fake', { file });
+
+    expect((await source.loadImeiRows()).rows).toEqual([IMEI_ROW]);
+    expect((await source.loadCustomerRows()).rows).toEqual([CUSTOMER_ROW]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * In-memory fake data source for local development and tests
+ *
+ * Serves fixed IMEI and customer rows without any network access. Rows can be
+ * passed directly or loaded from a JSON fixture file shaped like
+ * `{ "imeiRows": [...], "customerRows": [...] }` (set FAKE_DATA_FILE).
+ *
+ * @module data-sources/fake
+ */
+
+const fs = require('fs');
+
+/**
+ * Create the fake data source
+ * @param {Object} [deps]
+ * @param {Array<Object>} [deps.imeiRows] - Dashboard-data shaped rows
+ * @param {Array<Object>} [deps.customerRows] - Customer-data shaped rows
+ * @param {string} [deps.file] - JSON fixture path (used when rows are not given)
+ * @returns {import('./index').DataSource}
+ */
+function createFakeDataSource({ imeiRows, customerRows, file } = {}) {
+  let fixture = { imeiRows: imeiRows || [], customerRows: customerRows || [] };
+
+  if (!imeiRows && !customerRows && file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fixture = { imeiRows: parsed.imeiRows || [], customerRows: parsed.customerRows || [] };
+  }
+
+  const loadedAt = new Date().toISOString();
+  const cache = { cached: false, cacheAge: 0, fetchedAt: loadedAt };
+  const details = { source: 'fake', file: file || null };
+
+  return {
+    name: 'fake',
+    configurationHint: 'Set FAKE_DATA_FILE to a JSON fixture with imeiRows and customerRows',
+
+    isConfigured() {
+      return true;
+    },
+
+    async loadImeiRows() {
+      return {
+        rows: fixture.imeiRows.map(row => ({ customer: '', tracking: '', ...row })),
+        cache,
+        details
+      };
+    },
+
+    async loadCustomerRows() {
+      return { rows: fixture.customerRows.map(row => ({ ...row })), cache, details };
+    }
+  };
+}
+
+module.exports = {
+  createFakeDataSource
+};
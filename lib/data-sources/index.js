@@ -0,0 +1,63 @@
+/**
+ * Data source selection
+ *
+ * The dashboard, customer and historical routes read rows through a data
+ * source so they can be served from Google Sheets, Snowflake or a local fake
+ * with identical response shapes. Select one with DATA_SOURCE
+ * (`sheets` by default, `snowflake` or `fake`).
+ *
+ * @module data-sources
+ */
+
+const { createSheetsDataSource } = require('./sheets');
+const { createSnowflakeDataSource } = require('./snowflake');
+const { createFakeDataSource } = require('./fake');
+
+/**
+ * Result of a data source load
+ * @typedef {Object} LoadResult
+ * @property {Array<Object>} rows - Rows in the common shape
+ * @property {{cached: boolean, cacheAge: number, fetchedAt: string}} cache - Cache metadata
+ * @property {Object} details - Source description included in API responses
+ */
+
+/**
+ * Data source contract
+ * @typedef {Object} DataSource
+ * @property {string} name - 'sheets', 'snowflake' or 'fake'
+ * @property {string} configurationHint - Shown when the source is not configured
+ * @property {Function} isConfigured - () => boolean
+ * @property {Function} loadImeiRows - ({ refresh }) => Promise<LoadResult>
+ * @property {Function} loadCustomerRows - ({ refresh }) => Promise<LoadResult>
+ * @property {Function} [health] - ({ deep }) => Promise<Object>, source-specific health details
+ * @property {Function} [close] - () => Promise<void>, releases connections on shutdown
+ */
+
+const DATA_SOURCES = ['sheets', 'snowflake', 'fake'];
+
+/**
+ * Create the configured data source
+ * @param {string} name - One of DATA_SOURCES
+ * @param {Object} deps - Dependencies for the adapter (see each adapter)
+ * @returns {DataSource}
+ */
+function createDataSource(name, deps = {}) {
+  switch (name) {
+    case 'sheets':
+      return createSheetsDataSource(deps);
+    case 'snowflake':
+      return createSnowflakeDataSource(deps);
+    case 'fake':
+      return createFakeDataSource(deps);
+    default:
+      throw new Error(`Unknown DATA_SOURCE "${name}" (expected one of: ${DATA_SOURCES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  DATA_SOURCES,
+  createDataSource,
+  createSheetsDataSource,
+  createSnowflakeDataSource,
+  createFakeDataSource
+};
@@ -0,0 +1,115 @@
+/**
+ * Google Sheets data source
+ *
+ * Reads the `outbound IMEIs` and `RAW CUSTOMER DATA` sheets through the
+ * shared TTL cache and converts them to the common row shapes.
+ *
+ * @module data-sources/sheets
+ */
+
+const IMEI_COLUMNS = ['imei', 'model', 'capacity', 'color', 'lock_status', 'grade', 'total', 'date', 'invoice', 'invtype'];
+const CUSTOMER_COLUMNS = ['COMPANY_NAME', 'MODEL', 'GB', 'INVTYPE', 'UNITS', 'INVNO', 'QBO_TRANSACTION_DATE', 'AVG_PRICE'];
+
+/**
+ * Convert a raw `outbound IMEIs` row to the dashboard-data shape
+ * Actual columns: imei, model, capacity, color, lock_status, graded, price, updated_at, invno, invtype
+ * @param {Array<string>} row - Sheet row values
+ * @returns {Object}
+ */
+function toImeiRow(row) {
+  const obj = {};
+  IMEI_COLUMNS.forEach((field, index) => {
+    obj[field] = row[index] || '';
+  });
+  // Not in sheet, joined from Notion/customer data by invoice enrichment
+  obj.customer = '';
+  obj.tracking = '';
+  return obj;
+}
+
+/**
+ * Convert a raw RAW CUSTOMER DATA row to an object keyed by column name
+ * @param {Array<string>} row - Sheet row values
+ * @returns {Object}
+ */
+function toCustomerRow(row) {
+  const obj = {};
+  CUSTOMER_COLUMNS.forEach((header, index) => {
+    obj[header] = row[index] || '';
+  });
+  return obj;
+}
+
+/**
+ * Create the Google Sheets data source
+ * @param {Object} deps
+ * @param {Function} deps.getClient - Returns the googleapis sheets client, or null
+ * @param {import('../ttl-cache').TtlCache} deps.cache - Cache for range reads
+ * @param {Object} [deps.env=process.env] - Environment (sheet IDs and names)
+ * @param {Object} [deps.logger=console] - Logger
+ * @returns {import('./index').DataSource}
+ */
+function createSheetsDataSource({ getClient, cache, env = process.env, logger = console }) {
+  const imeiSheet = () => ({
+    sheetId: env.GOOGLE_SHEET_ID,
+    sheetName: env.GOOGLE_SHEET_NAME || 'outbound IMEIs'
+  });
+  const customerSheet = () => ({
+    sheetId: env.GOOGLE_CUSTOMER_SHEET_ID || env.GOOGLE_SHEET_ID,
+    sheetName: env.GOOGLE_CUSTOMER_SHEET_NAME || 'RAW CUSTOMER DATA'
+  });
+
+  async function readRange(spreadsheetId, range, options = {}) {
+    return cache.getOrLoad(`${spreadsheetId}!${range}`, async () => {
+      logger.log(`📥 Downloading ${range} from spreadsheet ${spreadsheetId}...`);
+      const response = await getClient().spreadsheets.values.get({ spreadsheetId, range });
+      return response.data.values || [];
+    }, { refresh: options.refresh });
+  }
+
+  return {
+    name: 'sheets',
+    configurationHint: 'Please configure GOOGLE_SHEET_ID, GOOGLE_SERVICE_ACCOUNT_EMAIL, and GOOGLE_PRIVATE_KEY_BASE64 in .env',
+
+    isConfigured() {
+      return !!getClient();
+    },
+
+    async loadImeiRows(options = {}) {
+      const { sheetId, sheetName } = imeiSheet();
+      logger.log(`📊 Fetching IMEI data from Google Sheets: ${sheetId}/${sheetName}...`);
+
+      // Headers in row 2, data starts row 3
+      const result = await readRange(sheetId, `${sheetName}!A3:J`, options);
+      return {
+        rows: result.value.map(toImeiRow),
+        cache: result,
+        details: { source: 'sheets', sheetId, sheetName }
+      };
+    },
+
+    async loadCustomerRows(options = {}) {
+      const { sheetId, sheetName } = customerSheet();
+      logger.log(`👥 Fetching customer data from Google Sheets: ${sheetId}/${sheetName}...`);
+
+      // Headers in row 1, data starts row 2
+      const result = await readRange(sheetId, `${sheetName}!A2:H`, options);
+      const rows = result.value
+        // Skip header row if it exists (first row contains "COMPANY_NAME")
+        .filter((row, index) => !(index === 0 && row[0] === 'COMPANY_NAME'))
+        .map(toCustomerRow);
+
+      return {
+        rows,
+        cache: result,
+        details: { source: 'sheets', sheetId, sheetName }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSheetsDataSource,
+  toImeiRow,
+  toCustomerRow
+};
@@ -0,0 +1,188 @@
+/**
+ * Snowflake data source
+ *
+ * Serves IMEI rows from SCAL.OUTBOUND.AUTOMATED and customer rows from
+ * SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS via snowflake-client.js, converted
+ * to the same shapes as the Google Sheets source. Results are read in
+ * keyset pages of SNOWFLAKE_PAGE_SIZE rows (see snowflake-queries.js) rather
+ * than one unbounded select, so no single statement holds the whole table.
+ *
+ * @module data-sources/snowflake
+ */
+
+const { MAX_LIMIT } = require('../snowflake-queries');
+
+/**
+ * Format a Snowflake value as the text the sheets contain
+ * TIMESTAMP_NTZ/DATE values arrive as Date objects holding UTC wall-clock time.
+ * @param {*} value
+ * @param {boolean} [dateOnly=false] - Drop the time portion
+ * @returns {string}
+ */
+function formatValue(value, dateOnly = false) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return dateOnly ? iso.substring(0, 10) : iso.substring(0, 19).replace('T', ' ');
+  }
+  return String(value);
+}
+
+/**
+ * Convert a SCAL.OUTBOUND.AUTOMATED record to the dashboard-data shape
+ * @param {Object} record - Snowflake row (upper-case column names)
+ * @returns {Object}
+ */
+function toImeiRow(record) {
+  return {
+    imei: formatValue(record.IMEI),
+    model: formatValue(record.MODEL),
+    capacity: formatValue(record.CAPACITY),
+    color: formatValue(record.COLOR),
+    lock_status: formatValue(record.LOCK_STATUS),
+    grade: formatValue(record.GRADE ?? record.GRADED),
+    total: formatValue(record.PRICE),
+    date: formatValue(record.UPDATED_AT),
+    invoice: formatValue(record.INVNO),
+    invtype: formatValue(record.INVTYPE),
+    customer: '',
+    tracking: ''
+  };
+}
+
+/**
+ * Convert an aggregated B2B_OUTBOUND_LOGS record to the customer-data shape
+ * @param {Object} record - Row from fetchCustomerData
+ * @returns {Object}
+ */
+function toCustomerRow(record) {
+  return {
+    COMPANY_NAME: formatValue(record.COMPANY_NAME),
+    MODEL: formatValue(record.MODEL),
+    GB: formatValue(record.GB),
+    INVTYPE: formatValue(record.INVTYPE),
+    UNITS: formatValue(record.UNITS),
+    INVNO: formatValue(record.INVNO),
+    QBO_TRANSACTION_DATE: formatValue(record.QBO_TRANSACTION_DATE, true),
+    AVG_PRICE: formatValue(record.AVG_PRICE)
+  };
+}
+
+const DEFAULT_PAGE_SIZE = 5000;
+
+/**
+ * Read every page of a fetcher, following nextCursor
+ * @param {Function} fetchPage - fetchIMEIData or fetchCustomerData
+ * @param {Object} filters - Fetcher filters
+ * @param {number} pageSize - Rows per statement
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllPages(fetchPage, filters, pageSize) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const page = await fetchPage(filters, { limit: pageSize, cursor });
+    rows.push(...page.rows);
+    if (page.hasMore && (!page.nextCursor || page.nextCursor === cursor)) {
+      throw new Error('Snowflake page did not advance the cursor');
+    }
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor);
+  return rows;
+}
+
+/**
+ * Rows per Snowflake statement from SNOWFLAKE_PAGE_SIZE
+ * @private
+ */
+function parsePageSize(value) {
+  const size = parseInt(value, 10);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_LIMIT ? size : DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Create the Snowflake data source
+ * @param {Object} deps
+ * @param {import('../ttl-cache').TtlCache} deps.cache - Cache for query results
+ * @param {Function} [deps.loadClient] - Returns the snowflake-client module (loaded lazily
+ *   because it connects and validates credentials on require)
+ * @param {Object} [deps.env=process.env] - Environment
+ * @param {Object} [deps.logger=console] - Logger
+ * @returns {import('./index').DataSource}
+ */
+function createSnowflakeDataSource({ cache, loadClient, env = process.env, logger = console }) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = loadClient ? loadClient() : require('../../snowflake-client');
+    }
+    return client;
+  };
+
+  const details = { source: 'snowflake', account: env.SNOWFLAKE_ACCOUNT || 'jyb98982' };
+  const pageSize = parsePageSize(env.SNOWFLAKE_PAGE_SIZE);
+
+  return {
+    name: 'snowflake',
+    configurationHint: 'Please configure SNOWFLAKE_USERNAME and SNOWFLAKE_PASSWORD or SNOWFLAKE_PRIVATE_KEY_BASE64 in .env',
+
+    isConfigured() {
+      return !!env.SNOWFLAKE_USERNAME && !!(env.SNOWFLAKE_PASSWORD || env.SNOWFLAKE_PRIVATE_KEY_BASE64);
+    },
+
+    async loadImeiRows(options = {}) {
+      logger.log('📊 Fetching IMEI data from Snowflake: SCAL.OUTBOUND.AUTOMATED...');
+      const result = await cache.getOrLoad('snowflake:imei', async () => {
+        const rows = await fetchAllPages(getClient().fetchIMEIData, {}, pageSize);
+        return rows.map(toImeiRow);
+      }, { refresh: options.refresh });
+
+      return { rows: result.value, cache: result, details: { ...details, table: 'SCAL.OUTBOUND.AUTOMATED' } };
+    },
+
+    async loadCustomerRows(options = {}) {
+      logger.log('👥 Fetching customer data from Snowflake: SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS...');
+      const result = await cache.getOrLoad('snowflake:customers', async () => {
+        const rows = await fetchAllPages(getClient().fetchCustomerData, {}, pageSize);
+        return rows.map(toCustomerRow);
+      }, { refresh: options.refresh });
+
+      return { rows: result.value, cache: result, details: { ...details, table: 'SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS' } };
+    },
+
+    /**
+     * Connection pool counters, and a live query when `deep` is set
+     * @param {Object} [options]
+     * @param {boolean} [options.deep=false] - Run a health-check query through the pool
+     * @returns {Promise<Object>}
+     */
+    async health(options = {}) {
+      if (!client) {
+        return { pool: { created: false } };
+      }
+      const health = { pool: client.poolStatus() };
+      if (options.deep) {
+        health.check = await client.checkHealth();
+      }
+      return health;
+    },
+
+    /**
+     * Drain the connection pool (no-op if Snowflake was never queried)
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (client) {
+        await client.shutdown();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSnowflakeDataSource,
+  toImeiRow,
+  toCustomerRow,
+  formatValue,
+  fetchAllPages
+};
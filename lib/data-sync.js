@@ -0,0 +1,237 @@
+/**
+ * Scheduled sync from the data source into the local stores
+ *
+ * Every SYNC_INTERVAL_MINUTES the IMEI and customer rows are read in full
+ * from the data source (the `outbound IMEIs` and `RAW CUSTOMER DATA` sheets
+ * by default), bypassing the cache, and applied to the local stores: new,
+ * changed and removed IMEI rows (by IMEI + invoice) go to the IMEI history,
+ * and the customer rows replace the local copy. Report routes then read the
+ * local stores instead of downloading and re-aggregating the sheets.
+ *
+ * Each target is synced independently, so a failing customer sheet does not
+ * hold back the IMEI rows. Runs never overlap.
+ *
+ * The last run and the last success per target are written to a status file
+ * (SYNC_STATUS_FILE, default sync-status.json next to the IMEI history) and
+ * read back on start, so a restart keeps serving the stores instead of going
+ * back to the data source until the first run has finished.
+ *
+ * @module data-sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outcome of one sync run
+ * @typedef {Object} SyncRun
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} finishedAt - ISO timestamp
+ * @property {number} durationMs
+ * @property {boolean} ok - No target failed
+ * @property {Object|null} imei - Row count and deltas ({ rows, added, changed, removed, unchanged, ignored }), null if it failed
+ * @property {Object|null} customers - Row count and deltas ({ rows, added, changed, removed, unchanged }), null if it failed
+ * @property {Array<{target: string, message: string, code?: string}>} errors
+ */
+
+/**
+ * Read SYNC_INTERVAL_MINUTES
+ * @param {Object} [env=process.env]
+ * @returns {number} Minutes between runs; 0 disables the schedule
+ */
+function readSyncInterval(env = process.env) {
+  const minutes = parseFloat(env.SYNC_INTERVAL_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 10;
+}
+
+/**
+ * Read a status file written by a previous process
+ * @private
+ * @returns {Object|null} null when missing or unreadable
+ */
+function readStatusFile(file, logger) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`⚠️  Ignoring unreadable sync status ${file}:`, error.message);
+    return null;
+  }
+}
+
+function formatDeltas(deltas) {
+  return deltas ? `+${deltas.added} ~${deltas.changed} -${deltas.removed}` : 'failed';
+}
+
+/**
+ * Create the sync job
+ * @param {Object} deps
+ * @param {string} deps.source - Data source name recorded with the rows
+ * @param {Function} deps.loadImeiRows - ({ refresh }) => Promise<{rows}>
+ * @param {Function} deps.loadCustomerRows - ({ refresh }) => Promise<{rows}>
+ * @param {import('./imei-store').ImeiStore} deps.imeiHistory
+ * @param {import('./customer-store').CustomerStore} deps.customerStore
+ * @param {string} [deps.statusFile] - Where the last run is kept across restarts (not kept if omitted)
+ * @param {number} [deps.intervalMinutes] - Defaults to readSyncInterval()
+ * @param {Object} [deps.logger=console] - Logger
+ * @param {Function} [deps.now=Date.now] - Clock function, overridable for tests
+ * @returns {Object} Job with runOnce, start, stop and status
+ */
+function createDataSync({
+  source,
+  loadImeiRows,
+  loadCustomerRows,
+  imeiHistory,
+  customerStore,
+  statusFile,
+  intervalMinutes = readSyncInterval(),
+  logger = console,
+  now = Date.now
+}) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const iso = (ms) => new Date(ms).toISOString();
+  const lastSuccess = { imei: null, customers: null };
+  let active = false;
+  let timer = null;
+  let nextRunAt = null;
+  let inFlight = null;
+  let runs = 0;
+  let lastRun = null;
+
+  // Only a status from the same source describes what the stores hold. With
+  // the schedule off nothing keeps the stores current, so a restart goes back
+  // to reading the source until a run succeeds again.
+  const saved = readStatusFile(statusFile, logger);
+  if (saved && saved.source === source) {
+    runs = saved.runs || 0;
+    lastRun = saved.lastRun || null;
+    if (intervalMs > 0 && saved.lastSuccess) {
+      lastSuccess.imei = saved.lastSuccess.imei || null;
+      lastSuccess.customers = saved.lastSuccess.customers || null;
+    }
+  }
+
+  function saveStatus() {
+    if (!statusFile) return;
+    try {
+      fs.mkdirSync(path.dirname(statusFile), { recursive: true });
+      const temp = `${statusFile}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify({ source, runs, lastRun, lastSuccess }, null, 2), { mode: 0o600 });
+      fs.renameSync(temp, statusFile);
+    } catch (error) {
+      logger.error(`❌ Could not save sync status to ${statusFile}:`, error.message);
+    }
+  }
+
+  async function syncTarget(target, load, apply, errors) {
+    try {
+      const { rows } = await load({ refresh: true });
+      const deltas = { rows: rows.length, ...apply(rows) };
+      lastSuccess[target] = iso(now());
+      return deltas;
+    } catch (error) {
+      logger.error(`❌ Sync of ${target} rows from ${source} failed:`, error.message);
+      errors.push({ target, message: error.message, ...(error.code && { code: error.code }) });
+      return null;
+    }
+  }
+
+  async function run() {
+    const started = now();
+    const errors = [];
+
+    const imei = await syncTarget('imei', loadImeiRows, rows => imeiHistory.sync(rows, source), errors);
+    const customers = await syncTarget('customers', loadCustomerRows, rows => customerStore.replace(rows, source), errors);
+
+    const finished = now();
+    runs += 1;
+    lastRun = {
+      startedAt: iso(started),
+      finishedAt: iso(finished),
+      durationMs: finished - started,
+      ok: errors.length === 0,
+      imei,
+      customers,
+      errors
+    };
+
+    logger.log(`🔁 Synced from ${source} in ${lastRun.durationMs} ms: IMEI ${formatDeltas(imei)}, customers ${formatDeltas(customers)}`);
+    saveStatus();
+    return lastRun;
+  }
+
+  /**
+   * Run a sync now, or join the one in progress
+   * @returns {Promise<SyncRun>}
+   */
+  function runOnce() {
+    if (!inFlight) {
+      inFlight = run().finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  function schedule() {
+    nextRunAt = now() + intervalMs;
+    timer = setTimeout(() => {
+      timer = null;
+      nextRunAt = null;
+      runOnce().finally(() => {
+        if (active) schedule();
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for the next sync
+    if (timer.unref) timer.unref();
+  }
+
+  return {
+    runOnce,
+
+    /**
+     * Run a sync now and then every intervalMinutes
+     * @returns {boolean} false when the schedule is disabled or already running
+     */
+    start() {
+      if (intervalMs <= 0 || active) return false;
+      active = true;
+      runOnce().finally(() => {
+        if (active && !timer) schedule();
+      });
+      return true;
+    },
+
+    /**
+     * Stop scheduling; resolves once a run in progress has finished
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      active = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+      if (inFlight) await inFlight;
+    },
+
+    /**
+     * @returns {Object} Schedule, the last run and when each target last synced
+     */
+    status() {
+      return {
+        source,
+        enabled: intervalMs > 0,
+        active,
+        intervalMinutes,
+        running: !!inFlight,
+        runs,
+        nextRunAt: nextRunAt ? iso(nextRunAt) : null,
+        lastRun,
+        lastSuccess: { ...lastSuccess }
+      };
+    }
+  };
+}
+
+module.exports = {
+  readSyncInterval,
+  createDataSync
+};
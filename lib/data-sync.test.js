@@ -0,0 +1,144 @@
+/**
+ * Test suite for the scheduled data source sync
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImeiStore } = require('./imei-store');
+const { CustomerStore } = require('./customer-store');
+const { readSyncInterval, createDataSync } = require('./data-sync');
+
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+const IMEI_ROW = { imei: '353238100433431', model: '11 PRO', total: '175', date: '2025-11-18', invoice: '20959', invtype: 'raw' };
+const CUSTOMER_ROW = { COMPANY_NAME: 'Acme', INVNO: '20959', MODEL: '11 PRO', GB: '256', INVTYPE: 'raw', UNITS: '1' };
+
+function createStores() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+  return {
+    imeiHistory: new ImeiStore({ file: path.join(dir, 'history.ndjson') }),
+    customerStore: new CustomerStore({ file: path.join(dir, 'customers.json') })
+  };
+}
+
+function createSync(overrides = {}) {
+  let clock = Date.UTC(2025, 10, 18, 12);
+  const source = {
+    imeiRows: [IMEI_ROW],
+    customerRows: [CUSTOMER_ROW],
+    loadImeiRows: jest.fn(async () => ({ rows: source.imeiRows })),
+    loadCustomerRows: jest.fn(async () => ({ rows: source.customerRows }))
+  };
+  const sync = createDataSync({
+    source: 'sheets',
+    loadImeiRows: source.loadImeiRows,
+    loadCustomerRows: source.loadCustomerRows,
+    ...createStores(),
+    intervalMinutes: 5,
+    logger: silent,
+    now: () => (clock += 250),
+    ...overrides
+  });
+  return { sync, source };
+}
+
+describe('readSyncInterval', () => {
+  test('should default to 10 minutes and allow 0 to disable', () => {
+    expect(readSyncInterval({})).toBe(10);
+    expect(readSyncInterval({ SYNC_INTERVAL_MINUTES: '0' })).toBe(0);
+    expect(readSyncInterval({ SYNC_INTERVAL_MINUTES: '2.5' })).toBe(2.5);
+    expect(readSyncInterval({ SYNC_INTERVAL_MINUTES: 'soon' })).toBe(10);
+  });
+});
+
+describe('createDataSync', () => {
+  test('should read both targets fresh and report deltas', async () => {
+    const { sync, source } = createSync();
+
+    await sync.runOnce();
+    source.imeiRows = [{ ...IMEI_ROW, total: '150' }, { ...IMEI_ROW, imei: '353238106841256' }];
+    const run = await sync.runOnce();
+
+    expect(source.loadImeiRows).toHaveBeenCalledWith({ refresh: true });
+    expect(run).toMatchObject({
+      ok: true,
+      durationMs: expect.any(Number),
+      imei: { rows: 2, added: 1, changed: 1, removed: 0 },
+      customers: { rows: 1, added: 0, changed: 0, removed: 0, unchanged: 1 },
+      errors: []
+    });
+    expect(sync.status()).toMatchObject({ runs: 2, running: false, lastRun: run });
+  });
+
+  test('should sync each target independently and record errors', async () => {
+    const { sync, source } = createSync();
+    source.loadCustomerRows.mockRejectedValueOnce(new Error('quota exceeded'));
+
+    const run = await sync.runOnce();
+
+    expect(run.ok).toBe(false);
+    expect(run.imei).toMatchObject({ added: 1 });
+    expect(run.customers).toBeNull();
+    expect(run.errors).toEqual([{ target: 'customers', message: 'quota exceeded' }]);
+    expect(sync.status().lastSuccess).toEqual({ imei: expect.any(String), customers: null });
+  });
+
+  test('should not overlap runs', async () => {
+    const { sync, source } = createSync();
+
+    const [first, second] = await Promise.all([sync.runOnce(), sync.runOnce()]);
+
+    expect(first).toBe(second);
+    expect(source.loadImeiRows).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run on start and then on the interval until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const { sync, source } = createSync();
+
+      expect(sync.start()).toBe(true);
+      expect(sync.start()).toBe(false);
+      await jest.advanceTimersByTimeAsync(0);
+      expect(source.loadImeiRows).toHaveBeenCalledTimes(1);
+      expect(sync.status().nextRunAt).not.toBeNull();
+
+      await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+      expect(source.loadImeiRows).toHaveBeenCalledTimes(2);
+
+      await sync.stop();
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+      expect(source.loadImeiRows).toHaveBeenCalledTimes(2);
+      expect(sync.status()).toMatchObject({ active: false, nextRunAt: null });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should keep the last run and successes across restarts', async () => {
+    const statusFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sync-')), 'sync-status.json');
+    const { sync } = createSync({ statusFile });
+
+    const run = await sync.runOnce();
+    const restarted = createSync({ statusFile }).sync.status();
+
+    expect(restarted).toMatchObject({ runs: 1, lastRun: run, lastSuccess: sync.status().lastSuccess });
+    expect(restarted.lastSuccess.imei).toEqual(expect.any(String));
+    expect(createSync({ statusFile, source: 'snowflake' }).sync.status()).toMatchObject({ runs: 0, lastRun: null, lastSuccess: { imei: null } });
+    expect(createSync({ statusFile, intervalMinutes: 0 }).sync.status()).toMatchObject({ runs: 1, lastSuccess: { imei: null, customers: null } });
+  });
+
+  test('should ignore an unreadable status file', () => {
+    const statusFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sync-')), 'sync-status.json');
+    fs.writeFileSync(statusFile, '{ "source": ');
+
+    expect(createSync({ statusFile }).sync.status()).toMatchObject({ runs: 0, lastRun: null });
+  });
+
+  test('should not schedule when the interval is 0', () => {
+    const { sync } = createSync({ intervalMinutes: 0 });
+
+    expect(sync.start()).toBe(false);
+    expect(sync.status().enabled).toBe(false);
+  });
+});
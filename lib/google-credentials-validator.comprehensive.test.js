@@ -281,7 +281,8 @@ describe('Category 2: Invalid Inputs', () => {
 
       expect(result.valid).toBe(false);
       expect(result.errors.find(e => e.code === 'MISSING_BEGIN_MARKER')).toBeDefined();
-      expect(result.errors[0].keyPreview).toBeDefined();
+      expect(result.errors[0].keyFingerprint).toBeDefined();
+      expect(result.errors[0].keyPreview).toBeUndefined();
     });
   });
 
@@ -0,0 +1,584 @@
+/**
+ * Historical aggregation over arbitrary date ranges
+ *
+ * Buckets outbound IMEI rows by day, ISO week, month, quarter or year between
+ * two dates and totals revenue, units and distinct invoices per bucket,
+ * optionally split by model, invoice type, customer or invoice. Every bucket
+ * in the range is returned, including empty ones, so series line up for
+ * period-over-period comparisons.
+ *
+ * Bucket keys: `2025-11-18`, `2025-W47`, `2025-11`, `2025-Q4`, `2025`. ISO
+ * weeks start on Monday and belong to the year of their Thursday.
+ *
+ * Also builds the calendar's month view (`/api/historical/:year/:month`):
+ * daily totals and invoices for one month, compared day by day and in total
+ * with the previous month and the same month a year earlier, and one day's
+ * shipments down to the IMEI for the day panel and its exports.
+ *
+ * Rows whose IMEI is a bad scan or a spreadsheet float (see imei-validation)
+ * are left out of all of these and counted in `excludedRows`.
+ *
+ * @module historical-aggregation
+ */
+
+const { DashboardQueryError, parseRowDate } = require('./dashboard-query');
+const { normalizeInvoice } = require('./notion-orders');
+const { formatDayKey } = require('./analytics');
+const { isCountedImei } = require('./imei-validation');
+
+const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+const SPLITS = ['model', 'invtype', 'customer', 'invoice'];
+const MAX_BUCKETS = 3660;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_VALUE = '(none)';
+const COMPARED_FIELDS = ['totalRevenue', 'totalUnits', 'invoiceCount'];
+
+/**
+ * @private
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Date} Midnight UTC
+ */
+function toUtc(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date));
+}
+
+/**
+ * @private
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function fromUtc(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a YYYY-MM-DD string names a real day
+ * @private
+ */
+function isRealDay(value) {
+  return DATE_PATTERN.test(value) && fromUtc(toUtc(value)) === value;
+}
+
+/**
+ * The bucket a day falls in
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {{key: string, start: string, end: string}} Inclusive first and last day
+ */
+function bucketFor(day, granularity) {
+  const date = toUtc(day);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (granularity) {
+    case 'day':
+      return { key: day, start: day, end: day };
+    case 'week': {
+      const weekday = date.getUTCDay() || 7;
+      const monday = new Date(date.getTime() - (weekday - 1) * DAY_MS);
+      const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+      const weekYear = thursday.getUTCFullYear();
+      const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / DAY_MS / 7) + 1;
+      return {
+        key: `${weekYear}-W${String(week).padStart(2, '0')}`,
+        start: fromUtc(monday),
+        end: fromUtc(new Date(monday.getTime() + 6 * DAY_MS))
+      };
+    }
+    case 'month':
+      return {
+        key: day.slice(0, 7),
+        start: fromUtc(new Date(Date.UTC(year, month, 1))),
+        end: fromUtc(new Date(Date.UTC(year, month + 1, 0)))
+      };
+    case 'quarter': {
+      const quarter = Math.floor(month / 3);
+      return {
+        key: `${year}-Q${quarter + 1}`,
+        start: fromUtc(new Date(Date.UTC(year, quarter * 3, 1))),
+        end: fromUtc(new Date(Date.UTC(year, quarter * 3 + 3, 0)))
+      };
+    }
+    case 'year':
+      return { key: String(year), start: `${year}-01-01`, end: `${year}-12-31` };
+    default:
+      throw new DashboardQueryError(`Unknown granularity "${granularity}"`, 'INVALID_GRANULARITY', { allowed: GRANULARITIES });
+  }
+}
+
+/**
+ * Every bucket between two days, in order
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} granularity
+ * @param {number} [max=Infinity] - Stop after max + 1 buckets
+ * @returns {Array<{key: string, start: string, end: string}>}
+ */
+function listBuckets(from, to, granularity, max = Infinity) {
+  const buckets = [];
+  let day = from;
+  while (day <= to && buckets.length <= max) {
+    const bucket = bucketFor(day, granularity);
+    buckets.push(bucket);
+    day = fromUtc(new Date(toUtc(bucket.end).getTime() + DAY_MS));
+  }
+  return buckets;
+}
+
+/**
+ * Parse range endpoint query parameters
+ * @param {Object} params - `req.query` ({ from, to, granularity, split })
+ * @returns {{from: string, to: string, granularity: string, split: string|null}}
+ * @throws {DashboardQueryError} INVALID_DATE, INVALID_RANGE, INVALID_GRANULARITY,
+ *   INVALID_SPLIT, TOO_MANY_BUCKETS
+ */
+function parseHistoricalQuery(params = {}) {
+  ['from', 'to'].forEach(name => {
+    if (!params[name] || !isRealDay(params[name])) {
+      throw new DashboardQueryError(`${name} must be a date in YYYY-MM-DD format`, 'INVALID_DATE', { received: params[name] || null });
+    }
+  });
+  if (params.from > params.to) {
+    throw new DashboardQueryError('from must not be after to', 'INVALID_RANGE', { from: params.from, to: params.to });
+  }
+
+  const granularity = params.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new DashboardQueryError(`Unknown granularity "${granularity}"`, 'INVALID_GRANULARITY', { allowed: GRANULARITIES });
+  }
+
+  const split = params.split || null;
+  if (split && !SPLITS.includes(split)) {
+    throw new DashboardQueryError(`Unknown split "${split}"`, 'INVALID_SPLIT', { allowed: SPLITS });
+  }
+
+  if (listBuckets(params.from, params.to, granularity, MAX_BUCKETS).length > MAX_BUCKETS) {
+    throw new DashboardQueryError(`The range has more than ${MAX_BUCKETS} ${granularity} buckets; use a coarser granularity`, 'TOO_MANY_BUCKETS', { max: MAX_BUCKETS });
+  }
+
+  return { from: params.from, to: params.to, granularity, split };
+}
+
+/**
+ * @private
+ */
+function emptyTotals() {
+  return { revenue: 0, units: 0, invoices: new Set() };
+}
+
+/**
+ * @private
+ */
+function addRow(totals, row, invoice) {
+  totals.revenue += parseFloat(row.total) || 0;
+  totals.units += 1;
+  if (invoice) totals.invoices.add(invoice);
+}
+
+/**
+ * @private
+ */
+function finishTotals(totals) {
+  return { revenue: Math.round(totals.revenue * 100) / 100, units: totals.units, invoices: totals.invoices.size };
+}
+
+/**
+ * @private
+ */
+function finishSplits(splits) {
+  return [...splits.entries()]
+    .map(([key, totals]) => ({ key, ...finishTotals(totals) }))
+    .sort((a, b) => b.units - a.units || a.key.localeCompare(b.key));
+}
+
+/**
+ * Aggregate rows into buckets
+ * @param {Array<Object>} rows - IMEI rows (`date`, `total`, `invoice`, `model`, `invtype`)
+ * @param {Object} query - From parseHistoricalQuery
+ * @param {Object} [options]
+ * @param {Function} [options.customerFor] - (row) => customer name, for `split=customer`
+ * @returns {{buckets: Array<Object>, totals: Object, splits?: Array<Object>, undatedRows: number, excludedRows: number}}
+ *   Each bucket is { key, start, end, partial, revenue, units, invoices, splits? };
+ *   `partial` marks buckets the range only partly covers
+ */
+function aggregateHistory(rows, query, options = {}) {
+  const { from, to, granularity, split } = query;
+  const customerFor = options.customerFor || (row => row.customer);
+  const valueFor = {
+    customer: customerFor,
+    invoice: row => normalizeInvoice(row.invoice)
+  };
+  const splitValue = row => String((valueFor[split] ? valueFor[split](row) : row[split]) || '').trim() || NO_VALUE;
+
+  const buckets = new Map(listBuckets(from, to, granularity).map(bucket => [bucket.key, {
+    ...bucket,
+    totals: emptyTotals(),
+    splits: new Map()
+  }]));
+  const overall = emptyTotals();
+  const overallSplits = new Map();
+  let undatedRows = 0;
+  let excludedRows = 0;
+
+  rows.forEach(row => {
+    const timestamp = parseRowDate(row.date);
+    if (timestamp === null) {
+      undatedRows++;
+      return;
+    }
+    const day = formatDayKey(new Date(timestamp));
+    if (day < from || day > to) return;
+    if (!isCountedImei(row.imei)) {
+      excludedRows++;
+      return;
+    }
+
+    const bucket = buckets.get(bucketFor(day, granularity).key);
+    const invoice = normalizeInvoice(row.invoice);
+    addRow(bucket.totals, row, invoice);
+    addRow(overall, row, invoice);
+
+    if (split) {
+      const key = splitValue(row);
+      [bucket.splits, overallSplits].forEach(splits => {
+        if (!splits.has(key)) splits.set(key, emptyTotals());
+        addRow(splits.get(key), row, invoice);
+      });
+    }
+  });
+
+  return {
+    buckets: [...buckets.values()].map(bucket => ({
+      key: bucket.key,
+      start: bucket.start,
+      end: bucket.end,
+      partial: bucket.start < from || bucket.end > to,
+      ...finishTotals(bucket.totals),
+      ...(split && { splits: finishSplits(bucket.splits) })
+    })),
+    totals: finishTotals(overall),
+    ...(split && { splits: finishSplits(overallSplits) }),
+    undatedRows,
+    excludedRows
+  };
+}
+
+/**
+ * Validate the calendar's year and month parameters
+ * @param {string} year - e.g. "2025"
+ * @param {string} month - e.g. "11" or "03"
+ * @returns {{year: number, month: number}} month is 1-12
+ * @throws {DashboardQueryError} INVALID_DATE
+ */
+function parseMonthParams(year, month) {
+  const parsed = { year: Number(year), month: Number(month) };
+  if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || parsed.month < 1 || parsed.month > 12) {
+    throw new DashboardQueryError('year and month must be YYYY and 1-12', 'INVALID_DATE', { received: `${year}-${month}` });
+  }
+  return parsed;
+}
+
+/**
+ * The month `offset` months from year/month
+ * @private
+ */
+function shiftMonth(year, month, offset) {
+  const date = new Date(Date.UTC(year, month - 1 + offset, 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+}
+
+/**
+ * @private
+ */
+function monthPrefix({ year, month }) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Daily totals and per-day invoices for one calendar month
+ * Rows without a date or price are skipped. Invoices are keyed by normalized
+ * number and money is rounded to cents, as in aggregateDay.
+ * @param {Array<Object>} rows - IMEI rows
+ * @param {{year: number, month: number}} period
+ * @returns {{dailyTotals: Object, invoicesByDate: Object, totals: Object, excludedRows: number}} Keyed by
+ *   YYYY-MM-DD; totals are { totalRevenue, totalUnits, invoiceCount } for the month
+ */
+function aggregateMonth(rows, period) {
+  const prefix = `${monthPrefix(period)}-`;
+  const dailyTotals = {};
+  const invoicesByDate = {};
+  const monthInvoices = new Set();
+  const totals = { totalRevenue: 0, totalUnits: 0, invoiceCount: 0 };
+  let excludedRows = 0;
+
+  rows.forEach(row => {
+    const { model, capacity, color, lock_status, grade, total, date, invtype } = row;
+    if (!date || !total) return;
+
+    const timestamp = parseRowDate(date);
+    if (timestamp === null) return;
+    const day = formatDayKey(new Date(timestamp));
+    if (!day.startsWith(prefix)) return;
+    if (!isCountedImei(row.imei)) {
+      excludedRows++;
+      return;
+    }
+
+    const invno = normalizeInvoice(row.invoice);
+    const price = parseFloat(total) || 0;
+
+    if (!dailyTotals[day]) {
+      dailyTotals[day] = { date: day, totalRevenue: 0, totalUnits: 0, invoices: new Set() };
+    }
+    dailyTotals[day].totalRevenue += price;
+    dailyTotals[day].totalUnits += 1;
+    dailyTotals[day].invoices.add(invno);
+
+    if (!invoicesByDate[day]) invoicesByDate[day] = {};
+    if (!invoicesByDate[day][invno]) {
+      invoicesByDate[day][invno] = { invno, invtype, units: 0, total: 0, items: [] };
+    }
+    invoicesByDate[day][invno].units += 1;
+    invoicesByDate[day][invno].total += price;
+    invoicesByDate[day][invno].items.push({ model, capacity, color, lock_status, graded: grade, price });
+
+    totals.totalRevenue += price;
+    totals.totalUnits += 1;
+    monthInvoices.add(invno);
+  });
+
+  Object.values(dailyTotals).forEach(day => {
+    day.totalRevenue = Math.round(day.totalRevenue * 100) / 100;
+    day.invoiceCount = day.invoices.size;
+    delete day.invoices;
+  });
+  Object.values(invoicesByDate).forEach(invoices => {
+    Object.values(invoices).forEach(invoice => {
+      invoice.total = Math.round(invoice.total * 100) / 100;
+    });
+  });
+  totals.totalRevenue = Math.round(totals.totalRevenue * 100) / 100;
+  totals.invoiceCount = monthInvoices.size;
+
+  return { dailyTotals, invoicesByDate, totals, excludedRows };
+}
+
+/**
+ * Change from a prior value
+ * @param {number} current
+ * @param {number} prior
+ * @returns {{delta: number, percent: number|null}} percent is null when prior is 0
+ */
+function change(current, prior) {
+  return {
+    delta: Math.round((current - prior) * 100) / 100,
+    percent: prior === 0 ? null : Math.round(((current - prior) / prior) * 1000) / 10
+  };
+}
+
+/**
+ * Prior totals with the change to the current ones
+ * @private
+ */
+function compareTotals(current, prior) {
+  return {
+    ...COMPARED_FIELDS.reduce((values, field) => ({ ...values, [field]: prior[field] }), {}),
+    change: COMPARED_FIELDS.reduce((changes, field) => ({ ...changes, [field]: change(current[field], prior[field]) }), {})
+  };
+}
+
+/**
+ * A month's calendar data compared with the previous month and the same
+ * month last year
+ * @param {Array<Object>} rows - IMEI rows
+ * @param {{year: number, month: number}} period
+ * @returns {Object} aggregateMonth's result plus `comparisons` ({ previousMonth,
+ *   lastYear }: { year, month, ...prior totals, change }) and `dailyComparisons`
+ *   (YYYY-MM-DD → { previousMonth, lastYear }, each the same day number in that
+ *   month, or null when it has no such day) for every day with data in any of
+ *   the three months
+ */
+function buildMonthComparison(rows, period) {
+  const periods = {
+    previousMonth: shiftMonth(period.year, period.month, -1),
+    lastYear: shiftMonth(period.year, period.month, -12)
+  };
+  const current = aggregateMonth(rows, period);
+  const prior = {
+    previousMonth: aggregateMonth(rows, periods.previousMonth),
+    lastYear: aggregateMonth(rows, periods.lastYear)
+  };
+
+  const empty = { totalRevenue: 0, totalUnits: 0, invoiceCount: 0 };
+  const daysInMonth = new Date(Date.UTC(period.year, period.month, 0)).getUTCDate();
+  const dailyComparisons = {};
+
+  for (let dayNumber = 1; dayNumber <= daysInMonth; dayNumber++) {
+    const dayPart = String(dayNumber).padStart(2, '0');
+    const day = `${monthPrefix(period)}-${dayPart}`;
+    const today = current.dailyTotals[day] || empty;
+    const entry = {};
+    let hasData = !!current.dailyTotals[day];
+
+    Object.entries(periods).forEach(([name, priorPeriod]) => {
+      const priorDays = new Date(Date.UTC(priorPeriod.year, priorPeriod.month, 0)).getUTCDate();
+      if (dayNumber > priorDays) {
+        entry[name] = null;
+        return;
+      }
+      const priorDay = `${monthPrefix(priorPeriod)}-${dayPart}`;
+      const priorTotals = prior[name].dailyTotals[priorDay];
+      if (priorTotals) hasData = true;
+      entry[name] = { date: priorDay, ...compareTotals(today, priorTotals || empty) };
+    });
+
+    if (hasData) dailyComparisons[day] = entry;
+  }
+
+  return {
+    ...current,
+    comparisons: Object.entries(periods).reduce((comparisons, [name, priorPeriod]) => ({
+      ...comparisons,
+      [name]: { ...priorPeriod, ...compareTotals(current.totals, prior[name].totals) }
+    }), {}),
+    dailyComparisons
+  };
+}
+
+/**
+ * Parse `/api/historical/:year/:month/:day` path parameters
+ * @param {string} year - YYYY
+ * @param {string} month - 1-12
+ * @param {string} day - 1-31, a real day of that month
+ * @returns {string} YYYY-MM-DD
+ * @throws {DashboardQueryError} INVALID_DATE
+ */
+function parseDayParams(year, month, day) {
+  const period = parseMonthParams(year, month);
+  const key = `${monthPrefix(period)}-${String(day).padStart(2, '0')}`;
+  if (!/^\d{1,2}$/.test(day) || !isRealDay(key)) {
+    throw new DashboardQueryError('day must be a day of the month', 'INVALID_DATE', { received: `${year}-${month}-${day}` });
+  }
+  return key;
+}
+
+/**
+ * One day's shipments down to the IMEI, for the calendar's day panel
+ * Rows without a date or price are skipped, as in aggregateMonth.
+ * @param {Array<Object>} rows - IMEI rows
+ * @param {string} day - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Function} [options.invoiceInfo] - Invoice number → { customer, tracking } or
+ *   undefined, for invoices whose rows carry neither
+ * @returns {{date: string, invoices: Array<Object>, totals: Object, excludedRows: number}} Invoices (highest
+ *   number first) are { invno, invtype, customer, tracking, units, total,
+ *   items: [{ imei, model, capacity, color, lock_status, graded, price, removed? }] }
+ *   (`removed` marks rows the source no longer holds; they still count)
+ */
+function aggregateDay(rows, day, { invoiceInfo = () => undefined } = {}) {
+  const invoices = new Map();
+  const totals = { totalRevenue: 0, totalUnits: 0, invoiceCount: 0 };
+  let excludedRows = 0;
+
+  rows.forEach(row => {
+    if (!row.date || !row.total) return;
+    const timestamp = parseRowDate(row.date);
+    if (timestamp === null || formatDayKey(new Date(timestamp)) !== day) return;
+    if (!isCountedImei(row.imei)) {
+      excludedRows++;
+      return;
+    }
+
+    const invno = normalizeInvoice(row.invoice);
+    const price = parseFloat(row.total) || 0;
+
+    if (!invoices.has(invno)) {
+      const info = invoiceInfo(invno) || {};
+      invoices.set(invno, {
+        invno,
+        invtype: row.invtype || '',
+        customer: row.customer || info.customer || '',
+        tracking: row.tracking || info.tracking || '',
+        units: 0,
+        total: 0,
+        items: []
+      });
+    }
+    const invoice = invoices.get(invno);
+    invoice.units += 1;
+    invoice.total += price;
+    invoice.items.push({
+      imei: String(row.imei || '').trim(),
+      model: row.model,
+      capacity: row.capacity,
+      color: row.color,
+      lock_status: row.lock_status,
+      graded: row.grade,
+      price,
+      ...(row.removed && { removed: true })
+    });
+
+    totals.totalRevenue += price;
+    totals.totalUnits += 1;
+  });
+
+  const list = [...invoices.values()]
+    .map(invoice => ({
+      ...invoice,
+      total: Math.round(invoice.total * 100) / 100,
+      items: invoice.items.sort((a, b) => String(a.model).localeCompare(String(b.model)) || a.imei.localeCompare(b.imei))
+    }))
+    .sort((a, b) => (Number(b.invno) || 0) - (Number(a.invno) || 0) || a.invno.localeCompare(b.invno));
+
+  totals.totalRevenue = Math.round(totals.totalRevenue * 100) / 100;
+  totals.invoiceCount = list.length;
+
+  return { date: day, invoices: list, totals, excludedRows };
+}
+
+// One row per IMEI in day exports, in this column order
+const DAY_EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'invno', header: 'Invoice' },
+  { key: 'invtype', header: 'Type' },
+  { key: 'customer', header: 'Customer' },
+  { key: 'tracking', header: 'Tracking' },
+  { key: 'imei', header: 'IMEI' },
+  { key: 'model', header: 'Model' },
+  { key: 'capacity', header: 'Capacity' },
+  { key: 'color', header: 'Color' },
+  { key: 'lock_status', header: 'Lock Status' },
+  { key: 'graded', header: 'Grade' },
+  { key: 'price', header: 'Price' }
+];
+
+/**
+ * Flatten aggregateDay's result to one record per IMEI for export
+ * @param {Object} result - From aggregateDay
+ * @returns {Array<Object>} Keyed by DAY_EXPORT_COLUMNS
+ */
+function dayExportRecords(result) {
+  return result.invoices.flatMap(({ invno, invtype, customer, tracking, items }) => (
+    items.map(item => ({ date: result.date, invno, invtype, customer, tracking, ...item }))
+  ));
+}
+
+module.exports = {
+  GRANULARITIES,
+  SPLITS,
+  MAX_BUCKETS,
+  bucketFor,
+  listBuckets,
+  parseHistoricalQuery,
+  aggregateHistory,
+  parseMonthParams,
+  aggregateMonth,
+  change,
+  buildMonthComparison,
+  parseDayParams,
+  aggregateDay,
+  DAY_EXPORT_COLUMNS,
+  dayExportRecords
+};
@@ -0,0 +1,244 @@
+/**
+ * Test suite for historical aggregation and month-over-month comparisons
+ */
+
+const {
+  bucketFor,
+  listBuckets,
+  parseHistoricalQuery,
+  aggregateHistory,
+  parseMonthParams,
+  aggregateMonth,
+  change,
+  buildMonthComparison,
+  parseDayParams,
+  aggregateDay,
+  dayExportRecords
+} = require('./historical-aggregation');
+
+const ROW = { imei: '353238100433431', model: '11 PRO', total: '175.25', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' };
+
+describe('bucketFor', () => {
+  test('should key days, ISO weeks, months, quarters and years', () => {
+    expect(bucketFor('2025-11-18', 'day')).toEqual({ key: '2025-11-18', start: '2025-11-18', end: '2025-11-18' });
+    expect(bucketFor('2025-11-18', 'week')).toEqual({ key: '2025-W47', start: '2025-11-17', end: '2025-11-23' });
+    expect(bucketFor('2025-11-18', 'month')).toEqual({ key: '2025-11', start: '2025-11-01', end: '2025-11-30' });
+    expect(bucketFor('2025-11-18', 'quarter')).toEqual({ key: '2025-Q4', start: '2025-10-01', end: '2025-12-31' });
+    expect(bucketFor('2025-11-18', 'year')).toEqual({ key: '2025', start: '2025-01-01', end: '2025-12-31' });
+  });
+
+  test('should put ISO weeks in the year of their Thursday', () => {
+    expect(bucketFor('2024-12-30', 'week').key).toBe('2025-W01');
+    expect(bucketFor('2027-01-01', 'week').key).toBe('2026-W53');
+  });
+});
+
+describe('listBuckets', () => {
+  test('should list every bucket touching the range', () => {
+    expect(listBuckets('2025-02-15', '2025-07-01', 'quarter').map(bucket => bucket.key)).toEqual(['2025-Q1', '2025-Q2', '2025-Q3']);
+    expect(listBuckets('2025-01-30', '2025-02-02', 'day')).toHaveLength(4);
+  });
+});
+
+describe('parseHistoricalQuery', () => {
+  test('should default to daily buckets without a split', () => {
+    expect(parseHistoricalQuery({ from: '2025-10-01', to: '2025-12-31' })).toEqual({
+      from: '2025-10-01', to: '2025-12-31', granularity: 'day', split: null
+    });
+  });
+
+  test('should reject bad dates, ranges, granularities and splits', () => {
+    const code = params => {
+      try {
+        parseHistoricalQuery(params);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+
+    expect(code({ from: '2025-02-30', to: '2025-03-01' })).toBe('INVALID_DATE');
+    expect(code({ from: '2025-03-01' })).toBe('INVALID_DATE');
+    expect(code({ from: '2025-03-01', to: '2025-02-01' })).toBe('INVALID_RANGE');
+    expect(code({ from: '2025-01-01', to: '2025-02-01', granularity: 'hour' })).toBe('INVALID_GRANULARITY');
+    expect(code({ from: '2025-01-01', to: '2025-02-01', split: 'color' })).toBe('INVALID_SPLIT');
+    expect(code({ from: '2000-01-01', to: '2025-01-01' })).toBe('TOO_MANY_BUCKETS');
+    expect(code({ from: '2000-01-01', to: '2025-01-01', granularity: 'month' })).toBeNull();
+  });
+});
+
+describe('aggregateHistory', () => {
+  const rows = [
+    ROW,
+    { ...ROW, imei: '353238106841256', total: '100' },
+    { ...ROW, imei: '353245100315658', date: '2025-12-02 10:00:00', invoice: '21004', model: '13', total: '300' },
+    { ...ROW, imei: '353250105313153', date: '2026-01-05 10:00:00', invoice: '21100' },
+    { ...ROW, imei: '353238100433432', date: '' }
+  ];
+
+  test('should total revenue, units and invoices per bucket, including empty ones', () => {
+    const result = aggregateHistory(rows, parseHistoricalQuery({ from: '2025-11-15', to: '2025-12-31', granularity: 'month' }));
+
+    expect(result.buckets).toEqual([
+      { key: '2025-11', start: '2025-11-01', end: '2025-11-30', partial: true, revenue: 275.25, units: 2, invoices: 1 },
+      { key: '2025-12', start: '2025-12-01', end: '2025-12-31', partial: false, revenue: 300, units: 1, invoices: 1 }
+    ]);
+    expect(result.totals).toEqual({ revenue: 575.25, units: 3, invoices: 2 });
+    expect(result.undatedRows).toBe(1);
+
+    const empty = aggregateHistory([], parseHistoricalQuery({ from: '2025-01-01', to: '2025-12-31', granularity: 'quarter' }));
+    expect(empty.buckets.map(bucket => bucket.units)).toEqual([0, 0, 0, 0]);
+  });
+
+  test('should split buckets by model or customer', () => {
+    const byModel = aggregateHistory(rows, parseHistoricalQuery({ from: '2025-10-01', to: '2025-12-31', granularity: 'quarter', split: 'model' }));
+    expect(byModel.buckets[0].splits).toEqual([
+      { key: '11 PRO', revenue: 275.25, units: 2, invoices: 1 },
+      { key: '13', revenue: 300, units: 1, invoices: 1 }
+    ]);
+
+    const customers = { 20959: 'Acme' };
+    const byCustomer = aggregateHistory(rows, parseHistoricalQuery({ from: '2025-10-01', to: '2026-03-31', granularity: 'year', split: 'customer' }), {
+      customerFor: row => customers[row.invoice]
+    });
+    expect(byCustomer.splits.map(({ key, units }) => `${key}:${units}`)).toEqual(['(none):2', 'Acme:2']);
+    expect(byCustomer.buckets.map(bucket => bucket.key)).toEqual(['2025', '2026']);
+  });
+
+  test('should split days by normalized invoice number for the week view', () => {
+    const week = aggregateHistory([...rows, { ...ROW, invoice: '20959.0' }], parseHistoricalQuery({ from: '2025-11-17', to: '2025-11-23', split: 'invoice' }));
+
+    expect(week.buckets).toHaveLength(7);
+    expect(week.buckets[1].splits).toEqual([{ key: '20959', revenue: 450.5, units: 3, invoices: 1 }]);
+    expect(week.buckets[0].splits).toEqual([]);
+  });
+});
+
+describe('parseMonthParams', () => {
+  test('should accept YYYY and 1-12 only', () => {
+    expect(parseMonthParams('2025', '03')).toEqual({ year: 2025, month: 3 });
+    expect(() => parseMonthParams('2025', '13')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+    expect(() => parseMonthParams('25', '1')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+  });
+});
+
+describe('aggregateMonth', () => {
+  test('should total each day and list its invoices, skipping rows without a price', () => {
+    const rows = [ROW, { ...ROW, total: '100' }, { ...ROW, total: '' }, { ...ROW, date: '2025-12-01 8:00:00' }];
+
+    const { dailyTotals, invoicesByDate, totals } = aggregateMonth(rows, { year: 2025, month: 11 });
+
+    expect(dailyTotals).toEqual({ '2025-11-18': { date: '2025-11-18', totalRevenue: 275.25, totalUnits: 2, invoiceCount: 1 } });
+    expect(invoicesByDate['2025-11-18']['20959']).toMatchObject({ invno: '20959', invtype: 'raw', units: 2, total: 275.25 });
+    expect(totals).toEqual({ totalRevenue: 275.25, totalUnits: 2, invoiceCount: 1 });
+  });
+
+  test('should key invoices by normalized number and round money to cents', () => {
+    const rows = [{ ...ROW, total: '0.1' }, { ...ROW, imei: '353238106841256', total: '0.2', invoice: '20959.0' }];
+
+    const { dailyTotals, invoicesByDate, totals } = aggregateMonth(rows, { year: 2025, month: 11 });
+
+    expect(Object.keys(invoicesByDate['2025-11-18'])).toEqual(['20959']);
+    expect(invoicesByDate['2025-11-18']['20959']).toMatchObject({ invno: '20959', units: 2, total: 0.3 });
+    expect(dailyTotals['2025-11-18']).toMatchObject({ totalRevenue: 0.3, invoiceCount: 1 });
+    expect(totals).toEqual({ totalRevenue: 0.3, totalUnits: 2, invoiceCount: 1 });
+  });
+
+  test('should leave rows with invalid IMEIs out of the calendar totals', () => {
+    const rows = [ROW, { ...ROW, imei: '3.53238E+14', total: '999', invoice: '20960' }];
+    const period = { year: 2025, month: 11 };
+    const query = parseHistoricalQuery({ from: '2025-11-01', to: '2025-11-30' });
+
+    expect(aggregateMonth(rows, period)).toMatchObject({ totals: aggregateMonth([ROW], period).totals, excludedRows: 1 });
+    expect(aggregateHistory(rows, query)).toMatchObject({ totals: { revenue: 175.25, units: 1, invoices: 1 }, excludedRows: 1 });
+    expect(aggregateDay(rows, '2025-11-18')).toMatchObject({ totals: { totalRevenue: 175.25, totalUnits: 1, invoiceCount: 1 }, excludedRows: 1 });
+  });
+});
+
+describe('change', () => {
+  test('should give the delta and percent change, with no percent from zero', () => {
+    expect(change(150, 100)).toEqual({ delta: 50, percent: 50 });
+    expect(change(1, 3)).toEqual({ delta: -2, percent: -66.7 });
+    expect(change(5, 0)).toEqual({ delta: 5, percent: null });
+  });
+});
+
+describe('buildMonthComparison', () => {
+  const rows = [
+    { ...ROW, date: '2025-03-31 10:00:00', total: '200' },
+    { ...ROW, date: '2025-03-01 10:00:00', total: '100' },
+    { ...ROW, date: '2025-02-01 10:00:00', total: '50' },
+    { ...ROW, date: '2024-03-31 10:00:00', total: '400' }
+  ];
+
+  test('should compare the month total with the previous month and last year', () => {
+    const result = buildMonthComparison(rows, { year: 2025, month: 3 });
+
+    expect(result.totals).toEqual({ totalRevenue: 300, totalUnits: 2, invoiceCount: 1 });
+    expect(result.comparisons.previousMonth).toEqual({
+      year: 2025,
+      month: 2,
+      totalRevenue: 50,
+      totalUnits: 1,
+      invoiceCount: 1,
+      change: {
+        totalRevenue: { delta: 250, percent: 500 },
+        totalUnits: { delta: 1, percent: 100 },
+        invoiceCount: { delta: 0, percent: 0 }
+      }
+    });
+    expect(result.comparisons.lastYear).toMatchObject({ year: 2024, month: 3, totalRevenue: 400, change: { totalRevenue: { delta: -100, percent: -25 } } });
+  });
+
+  test('should compare each day with the same day number, when the prior month has it', () => {
+    const { dailyComparisons } = buildMonthComparison(rows, { year: 2025, month: 3 });
+
+    expect(Object.keys(dailyComparisons)).toEqual(['2025-03-01', '2025-03-31']);
+    expect(dailyComparisons['2025-03-01'].previousMonth).toMatchObject({ date: '2025-02-01', totalRevenue: 50, change: { totalRevenue: { percent: 100 } } });
+    expect(dailyComparisons['2025-03-01'].lastYear).toMatchObject({ date: '2024-03-01', totalUnits: 0, change: { totalUnits: { delta: 1, percent: null } } });
+    expect(dailyComparisons['2025-03-31'].previousMonth).toBeNull();
+    expect(dailyComparisons['2025-03-31'].lastYear).toMatchObject({ date: '2024-03-31', change: { totalRevenue: { delta: -200, percent: -50 } } });
+  });
+
+  test('should wrap January back to December of the year before', () => {
+    expect(buildMonthComparison([], { year: 2026, month: 1 }).comparisons.previousMonth).toMatchObject({ year: 2025, month: 12 });
+  });
+});
+
+describe('parseDayParams', () => {
+  test('should accept real days only', () => {
+    expect(parseDayParams('2025', '2', '3')).toBe('2025-02-03');
+    expect(() => parseDayParams('2025', '2', '30')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+    expect(() => parseDayParams('2025', '2', 'x')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+  });
+});
+
+describe('aggregateDay', () => {
+  const rows = [
+    ROW,
+    { ...ROW, imei: '353238106841256', model: '11', total: '100', invoice: '20959.0' },
+    { ...ROW, imei: '353245100315658', invoice: '21004', customer: 'Beta', tracking: '1Z999' },
+    { ...ROW, imei: '353250105313153', date: '2025-11-19 8:00:00' }
+  ];
+
+  test('should list each invoice with customer, tracking and its IMEIs', () => {
+    const result = aggregateDay(rows, '2025-11-18', { invoiceInfo: invno => ({ 20959: { customer: 'Acme', tracking: '' } })[invno] });
+
+    expect(result.totals).toEqual({ totalRevenue: 450.5, totalUnits: 3, invoiceCount: 2 });
+    expect(result.invoices.map(({ invno, customer, tracking, units }) => ({ invno, customer, tracking, units }))).toEqual([
+      { invno: '21004', customer: 'Beta', tracking: '1Z999', units: 1 },
+      { invno: '20959', customer: 'Acme', tracking: '', units: 2 }
+    ]);
+    expect(result.invoices[1].items.map(item => item.imei)).toEqual(['353238106841256', '353238100433431']);
+  });
+
+  test('should flatten to one export record per IMEI', () => {
+    const records = dayExportRecords(aggregateDay(rows, '2025-11-18'));
+
+    expect(records).toHaveLength(3);
+    expect(records[0]).toEqual({
+      date: '2025-11-18', invno: '21004', invtype: 'raw', customer: 'Beta', tracking: '1Z999',
+      imei: '353245100315658', model: '11 PRO', capacity: undefined, color: undefined, lock_status: undefined, graded: undefined, price: 175.25
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * CORS allow-list and HTTP security headers
+ *
+ * Cross-origin reads are refused unless the caller's origin is listed in
+ * configuration (CORS_ALLOWED_ORIGINS). Routes used by machine clients can
+ * have their own list (CORS_ROUTE_ORIGINS); those responses never allow
+ * cookies, so other sites can only read them with an API token.
+ *
+ * The Content-Security-Policy for pages allows the React, Babel, Chart.js and
+ * PapaParse builds loaded from cdn.jsdelivr.net. Babel standalone compiles the
+ * dashboard in the browser and injects the result as an inline script, so
+ * 'unsafe-inline' and 'unsafe-eval' are required until the dashboard is
+ * pre-compiled.
+ *
+ * @module http-security
+ */
+
+const cors = require('cors');
+
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+const PAGE_CSP = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", "'unsafe-inline'", "'unsafe-eval'", CDN_ORIGIN],
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'img-src': ["'self'", 'data:', 'blob:'],
+  'font-src': ["'self'", 'data:'],
+  'connect-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"]
+};
+
+// JSON responses never load anything
+const API_CSP = {
+  'default-src': ["'none'"],
+  'frame-ancestors': ["'none'"]
+};
+
+const BASE_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+};
+
+const UNSAFE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+class SecurityConfigError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SecurityConfigError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Serialize CSP directives
+ * @param {Object<string, string[]>} directives
+ * @returns {string}
+ */
+function formatCsp(directives) {
+  return Object.entries(directives)
+    .map(([directive, sources]) => [directive, ...sources].join(' '))
+    .join('; ');
+}
+
+/**
+ * Parse a comma-separated origin list
+ * Entries are full origins (`https://reports.example.com`), wildcard
+ * subdomains (`https://*.up.railway.app`) or `*` for any origin.
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function parseOriginList(value) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    if (entry === '*') return entry;
+
+    const match = entry.match(/^(https?):\/\/(\*\.)?([a-z0-9.-]+)(:\d+)?\/?$/i);
+    if (!match) {
+      throw new SecurityConfigError(
+        `Invalid CORS origin "${entry}" - use scheme://host[:port], e.g. https://reports.example.com`,
+        'INVALID_ORIGIN',
+        { origin: entry }
+      );
+    }
+    const [, scheme, wildcard = '', host, port = ''] = match;
+    return `${scheme.toLowerCase()}://${wildcard}${host.toLowerCase()}${port}`;
+  });
+}
+
+/**
+ * Parse per-route origin lists
+ * Format: `/api/analytics=https://bi.example.com,https://x.example.com;/api/health=*`
+ * @param {string} [value]
+ * @returns {Array<{path: string, origins: string[]}>}
+ */
+function parseRouteOrigins(value) {
+  if (!value) return [];
+
+  return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const index = entry.indexOf('=');
+    const routePath = index > 0 ? entry.slice(0, index).trim() : '';
+    if (!routePath.startsWith('/')) {
+      throw new SecurityConfigError(
+        `Invalid CORS route override "${entry}" - use /path=origin[,origin]`,
+        'INVALID_ROUTE_OVERRIDE',
+        { entry }
+      );
+    }
+    return { path: routePath.replace(/\/+$/, '') || '/', origins: parseOriginList(entry.slice(index + 1)) };
+  });
+}
+
+/**
+ * Whether an origin is allowed by a list from parseOriginList
+ * @param {string} origin - Origin request header
+ * @param {string[]} allowed
+ * @returns {boolean}
+ */
+function matchesOrigin(origin, allowed) {
+  if (!origin) return false;
+  const normalized = origin.toLowerCase();
+
+  return allowed.some(entry => {
+    if (entry === '*') return true;
+    const wildcard = entry.indexOf('://*.');
+    if (wildcard < 0) return entry === normalized;
+
+    // https://*.example.com matches https://a.example.com but not https://example.com
+    const scheme = entry.slice(0, wildcard + 3);
+    const suffix = entry.slice(wildcard + 4);
+    return normalized.startsWith(scheme) && normalized.endsWith(suffix) && normalized.length > scheme.length + suffix.length;
+  });
+}
+
+/**
+ * Whether a request path falls under a route prefix
+ * @param {string} requestPath
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+function matchesPath(requestPath, prefix) {
+  return prefix === '/' || requestPath === prefix || requestPath.startsWith(prefix + '/');
+}
+
+/**
+ * Build the CORS middleware
+ *
+ * Requests from an allowed origin get CORS headers; others get none, so the
+ * browser refuses to expose the response. State-changing requests (POST etc.)
+ * from a foreign, non-allowed origin are rejected outright with 403, since
+ * the browser would still send them.
+ * @param {Object} [options]
+ * @param {string[]} [options.origins=[]] - Origins allowed everywhere, with cookies
+ * @param {Array<{path: string, origins: string[]}>} [options.routes=[]] - Per-route
+ *   lists for machine clients; the longest matching path wins, cookies are not allowed
+ * @returns {Function} Express middleware
+ */
+function createCorsMiddleware({ origins = [], routes = [] } = {}) {
+  const overrides = [...routes].sort((a, b) => b.path.length - a.path.length);
+
+  const policyFor = req => {
+    const override = overrides.find(route => matchesPath(req.path, route.path));
+    return override
+      ? { origins: override.origins, credentials: false }
+      : { origins, credentials: true };
+  };
+
+  const handle = cors((req, callback) => {
+    const policy = policyFor(req);
+    const allowed = matchesOrigin(req.headers.origin, policy.origins);
+    callback(null, allowed ? {
+      origin: true,
+      // A "*" entry with cookies would let any site act as the signed-in user
+      credentials: policy.credentials && !policy.origins.includes('*'),
+      methods: ['GET', 'HEAD', 'POST'],
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      maxAge: 600
+    } : { origin: false });
+  });
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && UNSAFE_METHODS.has(req.method)) {
+      const sameOrigin = origin.toLowerCase() === `${req.protocol}://${req.get('host')}`.toLowerCase();
+      if (!sameOrigin && !matchesOrigin(origin, policyFor(req).origins)) {
+        return res.status(403).json({ error: 'Origin not allowed', code: 'ORIGIN_NOT_ALLOWED' });
+      }
+    }
+    handle(req, res, next);
+  };
+}
+
+/**
+ * Build the security headers middleware
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.csp=PAGE_CSP] - Default CSP directives
+ * @param {boolean} [options.hsts=false] - Send Strict-Transport-Security (HTTPS deployments)
+ * @param {Array<{path: string, headers: Object<string, string|null>}>} [options.routes=[]] -
+ *   Header overrides per path prefix; a null value removes the header
+ * @returns {Function} Express middleware
+ */
+function createSecurityHeaders({ csp = PAGE_CSP, hsts = false, routes = [] } = {}) {
+  const defaults = {
+    ...BASE_HEADERS,
+    'Content-Security-Policy': formatCsp(csp),
+    ...(hsts ? { 'Strict-Transport-Security': 'max-age=15552000; includeSubDomains' } : {})
+  };
+  const overrides = [...routes].sort((a, b) => b.path.length - a.path.length);
+
+  return (req, res, next) => {
+    const override = overrides.find(route => matchesPath(req.path, route.path));
+    const headers = override ? { ...defaults, ...override.headers } : defaults;
+
+    Object.entries(headers).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) res.set(name, value);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  PAGE_CSP,
+  API_CSP,
+  SecurityConfigError,
+  formatCsp,
+  parseOriginList,
+  parseRouteOrigins,
+  matchesOrigin,
+  createCorsMiddleware,
+  createSecurityHeaders
+};
@@ -0,0 +1,156 @@
+/**
+ * Test suite for the CORS allow-list and security headers
+ */
+
+const {
+  PAGE_CSP,
+  SecurityConfigError,
+  formatCsp,
+  parseOriginList,
+  parseRouteOrigins,
+  matchesOrigin,
+  createCorsMiddleware,
+  createSecurityHeaders
+} = require('./http-security');
+
+function mockRequest({ method = 'GET', path = '/api/analytics', origin, host = 'outbound.example.com' } = {}) {
+  return {
+    method,
+    path,
+    url: path,
+    protocol: 'https',
+    headers: { ...(origin && { origin }), host },
+    get(name) { return this.headers[name.toLowerCase()]; }
+  };
+}
+
+function mockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    body: undefined,
+    headers,
+    setHeader(name, value) { headers[name.toLowerCase()] = value; },
+    getHeader(name) { return headers[name.toLowerCase()]; },
+    set(name, value) { headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { this.ended = true; }
+  };
+}
+
+function run(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+describe('parseOriginList', () => {
+  test('should normalize origins and accept wildcards', () => {
+    expect(parseOriginList(' https://Reports.Example.com/ , https://*.up.railway.app,http://localhost:3000 '))
+      .toEqual(['https://reports.example.com', 'https://*.up.railway.app', 'http://localhost:3000']);
+    expect(parseOriginList('')).toEqual([]);
+    expect(parseOriginList('*')).toEqual(['*']);
+  });
+
+  test('should reject entries that are not origins', () => {
+    expect(() => parseOriginList('reports.example.com')).toThrow(SecurityConfigError);
+    expect(() => parseOriginList('https://example.com/path'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ORIGIN' }));
+  });
+});
+
+describe('parseRouteOrigins', () => {
+  test('should parse path=origins pairs', () => {
+    expect(parseRouteOrigins('/api/analytics/=https://bi.example.com,https://x.example.com; /api/health=*')).toEqual([
+      { path: '/api/analytics', origins: ['https://bi.example.com', 'https://x.example.com'] },
+      { path: '/api/health', origins: ['*'] }
+    ]);
+  });
+
+  test('should reject entries without a path', () => {
+    expect(() => parseRouteOrigins('https://bi.example.com'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ROUTE_OVERRIDE' }));
+  });
+});
+
+describe('matchesOrigin', () => {
+  test('should match exact origins and subdomain wildcards only', () => {
+    const allowed = ['https://reports.example.com', 'https://*.up.railway.app'];
+
+    expect(matchesOrigin('https://REPORTS.example.com', allowed)).toBe(true);
+    expect(matchesOrigin('https://outbound.up.railway.app', allowed)).toBe(true);
+    expect(matchesOrigin('https://up.railway.app', allowed)).toBe(false);
+    expect(matchesOrigin('https://evil-up.railway.app.attacker.com', allowed)).toBe(false);
+    expect(matchesOrigin('http://reports.example.com', allowed)).toBe(false);
+    expect(matchesOrigin(undefined, ['*'])).toBe(false);
+  });
+});
+
+describe('createCorsMiddleware', () => {
+  const middleware = createCorsMiddleware({
+    origins: ['https://reports.example.com'],
+    routes: [{ path: '/api/analytics', origins: ['https://bi.example.com'] }]
+  });
+
+  test('should send no CORS headers to origins that are not listed', () => {
+    const { res, next } = run(middleware, mockRequest({ path: '/api/orders', origin: 'https://evil.example.com' }));
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('should allow listed origins with cookies', () => {
+    const { res } = run(middleware, mockRequest({ path: '/api/orders', origin: 'https://reports.example.com' }));
+
+    expect(res.headers['access-control-allow-origin']).toBe('https://reports.example.com');
+    expect(res.headers['access-control-allow-credentials']).toBe('true');
+  });
+
+  test('should use the route list for machine clients, without cookies', () => {
+    const machine = run(middleware, mockRequest({ path: '/api/analytics', origin: 'https://bi.example.com' }));
+    expect(machine.res.headers['access-control-allow-origin']).toBe('https://bi.example.com');
+    expect(machine.res.headers['access-control-allow-credentials']).toBeUndefined();
+
+    const browser = run(middleware, mockRequest({ path: '/api/analytics', origin: 'https://reports.example.com' }));
+    expect(browser.res.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('should reject state-changing requests from foreign origins', () => {
+    const foreign = run(middleware, mockRequest({ method: 'POST', path: '/api/auth/login', origin: 'https://evil.example.com' }));
+    expect(foreign.res.statusCode).toBe(403);
+    expect(foreign.next).not.toHaveBeenCalled();
+
+    const same = run(middleware, mockRequest({ method: 'POST', path: '/api/auth/login', origin: 'https://outbound.example.com' }));
+    expect(same.next).toHaveBeenCalled();
+  });
+});
+
+describe('createSecurityHeaders', () => {
+  test('should send the page CSP allowing the CDN scripts', () => {
+    const { res, next } = run(createSecurityHeaders(), mockRequest({ path: '/dashboard' }));
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers['content-security-policy']).toBe(formatCsp(PAGE_CSP));
+    expect(res.headers['content-security-policy']).toContain("script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net");
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['x-frame-options']).toBe('DENY');
+    expect(res.headers['strict-transport-security']).toBeUndefined();
+  });
+
+  test('should apply per-route overrides and HSTS', () => {
+    const middleware = createSecurityHeaders({
+      hsts: true,
+      routes: [{ path: '/api', headers: { 'Content-Security-Policy': "default-src 'none'", 'X-Frame-Options': null } }]
+    });
+
+    const api = run(middleware, mockRequest({ path: '/api/health' })).res;
+    expect(api.headers['content-security-policy']).toBe("default-src 'none'");
+    expect(api.headers['x-frame-options']).toBeUndefined();
+    expect(api.headers['strict-transport-security']).toMatch(/^max-age=/);
+
+    const page = run(middleware, mockRequest({ path: '/apiary' })).res;
+    expect(page.headers['content-security-policy']).toBe(formatCsp(PAGE_CSP));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Duplicate IMEI detection
+ *
+ * A device ships once. An IMEI on two rows of the same invoice is a scanning
+ * error (the unit is billed twice); an IMEI on two invoices is either a
+ * return that shipped again or double-billing, and needs a look either way.
+ *
+ * Duplicates are found across every row so that a repeat is flagged even when
+ * its first shipment falls outside the selected date range; a group is
+ * reported for a range when any of its rows falls in it.
+ *
+ * @module imei-duplicates
+ */
+
+const { normalizeInvoice } = require('./notion-orders');
+const { parseRowDate } = require('./dashboard-query');
+const { filterRows } = require('./analytics');
+
+/**
+ * Group rows sharing an IMEI
+ * @param {Array<Object>} rows - IMEI rows (`imei`, `invoice`, `date`, `total`, ...)
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - Dashboard filters ({ model, invtype }) a group must match
+ * @param {{from: string|null, to: string|null}} [options.range] - Day bounds a group must touch
+ * @param {number} [options.max=200] - Groups listed (counts always cover every group)
+ * @returns {Object} { checkedRows, duplicateImeis, sameInvoice, acrossInvoices, extraRows,
+ *   duplicates: [{ imei, kind, rows, firstDate, lastDate, invoices: [{ invoice, date, invtype, units, total }] }],
+ *   truncated? }
+ */
+function findDuplicateImeis(rows, { filters = {}, range = { from: null, to: null }, max = 200 } = {}) {
+  const byImei = new Map();
+
+  rows.forEach(row => {
+    const imei = String(row.imei || '').trim();
+    if (!imei) return;
+    if (!byImei.has(imei)) byImei.set(imei, []);
+    byImei.get(imei).push(row);
+  });
+
+  const groups = [];
+  byImei.forEach((imeiRows, imei) => {
+    if (imeiRows.length < 2) return;
+    if (filterRows(imeiRows, filters, range).length === 0) return;
+
+    const invoices = new Map();
+    imeiRows.forEach(row => {
+      const invoice = normalizeInvoice(row.invoice);
+      if (!invoices.has(invoice)) {
+        invoices.set(invoice, { invoice, date: row.date || '', invtype: row.invtype || '', units: 0, total: 0 });
+      }
+      const entry = invoices.get(invoice);
+      entry.units++;
+      entry.total += parseFloat(row.total) || 0;
+    });
+
+    const byDate = [...invoices.values()].sort((a, b) => (parseRowDate(a.date) || 0) - (parseRowDate(b.date) || 0));
+    groups.push({
+      imei,
+      kind: invoices.size > 1 ? 'across-invoices' : 'same-invoice',
+      rows: imeiRows.length,
+      firstDate: byDate[0].date,
+      lastDate: byDate[byDate.length - 1].date,
+      invoices: byDate
+    });
+  });
+
+  groups.sort((a, b) => b.rows - a.rows || (parseRowDate(b.lastDate) || 0) - (parseRowDate(a.lastDate) || 0) || a.imei.localeCompare(b.imei));
+
+  return {
+    checkedRows: rows.length,
+    duplicateImeis: groups.length,
+    sameInvoice: groups.filter(group => group.kind === 'same-invoice').length,
+    acrossInvoices: groups.filter(group => group.kind === 'across-invoices').length,
+    extraRows: groups.reduce((sum, group) => sum + group.rows - 1, 0),
+    duplicates: groups.slice(0, max),
+    ...(groups.length > max && { truncated: true })
+  };
+}
+
+module.exports = {
+  findDuplicateImeis
+};
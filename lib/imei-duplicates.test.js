@@ -0,0 +1,56 @@
+/**
+ * Test suite for duplicate IMEI detection
+ */
+
+const { findDuplicateImeis } = require('./imei-duplicates');
+
+const ROW = { imei: '353238100433431', model: '11 PRO', total: '175', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' };
+
+describe('findDuplicateImeis', () => {
+  test('should group repeats by IMEI with their invoices and dates', () => {
+    const rows = [
+      ROW,
+      { ...ROW, invoice: '21004', date: '2025-12-01 10:00:00', total: '160' },
+      { ...ROW, imei: '353238106841256' },
+      { ...ROW, imei: '353238106841256' },
+      { ...ROW, imei: '353245100315658' }
+    ];
+
+    const report = findDuplicateImeis(rows);
+
+    expect(report).toMatchObject({ checkedRows: 5, duplicateImeis: 2, sameInvoice: 1, acrossInvoices: 1, extraRows: 2 });
+    expect(report.duplicates.find(group => group.imei === ROW.imei)).toEqual({
+      imei: ROW.imei,
+      kind: 'across-invoices',
+      rows: 2,
+      firstDate: '2025-11-18 9:30:27',
+      lastDate: '2025-12-01 10:00:00',
+      invoices: [
+        { invoice: '20959', date: '2025-11-18 9:30:27', invtype: 'raw', units: 1, total: 175 },
+        { invoice: '21004', date: '2025-12-01 10:00:00', invtype: 'raw', units: 1, total: 160 }
+      ]
+    });
+    expect(report.duplicates.find(group => group.imei === '353238106841256')).toMatchObject({
+      kind: 'same-invoice',
+      invoices: [{ invoice: '20959', units: 2 }]
+    });
+  });
+
+  test('should report a group when any of its rows is in the range', () => {
+    const rows = [ROW, { ...ROW, invoice: '21004', date: '2025-12-01 10:00:00' }];
+
+    expect(findDuplicateImeis(rows, { range: { from: '2025-12-01', to: null } }).duplicateImeis).toBe(1);
+    expect(findDuplicateImeis(rows, { range: { from: '2026-01-01', to: null } }).duplicateImeis).toBe(0);
+    expect(findDuplicateImeis(rows, { filters: { invtype: 'wholesale' } }).duplicateImeis).toBe(0);
+  });
+
+  test('should cap the groups listed but count them all', () => {
+    const rows = ['353238100433431', '353238106841256', '353245100315658'].flatMap(imei => [{ ...ROW, imei }, { ...ROW, imei }]);
+
+    const report = findDuplicateImeis(rows, { max: 1 });
+
+    expect(report.duplicateImeis).toBe(3);
+    expect(report.duplicates).toHaveLength(1);
+    expect(report.truncated).toBe(true);
+  });
+});
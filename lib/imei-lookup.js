@@ -0,0 +1,132 @@
+/**
+ * Outbound history of a single IMEI
+ *
+ * Turns the IMEI history records for one IMEI (one per invoice it shipped
+ * on) into the `/api/imei/:imei` response: each shipment with its current
+ * values and the customer (only for roles with customers:read) and tracking
+ * joined in by invoice, plus a timeline of every time the IMEI appeared in a sync, read or upload.
+ *
+ * @module imei-lookup
+ */
+
+const { HISTORY_FIELDS } = require('./imei-store');
+const { parseRowDate } = require('./dashboard-query');
+const { normalizeInvoice } = require('./notion-orders');
+
+const IMEI_PATTERN = /^\d{15}$/;
+
+class ImeiLookupError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ImeiLookupError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate an IMEI from a URL or request body
+ * @param {string} value
+ * @returns {string} The trimmed IMEI
+ * @throws {ImeiLookupError} INVALID_IMEI unless it is 15 digits
+ */
+function parseImei(value) {
+  const imei = String(value || '').trim();
+  if (!IMEI_PATTERN.test(imei)) {
+    throw new ImeiLookupError('IMEI must be 15 digits', 'INVALID_IMEI', { received: imei.slice(0, 40) });
+  }
+  return imei;
+}
+
+/**
+ * Fields whose value differs between two versions of a row
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object<string, {from: string, to: string}>}
+ */
+function diffVersions(before, after) {
+  const changes = {};
+  HISTORY_FIELDS.forEach(field => {
+    if (before[field] !== after[field]) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Timeline of one record: first sighting, changes, the last sighting per
+ * source and removals from a source (sightings of unchanged values are only
+ * kept as the latest per source)
+ * @param {import('./imei-store').HistoryRecord} record
+ * @param {Function} isPresent - (record, source) => boolean, from ImeiStore
+ * @returns {Array<Object>}
+ */
+function recordAppearances(record, isPresent) {
+  const invoice = record.row.invoice;
+  const events = record.versions.map((version, index) => (index === 0
+    ? { at: version.at, source: version.source, event: 'first-seen', invoice }
+    : { at: version.at, source: version.source, event: 'changed', invoice, changes: diffVersions(record.versions[index - 1].row, version.row) }));
+
+  Object.entries(record.seenBy).forEach(([source, at]) => {
+    if (record.versions.some(version => version.source === source && version.at === at)) return;
+    events.push({ at, source, event: 'last-seen', invoice });
+  });
+  Object.entries(record.removedBy).forEach(([source, at]) => {
+    if (!isPresent(record, source)) events.push({ at, source, event: 'removed', invoice });
+  });
+  return events;
+}
+
+/**
+ * Build the lookup response for one IMEI
+ * @param {string} imei
+ * @param {Array<import('./imei-store').HistoryRecord>} records - From ImeiStore#findByImei
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.lookup] - Invoice lookup from buildInvoiceLookup
+ * @param {Function} [options.isPresent] - (record, source) => boolean, from ImeiStore
+ * @param {Function} [options.uploadsFor] - (key) => batch ids holding the row
+ * @param {boolean} [options.customers=true] - Include the customer (for roles with customers:read)
+ * @returns {{imei: string, found: boolean, latest: Object|null, shipments: Array<Object>, appearances: Array<Object>}}
+ */
+function buildImeiHistory(imei, records, options = {}) {
+  const lookup = options.lookup || new Map();
+  const isPresent = options.isPresent || (() => true);
+  const uploadsFor = options.uploadsFor || (() => []);
+
+  const shipments = records.map(record => {
+    const info = lookup.get(normalizeInvoice(record.row.invoice)) || {};
+    const removedFrom = Object.keys(record.removedBy).filter(source => !isPresent(record, source));
+    return {
+      ...record.row,
+      ...(options.customers !== false && { customer: info.customer || '' }),
+      tracking: info.tracking || '',
+      firstSeenAt: record.firstSeenAt,
+      firstSource: record.firstSource,
+      lastSeenAt: record.lastSeenAt,
+      sources: Object.keys(record.seenBy).sort(),
+      removedFrom,
+      uploads: uploadsFor(record.key)
+    };
+  }).sort((a, b) => (parseRowDate(a.date) || 0) - (parseRowDate(b.date) || 0) || a.firstSeenAt.localeCompare(b.firstSeenAt));
+
+  const appearances = records
+    .flatMap(record => recordAppearances(record, isPresent))
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  return {
+    imei,
+    found: shipments.length > 0,
+    latest: shipments.length > 0 ? shipments[shipments.length - 1] : null,
+    shipments,
+    appearances
+  };
+}
+
+module.exports = {
+  IMEI_PATTERN,
+  ImeiLookupError,
+  parseImei,
+  diffVersions,
+  buildImeiHistory
+};
@@ -0,0 +1,105 @@
+/**
+ * Test suite for single-IMEI outbound history
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImeiStore } = require('./imei-store');
+const { buildInvoiceLookup } = require('./invoice-enrichment');
+const { parseImei, diffVersions, buildImeiHistory } = require('./imei-lookup');
+
+const IMEI = '353238100433431';
+const ROW = {
+  imei: IMEI,
+  model: '11 PRO',
+  capacity: '256GB',
+  color: 'SPACE GRAY',
+  lock_status: 'UNLOCKED',
+  grade: 'A',
+  total: '175',
+  date: '2025-11-18 9:30:27',
+  invoice: '20959',
+  invtype: 'raw'
+};
+
+function createStore() {
+  let current = Date.UTC(2025, 10, 18, 12);
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'imei-lookup-')), 'history.ndjson');
+  return { store: new ImeiStore({ file, now }), now };
+}
+
+describe('parseImei', () => {
+  test('should accept 15 digits only', () => {
+    expect(parseImei(` ${IMEI} `)).toBe(IMEI);
+    expect(() => parseImei('3.53238E+14')).toThrow(expect.objectContaining({ code: 'INVALID_IMEI' }));
+    expect(() => parseImei('35323810043343')).toThrow(expect.objectContaining({ code: 'INVALID_IMEI' }));
+  });
+});
+
+describe('diffVersions', () => {
+  test('should list changed fields only', () => {
+    expect(diffVersions(ROW, { ...ROW, grade: 'B', total: '150' })).toEqual({
+      grade: { from: 'A', to: 'B' },
+      total: { from: '175', to: '150' }
+    });
+  });
+});
+
+describe('buildImeiHistory', () => {
+  test('should list each shipment with customer and tracking and a timeline', () => {
+    const { store, now } = createStore();
+    store.sync([ROW], 'sheets');
+    now.advance(60000);
+    store.sync([{ ...ROW, grade: 'B' }], 'sheets');
+    now.advance(24 * 60 * 60 * 1000);
+    store.record([{ ...ROW, invoice: '21000', date: '2025-12-02 10:00:00' }], 'upload');
+    now.advance(60000);
+    store.sync([{ ...ROW, invoice: '21000', date: '2025-12-02 10:00:00' }], 'sheets');
+
+    const lookup = buildInvoiceLookup([{ invoice: '20959', customer: 'Acme', tracking: '1Z999' }], []);
+    const result = buildImeiHistory(IMEI, store.findByImei(IMEI), {
+      lookup,
+      isPresent: (record, source) => store.isPresent(record, source),
+      uploadsFor: key => (key.endsWith(':21000') ? ['20251119-120100-abcdef'] : [])
+    });
+
+    expect(result.found).toBe(true);
+    expect(result.shipments.map(shipment => shipment.invoice)).toEqual(['20959', '21000']);
+    expect(result.shipments[0]).toMatchObject({
+      grade: 'B',
+      customer: 'Acme',
+      tracking: '1Z999',
+      firstSource: 'sheets',
+      sources: ['sheets'],
+      removedFrom: ['sheets'],
+      uploads: []
+    });
+    expect(result.latest).toMatchObject({ invoice: '21000', customer: '', sources: ['sheets', 'upload'], uploads: ['20251119-120100-abcdef'] });
+    expect(result.appearances.map(({ event, source, invoice }) => `${event}:${source}:${invoice}`)).toEqual([
+      'first-seen:sheets:20959',
+      'changed:sheets:20959',
+      'first-seen:upload:21000',
+      'removed:sheets:20959',
+      'last-seen:sheets:21000'
+    ]);
+    expect(result.appearances[1].changes).toEqual({ grade: { from: 'A', to: 'B' } });
+  });
+
+  test('should leave the customer out of shipments for roles without customers:read', () => {
+    const { store } = createStore();
+    store.sync([ROW], 'sheets');
+
+    const lookup = buildInvoiceLookup([{ invoice: '20959', customer: 'Acme', tracking: '1Z999' }], []);
+    const result = buildImeiHistory(IMEI, store.findByImei(IMEI), { lookup, customers: false });
+
+    expect(result.shipments[0]).not.toHaveProperty('customer');
+    expect(result.latest).toMatchObject({ invoice: '20959', tracking: '1Z999' });
+  });
+
+  test('should report an IMEI that never shipped', () => {
+    expect(buildImeiHistory(IMEI, [])).toEqual({ imei: IMEI, found: false, latest: null, shipments: [], appearances: [] });
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Persistent history of outbound IMEI rows
+ *
+ * Every row read from the data source or accepted from a CSV upload is
+ * recorded here, keyed by IMEI + invoice, so reports no longer depend on what
+ * the Google Sheet holds at request time: rows edited in the sheet keep their
+ * earlier versions and rows removed from it stay in the record.
+ *
+ * The store is an append-only journal (IMEI_HISTORY_FILE, default
+ * data/imei-history.ndjson) replayed into memory on first use. One JSON
+ * event per line:
+ *   { op: 'put',  at, source, key, row }   - first sighting or changed values
+ *   { op: 'seen', at, source, keys }       - unchanged rows seen again
+ *   { op: 'remove', at, source, keys }     - rows missing from a full read
+ * Sightings of unchanged rows are written at most once per row, source and
+ * day; compact() rewrites the journal without the superseded ones. A removal
+ * only marks the row as gone from that source; the record itself is kept.
+ *
+ * Reports read rows(): every row ever recorded, with the values it was first
+ * recorded with, so a report once produced does not change when the sheet is
+ * edited later. A row every source has since dropped (an IMEI moved to
+ * another invoice, a bad scan deleted from the sheet) is still returned,
+ * marked `removed`. Later versions are kept for /api/imei and audits.
+ *
+ * Why a journal file rather than SQLite or similar: reports aggregate every
+ * row on each request, so the rows are held in memory either way, and an
+ * embedded database would add a native module to a deployment that is plain
+ * Node today. The costs are that the whole journal is replayed into memory
+ * on first use and that it only shrinks when compact() runs (the server does
+ * so at startup). That is acceptable while the history fits comfortably in
+ * memory; past that, it should move to a database.
+ *
+ * @module imei-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { rowKey } = require('./csv-ingest');
+
+const DEFAULT_HISTORY_FILE = path.join('data', 'imei-history.ndjson');
+const HISTORY_FIELDS = ['imei', 'model', 'capacity', 'color', 'lock_status', 'grade', 'total', 'date', 'invoice', 'invtype'];
+
+class ImeiStoreError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ImeiStoreError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Stored values of a row: the history fields as trimmed strings
+ * @param {Object} row - Row in the common IMEI shape
+ * @returns {Object}
+ */
+function pickHistoryFields(row) {
+  const picked = {};
+  HISTORY_FIELDS.forEach(field => {
+    picked[field] = row[field] === undefined || row[field] === null ? '' : String(row[field]).trim();
+  });
+  return picked;
+}
+
+function sameValues(a, b) {
+  return HISTORY_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * History of one IMEI + invoice
+ * @typedef {Object} HistoryRecord
+ * @property {string} key - `imei:invoice`
+ * @property {Object} row - Current values
+ * @property {string} firstSeenAt - ISO timestamp
+ * @property {string} firstSource - Source that first reported the row
+ * @property {string} lastSeenAt - ISO timestamp
+ * @property {Object<string, string>} seenBy - Last sighting per source
+ * @property {Object<string, string>} removedBy - Last removal per source (superseded by a later sighting)
+ * @property {Array<{at: string, source: string, row: Object}>} versions - Every distinct set of values, oldest first
+ */
+
+class ImeiStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file=data/imei-history.ndjson] - Journal file
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_HISTORY_FILE;
+    this.now = options.now || Date.now;
+    this.records = null;
+    this.journalEvents = 0;
+  }
+
+  /**
+   * Replay the journal into memory (once)
+   * @returns {Map<string, HistoryRecord>}
+   */
+  load() {
+    if (this.records) return this.records;
+
+    this.records = new Map();
+    this.journalEvents = 0;
+    if (!fs.existsSync(this.file)) return this.records;
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // A torn final line is what a crash mid-append leaves behind; cut it
+        // off so the next append starts on a fresh line
+        if (lines.slice(index + 1).every(rest => !rest.trim())) {
+          fs.truncateSync(this.file, Buffer.byteLength(lines.slice(0, index).map(kept => `${kept}\n`).join('')));
+          return;
+        }
+        this.records = null;
+        throw new ImeiStoreError(`Could not read IMEI history ${this.file} line ${index + 1}: ${error.message}`, 'STORE_UNREADABLE', { file: this.file, line: index + 1 });
+      }
+      this.apply(event);
+      this.journalEvents += 1;
+    });
+    return this.records;
+  }
+
+  /**
+   * @private
+   */
+  apply(event) {
+    if (event.op === 'put') {
+      let record = this.records.get(event.key);
+      if (!record) {
+        record = {
+          key: event.key,
+          row: event.row,
+          firstSeenAt: event.at,
+          firstSource: event.source,
+          lastSeenAt: event.at,
+          seenBy: {},
+          removedBy: {},
+          versions: []
+        };
+        this.records.set(event.key, record);
+      }
+      record.row = event.row;
+      record.versions.push({ at: event.at, source: event.source, row: event.row });
+      this.markSeen(record, event.source, event.at);
+    } else if (event.op === 'seen') {
+      event.keys.forEach(key => {
+        const record = this.records.get(key);
+        if (record) this.markSeen(record, event.source, event.at);
+      });
+    } else if (event.op === 'remove') {
+      event.keys.forEach(key => {
+        const record = this.records.get(key);
+        if (record && !(record.removedBy[event.source] > event.at)) record.removedBy[event.source] = event.at;
+      });
+    }
+  }
+
+  /**
+   * Whether the source still held the row at its last full read
+   * @param {HistoryRecord} record
+   * @param {string} source
+   * @returns {boolean}
+   */
+  isPresent(record, source) {
+    const seen = record.seenBy[source];
+    const removed = record.removedBy[source];
+    return !!seen && !(removed && removed > seen);
+  }
+
+  /**
+   * Whether any source still holds the row (uploads are never removed)
+   * @param {HistoryRecord} record
+   * @returns {boolean}
+   */
+  isCurrent(record) {
+    return Object.keys(record.seenBy).some(source => this.isPresent(record, source));
+  }
+
+  /**
+   * @private
+   */
+  markSeen(record, source, at) {
+    if (!record.seenBy[source] || at > record.seenBy[source]) record.seenBy[source] = at;
+    if (at > record.lastSeenAt) record.lastSeenAt = at;
+  }
+
+  /**
+   * @private
+   */
+  append(events) {
+    if (events.length === 0) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, events.map(event => JSON.stringify(event)).join('\n') + '\n', { mode: 0o600 });
+    this.journalEvents += events.length;
+  }
+
+  /**
+   * Record rows reported by a source
+   *
+   * New keys and changed values are written as new versions; unchanged rows
+   * only refresh their last-seen time (once per source per day). Rows without
+   * an IMEI are ignored, and a key repeated within `rows` counts once.
+   * @param {Object[]} rows - Rows in the common IMEI shape
+   * @param {string} source - e.g. 'sheets', 'snowflake', 'upload'
+   * @returns {{added: number, changed: number, unchanged: number, ignored: number}}
+   */
+  record(rows, source) {
+    return this.recordRows(rows, source).counts;
+  }
+
+  /**
+   * Apply a full read of a source: record its rows like record(), then mark
+   * rows the source held before but no longer returns as removed from it
+   * @param {Object[]} rows - Every row the source currently holds
+   * @param {string} source
+   * @returns {{added: number, changed: number, unchanged: number, ignored: number, removed: number}}
+   * @throws {ImeiStoreError} EMPTY_SNAPSHOT when the source returned nothing
+   *   but held rows before (more likely a bad read than a cleared sheet)
+   */
+  sync(rows, source) {
+    const records = this.load();
+    const previous = [...records.values()].filter(record => this.isPresent(record, source));
+
+    if (previous.length > 0 && !rows.some(row => row.imei && String(row.imei).trim())) {
+      throw new ImeiStoreError(`${source} returned no rows; keeping its ${previous.length} rows instead of marking them removed`, 'EMPTY_SNAPSHOT', { source, rows: previous.length });
+    }
+
+    const { counts, keys, at } = this.recordRows(rows, source);
+    const removed = previous.map(record => record.key).filter(key => !keys.has(key));
+    if (removed.length > 0) {
+      const event = { op: 'remove', at, source, keys: removed };
+      this.append([event]);
+      this.apply(event);
+    }
+    return { ...counts, removed: removed.length };
+  }
+
+  /**
+   * @private
+   */
+  recordRows(rows, source) {
+    const records = this.load();
+    const at = new Date(this.now()).toISOString();
+    const today = at.slice(0, 10);
+    const puts = [];
+    const seenKeys = [];
+    const handled = new Set();
+    const counts = { added: 0, changed: 0, unchanged: 0, ignored: 0 };
+
+    rows.forEach(input => {
+      const row = pickHistoryFields(input);
+      const key = rowKey(row);
+      if (!row.imei || handled.has(key)) {
+        counts.ignored += 1;
+        return;
+      }
+      handled.add(key);
+
+      const record = records.get(key);
+      if (!record) {
+        counts.added += 1;
+        puts.push({ op: 'put', at, source, key, row });
+      } else if (!sameValues(record.row, row)) {
+        counts.changed += 1;
+        puts.push({ op: 'put', at, source, key, row });
+      } else {
+        counts.unchanged += 1;
+        const lastBySource = record.seenBy[source];
+        if (!this.isPresent(record, source) || lastBySource.slice(0, 10) !== today) seenKeys.push(key);
+      }
+    });
+
+    const events = seenKeys.length > 0 ? [...puts, { op: 'seen', at, source, keys: seenKeys }] : puts;
+    this.append(events);
+    events.forEach(event => this.apply(event));
+    return { counts, keys: handled, at };
+  }
+
+  /**
+   * Rewrite the journal with only the events needed to rebuild the current
+   * state: every version plus the latest sighting and removal per row and source
+   * @returns {{before: number, after: number}} Journal event counts
+   */
+  compact() {
+    const records = this.load();
+    const before = this.journalEvents;
+    const events = [];
+    const grouped = new Map();
+    const group = (op, source, at, key) => {
+      const id = `${op}\n${at}\n${source}`;
+      if (!grouped.has(id)) grouped.set(id, { op, at, source, keys: [] });
+      grouped.get(id).keys.push(key);
+    };
+
+    records.forEach(record => {
+      record.versions.forEach(version => {
+        events.push({ op: 'put', at: version.at, source: version.source, key: record.key, row: version.row });
+      });
+      Object.entries(record.seenBy).forEach(([source, at]) => {
+        if (record.versions.some(version => version.source === source && version.at === at)) return;
+        group('seen', source, at, record.key);
+      });
+      Object.entries(record.removedBy).forEach(([source, at]) => {
+        if (!this.isPresent(record, source)) group('remove', source, at, record.key);
+      });
+    });
+    events.push(...[...grouped.values()].sort((a, b) => a.at.localeCompare(b.at)));
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, events.map(event => JSON.stringify(event)).join('\n') + (events.length ? '\n' : ''), { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+    this.journalEvents = events.length;
+    return { before, after: events.length };
+  }
+
+  /**
+   * Every recorded row with its first recorded values, in the common IMEI
+   * shape (customer and tracking are left empty for invoice enrichment) plus
+   * `removed`: true once no source holds the row any more
+   * @returns {Object[]}
+   */
+  rows() {
+    return [...this.load().values()]
+      .map(record => ({ ...record.versions[0].row, customer: '', tracking: '', removed: !this.isCurrent(record) }));
+  }
+
+  /**
+   * @param {string} key - `imei:invoice`
+   * @returns {HistoryRecord|null}
+   */
+  get(key) {
+    return this.load().get(key) || null;
+  }
+
+  /**
+   * Every record for one IMEI (one per invoice it shipped on)
+   * @param {string} imei
+   * @returns {HistoryRecord[]} Oldest first
+   */
+  findByImei(imei) {
+    const wanted = String(imei || '').trim();
+    return [...this.load().values()]
+      .filter(record => record.row.imei === wanted)
+      .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+  }
+
+  /**
+   * Summary for health checks and API responses
+   * `current` counts the rows some source still holds; `removed` those dropped by at least one source.
+   * @returns {{file: string, rows: number, current: number, versions: number, removed: number, journalEvents: number, byFirstSource: Object<string, number>, lastSeenAt: string|null}}
+   */
+  stats() {
+    const records = this.load();
+    const byFirstSource = {};
+    let versions = 0;
+    let current = 0;
+    let removed = 0;
+    let lastSeenAt = null;
+
+    records.forEach(record => {
+      versions += record.versions.length;
+      if (this.isCurrent(record)) current += 1;
+      if (Object.keys(record.removedBy).some(source => !this.isPresent(record, source))) removed += 1;
+      byFirstSource[record.firstSource] = (byFirstSource[record.firstSource] || 0) + 1;
+      if (!lastSeenAt || record.lastSeenAt > lastSeenAt) lastSeenAt = record.lastSeenAt;
+    });
+
+    return { file: this.file, rows: records.size, current, versions, removed, journalEvents: this.journalEvents, byFirstSource, lastSeenAt };
+  }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_FILE,
+  HISTORY_FIELDS,
+  ImeiStoreError,
+  ImeiStore,
+  pickHistoryFields
+};
@@ -0,0 +1,219 @@
+/**
+ * Test suite for the persistent IMEI history store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImeiStore } = require('./imei-store');
+const { computeAnalytics } = require('./analytics');
+const { aggregateMonth, aggregateDay } = require('./historical-aggregation');
+
+const ROW = {
+  imei: '353238100433431',
+  model: '11 PRO',
+  capacity: '256GB',
+  color: 'SPACE GRAY',
+  lock_status: 'UNLOCKED',
+  grade: 'A',
+  total: '175',
+  date: '2025-11-18 9:30:27',
+  invoice: '20959',
+  invtype: 'raw',
+  customer: 'Acme',
+  tracking: '1Z999'
+};
+
+function createClock(start = Date.UTC(2025, 10, 18, 12)) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'imei-history-')), 'history.ndjson');
+}
+
+function journal(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('ImeiStore', () => {
+  test('should record first and last sightings with their source', () => {
+    const now = createClock();
+    const file = tempFile();
+    const store = new ImeiStore({ file, now });
+
+    expect(store.record([ROW], 'sheets')).toEqual({ added: 1, changed: 0, unchanged: 0, ignored: 0 });
+    now.advance(24 * 60 * 60 * 1000);
+    expect(store.record([ROW], 'upload')).toEqual({ added: 0, changed: 0, unchanged: 1, ignored: 0 });
+
+    const record = new ImeiStore({ file }).get('353238100433431:20959');
+    expect(record).toMatchObject({
+      firstSeenAt: '2025-11-18T12:00:00.000Z',
+      firstSource: 'sheets',
+      lastSeenAt: '2025-11-19T12:00:00.000Z',
+      seenBy: { sheets: '2025-11-18T12:00:00.000Z', upload: '2025-11-19T12:00:00.000Z' }
+    });
+    expect(record.versions).toHaveLength(1);
+  });
+
+  test('should keep earlier versions when values change at the source', () => {
+    const now = createClock();
+    const store = new ImeiStore({ file: tempFile(), now });
+
+    store.record([ROW], 'sheets');
+    now.advance(60000);
+    expect(store.record([{ ...ROW, total: '150' }], 'sheets').changed).toBe(1);
+
+    const record = store.get('353238100433431:20959');
+    expect(record.row.total).toBe('150');
+    expect(record.versions.map(version => version.row.total)).toEqual(['175', '150']);
+  });
+
+  test('should keep rows that disappear from the source and serve them without enrichment', () => {
+    const store = new ImeiStore({ file: tempFile() });
+    const other = { ...ROW, imei: '353238106841256' };
+
+    store.record([ROW, other], 'sheets');
+    store.record([other], 'sheets');
+
+    expect(store.rows()).toEqual([
+      { ...ROW, customer: '', tracking: '', removed: false },
+      { ...other, customer: '', tracking: '', removed: false }
+    ]);
+  });
+
+  test('should write unchanged sightings at most once per source per day', () => {
+    const now = createClock();
+    const file = tempFile();
+    const store = new ImeiStore({ file, now });
+
+    store.record([ROW], 'sheets');
+    now.advance(60000);
+    store.record([ROW], 'sheets');
+    now.advance(24 * 60 * 60 * 1000);
+    store.record([ROW, { ...ROW, imei: '' }], 'sheets');
+
+    expect(journal(file).map(event => event.op)).toEqual(['put', 'seen']);
+    expect(store.get('353238100433431:20959').lastSeenAt).toBe('2025-11-19T12:01:00.000Z');
+  });
+
+  test('should compact the journal without losing state', () => {
+    const now = createClock();
+    const file = tempFile();
+    const store = new ImeiStore({ file, now });
+
+    for (let day = 0; day < 3; day += 1) {
+      store.record([ROW], 'sheets');
+      now.advance(24 * 60 * 60 * 1000);
+    }
+    store.record([{ ...ROW, grade: 'B' }], 'upload');
+    const before = store.get('353238100433431:20959');
+
+    expect(store.compact()).toEqual({ before: 4, after: 3 });
+
+    const reopened = new ImeiStore({ file });
+    expect(reopened.get('353238100433431:20959')).toEqual(before);
+    expect(reopened.stats()).toMatchObject({ rows: 1, versions: 2, journalEvents: 3, byFirstSource: { sheets: 1 } });
+  });
+
+  test('should mark rows missing from a full read as removed and restore them when they return', () => {
+    const now = createClock();
+    const file = tempFile();
+    const store = new ImeiStore({ file, now });
+    const other = { ...ROW, imei: '353238106841256' };
+
+    expect(store.sync([ROW, other], 'sheets')).toEqual({ added: 2, changed: 0, unchanged: 0, ignored: 0, removed: 0 });
+    now.advance(60000);
+    expect(store.sync([ROW], 'sheets')).toMatchObject({ unchanged: 1, removed: 1 });
+
+    const removed = store.get('353238106841256:20959');
+    expect(store.isPresent(removed, 'sheets')).toBe(false);
+    expect(store.stats()).toMatchObject({ rows: 2, removed: 1 });
+    expect(store.compact().after).toBe(3);
+    expect(new ImeiStore({ file }).stats()).toMatchObject({ rows: 2, removed: 1 });
+
+    now.advance(60000);
+    expect(store.sync([ROW, other], 'sheets')).toMatchObject({ unchanged: 2, removed: 0 });
+    expect(store.isPresent(store.get('353238106841256:20959'), 'sheets')).toBe(true);
+    expect(new ImeiStore({ file }).stats().removed).toBe(0);
+  });
+
+  test('should serve rows no source holds, marked removed, with their first values', () => {
+    const now = createClock();
+    const store = new ImeiStore({ file: tempFile(), now });
+    const other = { ...ROW, imei: '353238106841256' };
+
+    store.sync([ROW, other], 'sheets');
+    store.record([{ ...other, invoice: '21000' }], 'upload');
+    now.advance(60000);
+    store.sync([{ ...ROW, total: '150' }], 'sheets');
+
+    expect(store.rows().map(row => `${row.imei}:${row.invoice}:${row.total}:${row.removed}`)).toEqual([
+      '353238100433431:20959:175:false',
+      '353238106841256:20959:175:true',
+      '353238106841256:21000:175:false'
+    ]);
+    expect(store.get('353238100433431:20959').row.total).toBe('150');
+    expect(store.stats()).toMatchObject({ rows: 3, current: 2, removed: 1 });
+  });
+
+  test('should not change a past report when its rows are edited or deleted later', () => {
+    const now = createClock(Date.UTC(2025, 10, 18, 20));
+    const store = new ImeiStore({ file: tempFile(), now });
+    const edited = { ...ROW, imei: '353238106841256', total: '210' };
+    const deleted = { ...ROW, imei: '353238100434009', invoice: '20960', total: '99.5' };
+    const reports = () => ({
+      month: aggregateMonth(store.rows(), { year: 2025, month: 11 }),
+      day: aggregateDay(store.rows(), '2025-11-18').totals,
+      analytics: computeAnalytics(store.rows(), [], { filters: { dateRange: 'all' }, now: new Date(now()) }).totalRevenue
+    });
+
+    store.sync([ROW, edited, deleted], 'sheets');
+    const before = reports();
+    now.advance(30 * 24 * 60 * 60 * 1000);
+    store.sync([ROW, { ...edited, total: '10', grade: 'C' }], 'sheets');
+
+    expect(before.month.totals).toEqual({ totalRevenue: 484.5, totalUnits: 3, invoiceCount: 2 });
+    expect(reports()).toEqual(before);
+    const items = aggregateDay(store.rows(), '2025-11-18').invoices.flatMap(invoice => invoice.items);
+    expect(items.filter(item => item.removed).map(item => item.imei)).toEqual([deleted.imei]);
+  });
+
+  test('should refuse an empty full read rather than remove every row', () => {
+    const store = new ImeiStore({ file: tempFile() });
+    store.sync([ROW], 'sheets');
+
+    expect(() => store.sync([], 'sheets')).toThrow(expect.objectContaining({ code: 'EMPTY_SNAPSHOT' }));
+    expect(store.sync([], 'snowflake').removed).toBe(0);
+    expect(store.stats().removed).toBe(0);
+  });
+
+  test('should find every invoice an IMEI shipped on', () => {
+    const now = createClock();
+    const store = new ImeiStore({ file: tempFile(), now });
+
+    store.record([ROW], 'sheets');
+    now.advance(1000);
+    store.record([{ ...ROW, invoice: '21000' }], 'upload');
+
+    expect(store.findByImei(' 353238100433431 ').map(record => record.key)).toEqual(['353238100433431:20959', '353238100433431:21000']);
+    expect(store.findByImei('000')).toEqual([]);
+  });
+
+  test('should skip a torn final line but refuse a corrupt journal', () => {
+    const file = tempFile();
+    new ImeiStore({ file }).record([ROW], 'sheets');
+
+    fs.appendFileSync(file, '{"op":"put","at":');
+    const recovered = new ImeiStore({ file });
+    expect(recovered.stats().rows).toBe(1);
+    recovered.record([{ ...ROW, invoice: '21000' }], 'sheets');
+    expect(new ImeiStore({ file }).stats().rows).toBe(2);
+
+    fs.appendFileSync(file, '{"op":\n' + fs.readFileSync(file, 'utf8').split('\n')[0] + '\n');
+    expect(() => new ImeiStore({ file }).load()).toThrow(expect.objectContaining({ code: 'STORE_UNREADABLE' }));
+  });
+});
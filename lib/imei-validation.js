@@ -0,0 +1,171 @@
+/**
+ * IMEI validation and data-quality reporting
+ *
+ * An IMEI is 15 digits: an 8-digit Type Allocation Code (TAC) whose first two
+ * digits name the reporting body that issued it, a 6-digit serial and a Luhn
+ * check digit. Bad scans usually fail the check digit; spreadsheets turn IMEIs
+ * into numbers and write them back as `3.53238E+14` (digits lost) or
+ * `353238100433431.0`.
+ *
+ * Uploads reject rows that fail these checks. Rows already in the data source
+ * cannot be fixed here, so `buildQualityReport` lists them by invoice for
+ * someone to correct at the source, and `isCountedImei` keeps them out of
+ * revenue and unit totals until then.
+ *
+ * @module imei-validation
+ */
+
+const { normalizeInvoice } = require('./notion-orders');
+const { parseRowDate } = require('./dashboard-query');
+
+// GSMA reporting body identifiers (first two digits of the TAC)
+const REPORTING_BODIES = new Set(['01', '10', '30', '33', '35', '44', '45', '49', '50', '51', '52', '53', '54', '86', '91', '98', '99']);
+const EXCEL_SCIENTIFIC = /^\d(?:\.\d+)?E\+?\d+$/i;
+const EXCEL_DECIMAL = /^(\d+)\.0+$/;
+// Issues meaning the value is not a device's IMEI (a bad scan or a number a
+// spreadsheet mangled). UNKNOWN_TAC is not one: a checksum-valid IMEI from an
+// unlisted reporting body is more likely a gap in the list than a bad row.
+const UNCOUNTED_ISSUES = new Set(['EXCEL_FLOAT', 'NOT_DIGITS', 'WRONG_LENGTH', 'BAD_CHECKSUM']);
+
+/**
+ * Check a digit string with the Luhn algorithm
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate one IMEI
+ * @param {*} value - As read from a sheet, CSV or database
+ * @returns {{valid: boolean, imei: string, code?: string, message?: string, suggestion?: string}}
+ *   `code` is one of MISSING, EXCEL_FLOAT, NOT_DIGITS, WRONG_LENGTH,
+ *   BAD_CHECKSUM, UNKNOWN_TAC; `suggestion` is the IMEI a lossless
+ *   `353238100433431.0` stands for
+ */
+function checkImei(value) {
+  const imei = String(value === null || value === undefined ? '' : value).trim();
+  const invalid = (code, message, extra = {}) => ({ valid: false, imei, code, message, ...extra });
+
+  if (!imei) {
+    return invalid('MISSING', 'is missing');
+  }
+  if (EXCEL_SCIENTIFIC.test(imei)) {
+    return invalid('EXCEL_FLOAT', 'was turned into a number by a spreadsheet and lost digits');
+  }
+  const decimal = EXCEL_DECIMAL.exec(imei);
+  if (decimal) {
+    const suggestion = decimal[1];
+    return invalid('EXCEL_FLOAT', 'was turned into a number by a spreadsheet',
+      suggestion.length === 15 && isLuhnValid(suggestion) ? { suggestion } : {});
+  }
+  if (!/^\d+$/.test(imei)) {
+    return invalid('NOT_DIGITS', 'must contain digits only');
+  }
+  if (imei.length !== 15) {
+    return invalid('WRONG_LENGTH', `must be 15 digits, found ${imei.length}`);
+  }
+  if (!isLuhnValid(imei)) {
+    return invalid('BAD_CHECKSUM', 'fails the Luhn check digit');
+  }
+  if (!REPORTING_BODIES.has(imei.slice(0, 2))) {
+    return invalid('UNKNOWN_TAC', `has a TAC from no known reporting body (${imei.slice(0, 2)})`);
+  }
+  return { valid: true, imei };
+}
+
+/**
+ * Whether a row with this IMEI counts towards revenue and unit totals
+ * @param {*} value - IMEI as stored
+ * @returns {boolean} false for bad scans and spreadsheet floats (see UNCOUNTED_ISSUES);
+ *   rows without an IMEI still count
+ */
+function isCountedImei(value) {
+  const result = checkImei(value);
+  return result.valid || !UNCOUNTED_ISSUES.has(result.code);
+}
+
+/**
+ * One line describing why an IMEI was rejected, e.g. for an upload report
+ * @param {Object} result - From checkImei
+ * @returns {string}
+ */
+function describeImeiIssue(result) {
+  const suggestion = result.suggestion ? `, probably ${result.suggestion}` : '';
+  return `imei ${result.message} (got "${result.imei}"${suggestion})`;
+}
+
+/**
+ * List rows with invalid IMEIs, grouped by invoice
+ * @param {Array<Object>} rows - IMEI rows (`imei`, `invoice`, `date`, ...)
+ * @param {Object} [options]
+ * @param {number} [options.max=200] - Offending rows listed (counts always cover every row)
+ * @returns {Object} { checkedRows, invalidRows, issues: {code: count}, invoices:
+ *   [{ invoice, invtype, date, units, invalidUnits, total, rows }], truncated? }
+ */
+function buildQualityReport(rows, { max = 200 } = {}) {
+  const issues = {};
+  const invoices = new Map();
+  let invalidRows = 0;
+  let listed = 0;
+
+  rows.forEach(row => {
+    const invoice = normalizeInvoice(row.invoice) || '(none)';
+    if (!invoices.has(invoice)) {
+      invoices.set(invoice, { invoice, invtype: row.invtype || '', date: row.date || '', units: 0, invalidUnits: 0, total: 0, rows: [] });
+    }
+    const entry = invoices.get(invoice);
+    entry.units++;
+
+    const result = checkImei(row.imei);
+    if (result.valid) return;
+
+    invalidRows++;
+    issues[result.code] = (issues[result.code] || 0) + 1;
+    entry.invalidUnits++;
+    entry.total += parseFloat(row.total) || 0;
+    if (listed < max) {
+      listed++;
+      entry.rows.push({
+        imei: result.imei,
+        issue: result.code,
+        message: result.message,
+        ...(result.suggestion && { suggestion: result.suggestion }),
+        model: row.model,
+        capacity: row.capacity,
+        date: row.date,
+        total: row.total
+      });
+    }
+  });
+
+  const affected = [...invoices.values()]
+    .filter(entry => entry.invalidUnits > 0)
+    .sort((a, b) => b.invalidUnits - a.invalidUnits || (parseRowDate(b.date) || 0) - (parseRowDate(a.date) || 0));
+
+  return {
+    checkedRows: rows.length,
+    invalidRows,
+    issues,
+    invoices: affected,
+    ...(listed < invalidRows && { truncated: true })
+  };
+}
+
+module.exports = {
+  isLuhnValid,
+  checkImei,
+  isCountedImei,
+  describeImeiIssue,
+  buildQualityReport
+};
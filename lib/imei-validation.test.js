@@ -0,0 +1,81 @@
+/**
+ * Test suite for IMEI validation and the data-quality report
+ */
+
+const { isLuhnValid, checkImei, isCountedImei, describeImeiIssue, buildQualityReport } = require('./imei-validation');
+
+const ROW = { imei: '353238100433431', model: '11 PRO', capacity: '256GB', total: '175', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' };
+
+describe('isLuhnValid', () => {
+  test('should check the Luhn digit', () => {
+    expect(isLuhnValid('353238100433431')).toBe(true);
+    expect(isLuhnValid('353238100433432')).toBe(false);
+  });
+});
+
+describe('checkImei', () => {
+  test('should accept a valid IMEI', () => {
+    expect(checkImei(' 353238100433431 ')).toEqual({ valid: true, imei: '353238100433431' });
+  });
+
+  test('should detect spreadsheet float corruption', () => {
+    expect(checkImei('3.53238E+14')).toMatchObject({ valid: false, code: 'EXCEL_FLOAT' });
+    expect(checkImei('353238100433431.0')).toMatchObject({ code: 'EXCEL_FLOAT', suggestion: '353238100433431' });
+    expect(checkImei('353238100433432.0')).not.toHaveProperty('suggestion');
+  });
+
+  test('should report each kind of bad IMEI', () => {
+    expect(checkImei('').code).toBe('MISSING');
+    expect(checkImei('35323810O433431').code).toBe('NOT_DIGITS');
+    expect(checkImei('35323810043343').code).toBe('WRONG_LENGTH');
+    expect(checkImei('353238100433432').code).toBe('BAD_CHECKSUM');
+    expect(checkImei('123456789012347').code).toBe('UNKNOWN_TAC');
+  });
+
+  test('should only leave bad scans and spreadsheet floats out of totals', () => {
+    expect(isCountedImei('353238100433431')).toBe(true);
+    expect(isCountedImei('123456789012347')).toBe(true);
+    expect(isCountedImei('')).toBe(true);
+    ['3.53238E+14', '353238100433431.0', '35323810O433431', '35323810043343', '353238100433432'].forEach(imei => {
+      expect(isCountedImei(imei)).toBe(false);
+    });
+  });
+
+  test('should describe an issue for upload reports', () => {
+    expect(describeImeiIssue(checkImei('353238100433431.0'))).toBe(
+      'imei was turned into a number by a spreadsheet (got "353238100433431.0", probably 353238100433431)'
+    );
+  });
+});
+
+describe('buildQualityReport', () => {
+  test('should list offending rows by invoice, worst first', () => {
+    const rows = [
+      ROW,
+      { ...ROW, imei: '3.53238E+14' },
+      { ...ROW, imei: '353238106841256', invoice: '20960' },
+      { ...ROW, imei: '353238106841257', invoice: '20960', total: '150' },
+      { ...ROW, imei: '35323810684125', invoice: '20960', total: '150' }
+    ];
+
+    const report = buildQualityReport(rows);
+
+    expect(report).toMatchObject({ checkedRows: 5, invalidRows: 3, issues: { EXCEL_FLOAT: 1, BAD_CHECKSUM: 1, WRONG_LENGTH: 1 } });
+    expect(report.invoices.map(({ invoice, units, invalidUnits, total }) => ({ invoice, units, invalidUnits, total }))).toEqual([
+      { invoice: '20960', units: 3, invalidUnits: 2, total: 300 },
+      { invoice: '20959', units: 2, invalidUnits: 1, total: 175 }
+    ]);
+    expect(report.invoices[0].rows[0]).toMatchObject({ imei: '353238106841257', issue: 'BAD_CHECKSUM', model: '11 PRO' });
+    expect(report).not.toHaveProperty('truncated');
+  });
+
+  test('should cap the rows listed but count them all', () => {
+    const rows = Array.from({ length: 5 }, () => ({ ...ROW, imei: '3.53238E+14' }));
+
+    const report = buildQualityReport(rows, { max: 2 });
+
+    expect(report.invalidRows).toBe(5);
+    expect(report.invoices[0].rows).toHaveLength(2);
+    expect(report.truncated).toBe(true);
+  });
+});
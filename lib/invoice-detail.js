@@ -0,0 +1,145 @@
+/**
+ * Invoice detail
+ *
+ * Builds the `/api/invoices/:invno` response from the IMEI rows of one
+ * invoice: type, ship date, customer (only for roles with customers:read)
+ * and tracking (joined in by invoice), line items grouped by model, capacity
+ * and grade with unit counts and average price, the full IMEI list and
+ * totals. IMEIs that are bad scans or
+ * spreadsheet floats (see imei-validation) are listed with their `issue` but
+ * left out of the line items and totals. Rows the source no longer holds
+ * still count and are marked `removed`. The printable invoice page
+ * (`/invoice?invno=`) renders it, and the calendar's day and week views link
+ * there.
+ *
+ * @module invoice-detail
+ */
+
+const { normalizeInvoice } = require('./notion-orders');
+const { parseRowDate } = require('./dashboard-query');
+const { formatDayKey } = require('./analytics');
+const { INVOICE_PATTERN } = require('./reconciliation');
+const { checkImei, isCountedImei } = require('./imei-validation');
+
+class InvoiceDetailError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'InvoiceDetailError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate an invoice number from a URL
+ * @param {string} value
+ * @returns {string} Normalized invoice number
+ * @throws {InvoiceDetailError} INVALID_INVOICE unless it is all digits
+ */
+function parseInvno(value) {
+  const invno = normalizeInvoice(value);
+  if (!INVOICE_PATTERN.test(invno)) {
+    throw new InvoiceDetailError('invoice must be an invoice number', 'INVALID_INVOICE', { received: String(value || '').slice(0, 40) });
+  }
+  return invno;
+}
+
+/**
+ * @private
+ */
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * @private
+ */
+function imeiEntry(row, price) {
+  return {
+    imei: String(row.imei || '').trim(),
+    model: row.model || '',
+    capacity: row.capacity || '',
+    color: row.color || '',
+    lock_status: row.lock_status || '',
+    grade: row.grade || '',
+    price,
+    date: row.date || '',
+    ...(row.removed && { removed: true })
+  };
+}
+
+/**
+ * Build the detail of one invoice
+ * @param {string} invno - From parseInvno
+ * @param {Array<Object>} rows - IMEI rows (only those on the invoice are used)
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.lookup] - Invoice lookup from buildInvoiceLookup
+ * @param {boolean} [options.customers=true] - Include the customer (for roles with customers:read)
+ * @returns {Object} { invno, found, invtype, shipDate, shipDates, customer?, tracking,
+ *   lineItems: [{ model, capacity, grade, units, total, avgPrice }],
+ *   imeis: [{ imei, model, capacity, color, lock_status, grade, price, date, removed?, issue? }],
+ *   totals: { units, lineItems, total, avgPrice, excludedRows } }
+ */
+function buildInvoiceDetail(invno, rows, options = {}) {
+  const lookup = options.lookup || new Map();
+  const invoiceRows = rows.filter(row => normalizeInvoice(row.invoice) === invno);
+  const info = lookup.get(invno) || {};
+
+  const lineItems = new Map();
+  const shipDates = new Set();
+  let total = 0;
+  let units = 0;
+
+  const imeis = invoiceRows.map(row => {
+    const price = parseFloat(row.total) || 0;
+    const timestamp = parseRowDate(row.date);
+    if (timestamp !== null) shipDates.add(formatDayKey(new Date(timestamp)));
+
+    if (!isCountedImei(row.imei)) {
+      return { ...imeiEntry(row, price), issue: checkImei(row.imei).code };
+    }
+
+    const key = [row.model, row.capacity, row.grade].join('|');
+    if (!lineItems.has(key)) {
+      lineItems.set(key, { model: row.model || '', capacity: row.capacity || '', grade: row.grade || '', units: 0, total: 0 });
+    }
+    const item = lineItems.get(key);
+    item.units += 1;
+    item.total += price;
+    total += price;
+    units += 1;
+
+    return imeiEntry(row, price);
+  }).sort((a, b) => a.model.localeCompare(b.model) || a.capacity.localeCompare(b.capacity) || a.imei.localeCompare(b.imei));
+
+  const dates = [...shipDates].sort();
+
+  return {
+    invno,
+    found: invoiceRows.length > 0,
+    invtype: (invoiceRows.find(row => row.invtype) || {}).invtype || '',
+    shipDate: dates[0] || null,
+    shipDates: dates,
+    ...(options.customers !== false && {
+      customer: (invoiceRows.find(row => row.customer) || {}).customer || info.customer || ''
+    }),
+    tracking: (invoiceRows.find(row => row.tracking) || {}).tracking || info.tracking || '',
+    lineItems: [...lineItems.values()]
+      .map(item => ({ ...item, total: roundMoney(item.total), avgPrice: roundMoney(item.total / item.units) }))
+      .sort((a, b) => b.units - a.units || a.model.localeCompare(b.model) || a.capacity.localeCompare(b.capacity) || a.grade.localeCompare(b.grade)),
+    imeis,
+    totals: {
+      units,
+      lineItems: lineItems.size,
+      total: roundMoney(total),
+      avgPrice: units > 0 ? roundMoney(total / units) : 0,
+      excludedRows: imeis.length - units
+    }
+  };
+}
+
+module.exports = {
+  InvoiceDetailError,
+  parseInvno,
+  buildInvoiceDetail
+};
@@ -0,0 +1,71 @@
+/**
+ * Test suite for the invoice detail
+ */
+
+const { parseInvno, buildInvoiceDetail } = require('./invoice-detail');
+
+const ROW = { imei: '353238100433431', model: '11 PRO', capacity: '256GB', color: 'Gold', lock_status: 'Unlocked', grade: 'A', total: '175.25', date: '2025-11-18 9:30:27', invoice: '20959', invtype: 'raw' };
+
+describe('parseInvno', () => {
+  test('should normalize invoice numbers and reject anything else', () => {
+    expect(parseInvno(' 20959.0 ')).toBe('20959');
+    expect(() => parseInvno('INV-1')).toThrow(expect.objectContaining({ code: 'INVALID_INVOICE' }));
+    expect(() => parseInvno('')).toThrow(expect.objectContaining({ code: 'INVALID_INVOICE' }));
+  });
+});
+
+describe('buildInvoiceDetail', () => {
+  const rows = [
+    ROW,
+    { ...ROW, imei: '353238106841256', total: '124.75', invoice: '20959.0' },
+    { ...ROW, imei: '353245100315658', model: '13', capacity: '128GB', grade: 'B', total: '300' },
+    { ...ROW, imei: '353250105313153', invoice: '21004' }
+  ];
+
+  test('should group line items by model, capacity and grade with totals and average price', () => {
+    const invoice = buildInvoiceDetail('20959', rows, { lookup: new Map([['20959', { customer: 'Acme', tracking: '1Z999' }]]) });
+
+    expect(invoice).toMatchObject({
+      invno: '20959',
+      found: true,
+      invtype: 'raw',
+      shipDate: '2025-11-18',
+      shipDates: ['2025-11-18'],
+      customer: 'Acme',
+      tracking: '1Z999'
+    });
+    expect(invoice.lineItems).toEqual([
+      { model: '11 PRO', capacity: '256GB', grade: 'A', units: 2, total: 300, avgPrice: 150 },
+      { model: '13', capacity: '128GB', grade: 'B', units: 1, total: 300, avgPrice: 300 }
+    ]);
+    expect(invoice.imeis.map(item => item.imei)).toEqual(['353238100433431', '353238106841256', '353245100315658']);
+    expect(invoice.totals).toEqual({ units: 3, lineItems: 2, total: 600, avgPrice: 200, excludedRows: 0 });
+  });
+
+  test('should list invalid IMEIs without counting them in line items or totals', () => {
+    const invoice = buildInvoiceDetail('20959', [...rows, { ...ROW, imei: '3.53238E+14', total: '999' }]);
+
+    expect(invoice.totals).toEqual({ units: 3, lineItems: 2, total: 600, avgPrice: 200, excludedRows: 1 });
+    expect(invoice.lineItems[0]).toMatchObject({ units: 2, total: 300 });
+    expect(invoice.imeis.find(item => item.issue)).toMatchObject({ imei: '3.53238E+14', issue: 'EXCEL_FLOAT', price: 999 });
+  });
+
+  test('should count rows the source no longer holds and mark them removed', () => {
+    const invoice = buildInvoiceDetail('20959', [{ ...rows[0], removed: true }, ...rows.slice(1)]);
+
+    expect(invoice.totals).toMatchObject({ units: 3, total: 600 });
+    expect(invoice.imeis.filter(item => item.removed).map(item => item.imei)).toEqual(['353238100433431']);
+  });
+
+  test('should leave the customer out for roles without customers:read', () => {
+    const lookup = new Map([['20959', { customer: 'Acme', tracking: '1Z999' }]]);
+    const invoice = buildInvoiceDetail('20959', [{ ...ROW, customer: 'Acme' }], { lookup, customers: false });
+
+    expect(invoice).not.toHaveProperty('customer');
+    expect(invoice).toMatchObject({ tracking: '1Z999', totals: { units: 1, total: 175.25 } });
+  });
+
+  test('should report an invoice with no rows as not found', () => {
+    expect(buildInvoiceDetail('1', rows)).toMatchObject({ found: false, shipDate: null, imeis: [], totals: { units: 0, total: 0 } });
+  });
+});
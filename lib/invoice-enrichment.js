@@ -0,0 +1,117 @@
+/**
+ * Invoice enrichment for IMEI rows
+ *
+ * Joins customer names and tracking numbers onto IMEI rows by invoice
+ * number. Notion orders are the primary source; the COMPANY_NAME column of
+ * the RAW CUSTOMER DATA sheet is used when Notion has no customer for an
+ * invoice.
+ *
+ * @module invoice-enrichment
+ */
+
+const { normalizeInvoice } = require('./notion-orders');
+
+/**
+ * Per-invoice enrichment entry
+ * @typedef {Object} InvoiceInfo
+ * @property {string} customer - Customer name ('' when unknown)
+ * @property {string} tracking - Tracking number(s) ('' when unknown)
+ * @property {string} source - 'notion', 'customer-data' or 'notion+customer-data'
+ */
+
+/**
+ * Build an invoice → customer/tracking lookup
+ * @param {Array<Object>} notionOrders - Orders from lib/notion-orders
+ * @param {Array<Object>} customerRows - RAW CUSTOMER DATA rows
+ * @returns {Map<string, InvoiceInfo>}
+ */
+function buildInvoiceLookup(notionOrders = [], customerRows = []) {
+  const lookup = new Map();
+
+  notionOrders.forEach(order => {
+    const invoice = normalizeInvoice(order.invoice);
+    if (!invoice || !(order.customer || order.tracking)) return;
+
+    // Duplicate Notion pages for an invoice: keep the first non-empty values
+    const existing = lookup.get(invoice);
+    lookup.set(invoice, {
+      customer: existing?.customer || order.customer || '',
+      tracking: existing?.tracking || order.tracking || '',
+      source: 'notion'
+    });
+  });
+
+  customerRows.forEach(row => {
+    const invoice = normalizeInvoice(row.INVNO);
+    const customer = (row.COMPANY_NAME || '').trim();
+    if (!invoice || !customer) return;
+
+    const existing = lookup.get(invoice);
+    if (!existing) {
+      lookup.set(invoice, { customer, tracking: '', source: 'customer-data' });
+    } else if (!existing.customer) {
+      lookup.set(invoice, { ...existing, customer, source: 'notion+customer-data' });
+    }
+  });
+
+  return lookup;
+}
+
+/**
+ * Fill `customer` and `tracking` on each row from the lookup
+ * @param {Array<Object>} rows - Dashboard-data IMEI rows (with `invoice`)
+ * @param {Map<string, InvoiceInfo>} lookup - From buildInvoiceLookup
+ * @returns {{rows: Array<Object>, summary: Object}} New rows plus a match report
+ */
+function enrichRows(rows, lookup) {
+  const matchedInvoices = new Set();
+  const unmatched = new Map();
+  const sources = {};
+  let rowsWithoutInvoice = 0;
+
+  const enriched = rows.map(row => {
+    const invoice = normalizeInvoice(row.invoice);
+    if (!invoice) {
+      rowsWithoutInvoice++;
+      return row;
+    }
+
+    const info = lookup.get(invoice);
+    if (!info) {
+      unmatched.set(invoice, (unmatched.get(invoice) || 0) + 1);
+      return row;
+    }
+
+    if (!matchedInvoices.has(invoice)) {
+      matchedInvoices.add(invoice);
+      sources[info.source] = (sources[info.source] || 0) + 1;
+    }
+
+    return {
+      ...row,
+      customer: row.customer || info.customer,
+      tracking: row.tracking || info.tracking
+    };
+  });
+
+  const unmatchedInvoices = Array.from(unmatched.entries())
+    .map(([invoice, units]) => ({ invoice, units }))
+    .sort((a, b) => (parseInt(b.invoice) || 0) - (parseInt(a.invoice) || 0));
+
+  return {
+    rows: enriched,
+    summary: {
+      matchedInvoices: matchedInvoices.size,
+      unmatchedInvoiceCount: unmatchedInvoices.length,
+      unmatchedRows: unmatchedInvoices.reduce((sum, entry) => sum + entry.units, 0),
+      rowsWithoutInvoice,
+      sources,
+      unmatchedInvoices
+    }
+  };
+}
+
+module.exports = {
+  buildInvoiceLookup,
+  enrichRows
+};
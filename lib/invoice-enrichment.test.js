@@ -0,0 +1,80 @@
+/**
+ * Test suite for invoice enrichment of IMEI rows
+ */
+
+const { buildInvoiceLookup, enrichRows } = require('./invoice-enrichment');
+
+const ORDERS = [
+  { invoice: '20997', customer: 'Acme Wireless', tracking: '1Z999' },
+  { invoice: '21005', customer: '', tracking: '9400111' },
+  { invoice: '21016', customer: '', tracking: '' }
+];
+
+const CUSTOMER_ROWS = [
+  { COMPANY_NAME: 'Acme Sheet Name', INVNO: '20997' },
+  { COMPANY_NAME: 'Jones Mobile', INVNO: '21005' },
+  { COMPANY_NAME: 'Globex', INVNO: '20959.0' },
+  { COMPANY_NAME: '', INVNO: '20001' }
+];
+
+const row = (imei, invoice) => ({ imei, invoice, customer: '', tracking: '' });
+
+describe('buildInvoiceLookup', () => {
+  test('should prefer Notion and fall back to customer data', () => {
+    const lookup = buildInvoiceLookup(ORDERS, CUSTOMER_ROWS);
+
+    expect(lookup.get('20997')).toEqual({ customer: 'Acme Wireless', tracking: '1Z999', source: 'notion' });
+    expect(lookup.get('21005')).toEqual({ customer: 'Jones Mobile', tracking: '9400111', source: 'notion+customer-data' });
+    expect(lookup.get('20959')).toEqual({ customer: 'Globex', tracking: '', source: 'customer-data' });
+  });
+
+  test('should skip entries with nothing to contribute', () => {
+    const lookup = buildInvoiceLookup(ORDERS, CUSTOMER_ROWS);
+
+    expect(lookup.has('21016')).toBe(false);
+    expect(lookup.has('20001')).toBe(false);
+  });
+
+  test('should work with only one source', () => {
+    expect(buildInvoiceLookup([], CUSTOMER_ROWS).get('20997').source).toBe('customer-data');
+    expect(buildInvoiceLookup(ORDERS).get('20997').source).toBe('notion');
+  });
+});
+
+describe('enrichRows', () => {
+  test('should fill customer and tracking by invoice', () => {
+    const lookup = buildInvoiceLookup(ORDERS, CUSTOMER_ROWS);
+    const { rows } = enrichRows([row('1', '20997'), row('2', ' 21005 ')], lookup);
+
+    expect(rows[0]).toMatchObject({ customer: 'Acme Wireless', tracking: '1Z999' });
+    expect(rows[1]).toMatchObject({ customer: 'Jones Mobile', tracking: '9400111' });
+  });
+
+  test('should not mutate the input rows', () => {
+    const input = [row('1', '20997')];
+    enrichRows(input, buildInvoiceLookup(ORDERS));
+
+    expect(input[0].customer).toBe('');
+  });
+
+  test('should report unmatched invoices with unit counts', () => {
+    const lookup = buildInvoiceLookup(ORDERS, CUSTOMER_ROWS);
+    const { summary } = enrichRows([
+      row('1', '20997'),
+      row('2', '30001'),
+      row('3', '30001'),
+      row('4', '30002'),
+      row('5', '')
+    ], lookup);
+
+    expect(summary.matchedInvoices).toBe(1);
+    expect(summary.unmatchedInvoiceCount).toBe(2);
+    expect(summary.unmatchedRows).toBe(3);
+    expect(summary.rowsWithoutInvoice).toBe(1);
+    expect(summary.sources).toEqual({ notion: 1 });
+    expect(summary.unmatchedInvoices).toEqual([
+      { invoice: '30002', units: 1 },
+      { invoice: '30001', units: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Notion orders database reader
+ *
+ * Pages through the Notion orders database with `databases.query` and maps
+ * each page to a plain order record used by the legacy report and the
+ * dashboard invoice enrichment.
+ *
+ * Database fields:
+ * - Invoice # (Number or Text)
+ * - INVOICE - CUSTOMER (Title, "<invoice> - <customer>")
+ * - TRACKING (Text)
+ * - QUANTITY HERE (Number)
+ * - Order Type/Status (Select)
+ * - ASN (Files, optional)
+ *
+ * @module notion-orders
+ */
+
+/**
+ * Order record
+ * @typedef {Object} NotionOrder
+ * @property {string} id - Notion page ID
+ * @property {string} invoice - Invoice number as text
+ * @property {string} customer - Customer name
+ * @property {string} tracking - Tracking number(s)
+ * @property {number|null} quantity - Units on the order
+ * @property {string} status - Order type / status
+ * @property {string|null} asnUrl - First ASN attachment URL
+ * @property {boolean} hasASN - Whether an ASN is attached
+ * @property {string|null} lastEdited - ISO timestamp of the last Notion edit
+ */
+
+/**
+ * Read a Notion property value as a plain JavaScript value
+ * @param {Object} property - Property object from a Notion page
+ * @returns {string|number|null}
+ */
+function readProperty(property) {
+  if (!property) return null;
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return (property[property.type] || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    case 'number':
+      return property.number;
+    case 'select':
+    case 'status':
+      return property[property.type]?.name ?? null;
+    case 'multi_select':
+      return (property.multi_select || []).map(option => option.name).join(', ');
+    case 'formula': {
+      const formula = property.formula || {};
+      return formula[formula.type] ?? null;
+    }
+    case 'date':
+      return property.date?.start ?? null;
+    case 'files': {
+      const file = (property.files || [])[0];
+      return file ? (file.file?.url || file.external?.url || null) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize an invoice number for matching (trim, drop a trailing ".0")
+ * @param {string|number} value
+ * @returns {string}
+ */
+function normalizeInvoice(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim().replace(/\.0+$/, '');
+}
+
+/**
+ * Map a Notion page to an order record
+ * @param {Object} page - Page object from databases.query
+ * @returns {NotionOrder|null} Null when the page has no invoice number
+ */
+function parseNotionOrder(page) {
+  const props = page.properties || {};
+
+  // INVOICE - CUSTOMER is "20997 - Customer Name"; customer names may contain " - "
+  const invoiceCustomer = (readProperty(props['INVOICE - CUSTOMER']) || '').trim();
+  const parts = invoiceCustomer.split(' - ');
+  const titleInvoice = parts[0]?.trim() || '';
+  const customer = parts.slice(1).join(' - ').trim();
+
+  const invoice = normalizeInvoice(readProperty(props['Invoice #'])) || normalizeInvoice(titleInvoice);
+  if (!invoice) return null;
+
+  const quantity = readProperty(props['QUANTITY HERE']);
+  const asnUrl = readProperty(props['ASN']);
+
+  return {
+    id: page.id,
+    invoice,
+    customer,
+    tracking: (readProperty(props['TRACKING']) || '').trim(),
+    quantity: typeof quantity === 'number' ? quantity : (parseInt(quantity) || null),
+    status: readProperty(props['Order Type/Status']) || '',
+    asnUrl: asnUrl || null,
+    hasASN: !!asnUrl,
+    lastEdited: page.last_edited_time || null
+  };
+}
+
+/**
+ * Fetch every order in the database, following pagination cursors
+ * @param {Object} client - @notionhq/client Client
+ * @param {string} databaseId - Orders database ID
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100] - Results per request (Notion max 100)
+ * @param {Object} [options.logger=console] - Logger
+ * @returns {Promise<{orders: Array<NotionOrder>, pages: number, skipped: number}>}
+ */
+async function fetchNotionOrders(client, databaseId, options = {}) {
+  const pageSize = options.pageSize || 100;
+  const logger = options.logger || console;
+
+  const orders = [];
+  let skipped = 0;
+  let pages = 0;
+  let startCursor;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await client.databases.query({
+      database_id: databaseId,
+      page_size: pageSize,
+      start_cursor: startCursor
+    });
+
+    response.results.forEach(page => {
+      const order = parseNotionOrder(page);
+      if (order) {
+        orders.push(order);
+      } else {
+        skipped++;
+      }
+    });
+
+    hasMore = response.has_more;
+    startCursor = response.next_cursor || undefined;
+    pages++;
+  }
+
+  // Newest invoices first
+  orders.sort((a, b) => (parseInt(b.invoice) || 0) - (parseInt(a.invoice) || 0));
+
+  logger.log(`✓ Fetched ${orders.length} Notion orders in ${pages} page(s) (${skipped} without invoice number)`);
+  return { orders, pages, skipped };
+}
+
+module.exports = {
+  readProperty,
+  normalizeInvoice,
+  parseNotionOrder,
+  fetchNotionOrders
+};
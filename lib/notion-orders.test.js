@@ -0,0 +1,124 @@
+/**
+ * Test suite for the Notion orders reader
+ */
+
+const {
+  readProperty,
+  normalizeInvoice,
+  parseNotionOrder,
+  fetchNotionOrders
+} = require('./notion-orders');
+
+const silentLogger = { log: () => {} };
+
+const text = (type, content) => ({ type, [type]: [{ plain_text: content, text: { content } }] });
+
+function page(id, { title, invoiceNumber, tracking = '', quantity = null, status = null, asn = null } = {}) {
+  const properties = {
+    'INVOICE - CUSTOMER': text('title', title),
+    TRACKING: text('rich_text', tracking),
+    'QUANTITY HERE': { type: 'number', number: quantity },
+    'Order Type/Status': { type: 'select', select: status ? { name: status } : null },
+    ASN: { type: 'files', files: asn ? [{ name: 'asn.pdf', file: { url: asn } }] : [] }
+  };
+  if (invoiceNumber !== undefined) {
+    properties['Invoice #'] = { type: 'number', number: invoiceNumber };
+  }
+  return { id, last_edited_time: '2025-11-18T17:00:00.000Z', properties };
+}
+
+describe('readProperty', () => {
+  test('should read text, number, select and files properties', () => {
+    expect(readProperty(text('rich_text', '1Z999'))).toBe('1Z999');
+    expect(readProperty({ type: 'number', number: 42 })).toBe(42);
+    expect(readProperty({ type: 'select', select: { name: 'B2B' } })).toBe('B2B');
+    expect(readProperty({ type: 'status', status: { name: 'Shipped' } })).toBe('Shipped');
+    expect(readProperty({ type: 'formula', formula: { type: 'string', string: 'x' } })).toBe('x');
+    expect(readProperty({ type: 'files', files: [{ external: { url: 'https://example.com/a' } }] })).toBe('https://example.com/a');
+  });
+
+  test('should return null for missing or unsupported properties', () => {
+    expect(readProperty(undefined)).toBeNull();
+    expect(readProperty({ type: 'people', people: [] })).toBeNull();
+    expect(readProperty({ type: 'select', select: null })).toBeNull();
+  });
+});
+
+describe('normalizeInvoice', () => {
+  test('should trim and drop trailing .0', () => {
+    expect(normalizeInvoice(' 20997 ')).toBe('20997');
+    expect(normalizeInvoice('20997.0')).toBe('20997');
+    expect(normalizeInvoice(20997)).toBe('20997');
+    expect(normalizeInvoice(null)).toBe('');
+  });
+});
+
+describe('parseNotionOrder', () => {
+  test('should map all order fields', () => {
+    const order = parseNotionOrder(page('p1', {
+      title: '20997 - Acme Wireless',
+      tracking: '1Z999AA10123456784',
+      quantity: 120,
+      status: 'Wholesale',
+      asn: 'https://files.example.com/asn.pdf'
+    }));
+
+    expect(order).toEqual({
+      id: 'p1',
+      invoice: '20997',
+      customer: 'Acme Wireless',
+      tracking: '1Z999AA10123456784',
+      quantity: 120,
+      status: 'Wholesale',
+      asnUrl: 'https://files.example.com/asn.pdf',
+      hasASN: true,
+      lastEdited: '2025-11-18T17:00:00.000Z'
+    });
+  });
+
+  test('should keep " - " inside customer names', () => {
+    const order = parseNotionOrder(page('p1', { title: '21005 - Smith - Jones LLC' }));
+    expect(order.customer).toBe('Smith - Jones LLC');
+  });
+
+  test('should prefer the Invoice # property over the title', () => {
+    const order = parseNotionOrder(page('p1', { title: 'Acme order', invoiceNumber: 21023 }));
+    expect(order.invoice).toBe('21023');
+  });
+
+  test('should skip pages without an invoice number', () => {
+    expect(parseNotionOrder(page('p1', { title: '' }))).toBeNull();
+  });
+});
+
+describe('fetchNotionOrders', () => {
+  test('should follow pagination cursors and sort newest first', async () => {
+    const query = jest.fn()
+      .mockResolvedValueOnce({
+        results: [page('a', { title: '20959 - Alpha' }), page('b', { title: '' })],
+        has_more: true,
+        next_cursor: 'cursor-2'
+      })
+      .mockResolvedValueOnce({
+        results: [page('c', { title: '21016 - Charlie' })],
+        has_more: false,
+        next_cursor: null
+      });
+
+    const result = await fetchNotionOrders({ databases: { query } }, 'db-1', { logger: silentLogger });
+
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(query.mock.calls[0][0]).toEqual({ database_id: 'db-1', page_size: 100, start_cursor: undefined });
+    expect(query.mock.calls[1][0].start_cursor).toBe('cursor-2');
+    expect(result.orders.map(o => o.invoice)).toEqual(['21016', '20959']);
+    expect(result.pages).toBe(2);
+    expect(result.skipped).toBe(1);
+  });
+
+  test('should propagate Notion API errors', async () => {
+    const query = jest.fn().mockRejectedValue(Object.assign(new Error('Unauthorized'), { code: 'unauthorized' }));
+
+    await expect(fetchNotionOrders({ databases: { query } }, 'db-1', { logger: silentLogger }))
+      .rejects.toThrow('Unauthorized');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Public pages and assets
+ *
+ * Only files under public/ that are listed in PUBLIC_MANIFEST are served;
+ * there is no catch-all static handler, so nothing else in the project
+ * (CSV dumps, .env, backups, runbooks) can be fetched by URL. At startup
+ * checkPublicDirectory() refuses to run if public/ contains files that must
+ * never be published, even unlisted ones, since a later catch-all or a
+ * mistaken manifest entry would expose them.
+ *
+ * @module public-assets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Served URLs
+ * @type {Array<{route: string, file: string, auth: boolean}>}
+ *   `auth` pages send anonymous visitors to /login
+ */
+const PUBLIC_MANIFEST = [
+  { route: '/login', file: 'login.html', auth: false },
+  { route: '/', file: 'dashboard.html', auth: true },
+  { route: '/dashboard', file: 'dashboard.html', auth: true },
+  { route: '/calendar', file: 'calendar.html', auth: true },
+  { route: '/reconcile', file: 'reconcile.html', auth: true },
+  { route: '/invoice', file: 'invoice.html', auth: true },
+  { route: '/legacy_outbound_report.html', file: 'legacy_outbound_report.html', auth: true }
+];
+
+// Files that are never served, whether or not they are listed
+const FORBIDDEN_FILES = [
+  { pattern: /(^|\/)\.env(\..*)?$/i, reason: 'environment file' },
+  { pattern: /\.(csv|tsv|numbers|xlsx?)$/i, reason: 'data export' },
+  { pattern: /\.(backup|bak|old|orig|swp|tmp)$|~$/i, reason: 'backup or editor file' },
+  { pattern: /\.(pem|key|p12)$/i, reason: 'key material' },
+  { pattern: /(^|\/)\.git(\/|$)/, reason: 'git metadata' },
+  { pattern: /(^|\/)package(-lock)?\.json$/, reason: 'package manifest' }
+];
+
+class StaticAssetsError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'StaticAssetsError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Every file under a directory, as forward-slash paths relative to it
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function listFiles(dir, prefix = '') {
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : 1));
+  return entries.flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+  });
+}
+
+/**
+ * Why a file must not be served, or null when it may be
+ * @param {string} file - Path relative to the public directory
+ * @returns {string|null}
+ */
+function forbiddenReason(file) {
+  const match = FORBIDDEN_FILES.find(rule => rule.pattern.test(file));
+  return match ? match.reason : null;
+}
+
+/**
+ * Verify the public directory before serving from it
+ * @param {Object} [options]
+ * @param {string} [options.dir=PUBLIC_DIR]
+ * @param {Array} [options.manifest=PUBLIC_MANIFEST]
+ * @param {string} [options.projectRoot] - Directory that must not be public itself
+ * @returns {{files: string[], unlisted: string[]}} Files found, and those not in the manifest
+ * @throws {StaticAssetsError} When the directory is the project root, a manifest
+ *   file is missing or escapes the directory, or a forbidden file is present
+ */
+function checkPublicDirectory({ dir = PUBLIC_DIR, manifest = PUBLIC_MANIFEST, projectRoot = PROJECT_ROOT } = {}) {
+  const root = path.resolve(dir);
+
+  // '' when public/ is the project root, 'tree' etc. when it is a parent of it
+  if (!path.relative(root, path.resolve(projectRoot)).startsWith('..')) {
+    throw new StaticAssetsError(`Refusing to serve ${root}: it contains the project root`, 'PUBLIC_DIR_IS_ROOT', { dir: root });
+  }
+  if (!fs.existsSync(root)) {
+    throw new StaticAssetsError(`Public directory ${root} not found`, 'PUBLIC_DIR_MISSING', { dir: root });
+  }
+
+  const files = listFiles(root);
+  const problems = [];
+
+  files.forEach(file => {
+    const reason = forbiddenReason(file);
+    if (reason) problems.push(`${file} (${reason})`);
+  });
+
+  manifest.forEach(entry => {
+    const resolved = path.resolve(root, entry.file);
+    if (path.relative(root, resolved).startsWith('..')) {
+      problems.push(`${entry.route} → ${entry.file} (outside the public directory)`);
+    } else if (!fs.existsSync(resolved)) {
+      problems.push(`${entry.route} → ${entry.file} (missing)`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new StaticAssetsError(
+      `Refusing to serve ${root}: ${problems.join(', ')}`,
+      'UNSAFE_PUBLIC_DIR',
+      { dir: root, problems }
+    );
+  }
+
+  const listed = new Set(manifest.map(entry => entry.file));
+  return { files, unlisted: files.filter(file => !listed.has(file)) };
+}
+
+/**
+ * Router serving exactly the manifest entries
+ * @param {Object} options
+ * @param {Function} options.requirePageAuth - Middleware for pages with `auth: true`
+ * @param {string} [options.dir=PUBLIC_DIR]
+ * @param {Array} [options.manifest=PUBLIC_MANIFEST]
+ * @returns {express.Router}
+ */
+function createPublicRouter({ requirePageAuth, dir = PUBLIC_DIR, manifest = PUBLIC_MANIFEST }) {
+  const router = express.Router();
+
+  manifest.forEach(entry => {
+    const handlers = entry.auth ? [requirePageAuth] : [];
+    router.get(entry.route, ...handlers, (req, res, next) => {
+      res.sendFile(entry.file, { root: dir, dotfiles: 'deny' }, error => {
+        if (error) next(error);
+      });
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  PUBLIC_DIR,
+  PUBLIC_MANIFEST,
+  FORBIDDEN_FILES,
+  StaticAssetsError,
+  forbiddenReason,
+  checkPublicDirectory,
+  createPublicRouter
+};
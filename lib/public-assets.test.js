@@ -0,0 +1,123 @@
+/**
+ * Test suite for public page serving and the startup check
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const {
+  PUBLIC_DIR,
+  PUBLIC_MANIFEST,
+  forbiddenReason,
+  checkPublicDirectory,
+  createPublicRouter
+} = require('./public-assets');
+
+const MANIFEST = [
+  { route: '/login', file: 'login.html', auth: false },
+  { route: '/', file: 'dashboard.html', auth: true }
+];
+
+function createPublicDir(files) {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'public-assets-'));
+  const dir = path.join(project, 'public');
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  return { project, dir };
+}
+
+function get(server, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: urlPath }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, location: res.headers.location, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('forbiddenReason', () => {
+  test('should flag secrets, data dumps and backups', () => {
+    expect(forbiddenReason('.env')).toBe('environment file');
+    expect(forbiddenReason('nested/.env.production')).toBe('environment file');
+    expect(forbiddenReason('11_18_25 INV DUMP - OUTBOUND.csv')).toBe('data export');
+    expect(forbiddenReason('dashboard-server.js.backup')).toBe('backup or editor file');
+    expect(forbiddenReason('dashboard.html~')).toBe('backup or editor file');
+    expect(forbiddenReason('package-lock.json')).toBe('package manifest');
+    expect(forbiddenReason('dashboard.html')).toBeNull();
+    expect(forbiddenReason('environment.js')).toBeNull();
+  });
+});
+
+describe('checkPublicDirectory', () => {
+  test('should pass the real public directory', () => {
+    const { files, unlisted } = checkPublicDirectory();
+
+    expect(files).toEqual(expect.arrayContaining(PUBLIC_MANIFEST.map(entry => entry.file)));
+    expect(unlisted).toEqual([]);
+    expect(path.basename(PUBLIC_DIR)).toBe('public');
+  });
+
+  test('should report unlisted files', () => {
+    const { project, dir } = createPublicDir({ 'login.html': '', 'dashboard.html': '', 'notes.txt': '' });
+
+    expect(checkPublicDirectory({ dir, manifest: MANIFEST, projectRoot: project }).unlisted).toEqual(['notes.txt']);
+  });
+
+  test('should refuse forbidden files even when unlisted', () => {
+    const { project, dir } = createPublicDir({ 'login.html': '', 'dashboard.html': '', 'exports/inv.csv': '', '.env': '' });
+
+    expect(() => checkPublicDirectory({ dir, manifest: MANIFEST, projectRoot: project }))
+      .toThrow(expect.objectContaining({
+        code: 'UNSAFE_PUBLIC_DIR',
+        details: expect.objectContaining({ problems: ['.env (environment file)', 'exports/inv.csv (data export)'] })
+      }));
+  });
+
+  test('should refuse missing or escaping manifest files', () => {
+    const { project, dir } = createPublicDir({ 'login.html': '' });
+    const manifest = [...MANIFEST, { route: '/env', file: '../.env', auth: false }];
+
+    expect(() => checkPublicDirectory({ dir, manifest, projectRoot: project }))
+      .toThrow(/dashboard\.html \(missing\).*\.\.\/\.env \(outside the public directory\)/);
+  });
+
+  test('should refuse to serve the project root', () => {
+    const { project } = createPublicDir({ 'login.html': '' });
+
+    expect(() => checkPublicDirectory({ dir: project, manifest: [], projectRoot: project }))
+      .toThrow(expect.objectContaining({ code: 'PUBLIC_DIR_IS_ROOT' }));
+    expect(() => checkPublicDirectory({ dir: path.dirname(project), manifest: [], projectRoot: project }))
+      .toThrow(expect.objectContaining({ code: 'PUBLIC_DIR_IS_ROOT' }));
+  });
+});
+
+describe('createPublicRouter', () => {
+  let server;
+
+  beforeAll(done => {
+    const { dir } = createPublicDir({ 'login.html': 'login page', 'dashboard.html': 'dashboard page', 'secret.txt': 'nope' });
+    const requirePageAuth = (req, res, next) => (req.headers.cookie ? next() : res.redirect('/login'));
+    const app = express();
+    app.use(createPublicRouter({ dir, manifest: MANIFEST, requirePageAuth }));
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('should serve listed pages and guard authenticated ones', async () => {
+    expect(await get(server, '/login')).toMatchObject({ status: 200, body: 'login page' });
+    expect(await get(server, '/')).toMatchObject({ status: 302, location: '/login' });
+  });
+
+  test('should not serve files outside the manifest', async () => {
+    expect((await get(server, '/secret.txt')).status).toBe(404);
+    expect((await get(server, '/dashboard.html')).status).toBe(404);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Reconcile a customer-supplied IMEI list against an invoice
+ *
+ * Customers send lists of IMEIs they say they received (or are missing) on
+ * an invoice. The list is checked against the outbound IMEI rows (`imei` and
+ * `invoice`, as served by `/api/sheets/dashboard-data`) and every IMEI is put
+ * in one bucket:
+ * - onInvoice: shipped on that invoice
+ * - otherInvoice: shipped, but only on other invoices
+ * - notShipped: no outbound record
+ * Rows on the invoice that the list does not mention are reported as
+ * `notListed`.
+ *
+ * Lists can be pasted (one IMEI per line, or separated by commas, semicolons
+ * or spaces) or uploaded as a CSV; when the first line is a header with an
+ * `imei` column, only that column is read.
+ *
+ * @module reconciliation
+ */
+
+const { parseCsv } = require('./csv-ingest');
+const { normalizeInvoice } = require('./notion-orders');
+const { parseRowDate } = require('./dashboard-query');
+const { IMEI_PATTERN } = require('./imei-lookup');
+
+const INVOICE_PATTERN = /^\d+$/;
+const MAX_IMEIS = 10000;
+
+class ReconciliationError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Split a pasted list or uploaded file into IMEIs
+ * @param {string|Array<string>} input - Text, or an array of IMEIs from JSON
+ * @returns {{imeis: Array<string>, invalid: Array<{line: number, value: string}>, duplicates: Array<string>}}
+ *   Unique valid IMEIs in list order, entries that are not 15 digits, and repeats
+ * @throws {ReconciliationError} EMPTY_LIST, TOO_MANY_IMEIS
+ */
+function parseImeiList(input) {
+  const entries = [];
+
+  if (Array.isArray(input)) {
+    input.forEach((value, index) => entries.push({ line: index + 1, value: String(value === null || value === undefined ? '' : value).trim() }));
+  } else {
+    const text = String(input || '').replace(/^\uFEFF/, '');
+    const header = text.split(/\r?\n/)[0].split(',').map(cell => cell.trim().replace(/^"|"$/g, '').toLowerCase());
+
+    if (header.includes('imei')) {
+      const records = parseCsv(text);
+      const column = records[0].cells.map(cell => cell.trim().toLowerCase()).indexOf('imei');
+      records.slice(1).forEach(record => entries.push({ line: record.line, value: (record.cells[column] || '').trim() }));
+    } else {
+      text.split(/\r?\n/).forEach((line, index) => {
+        line.split(/[\s,;]+/).filter(Boolean).forEach(value => entries.push({ line: index + 1, value }));
+      });
+    }
+  }
+
+  const imeis = [];
+  const seen = new Set();
+  const invalid = [];
+  const duplicates = [];
+
+  entries.filter(entry => entry.value).forEach(entry => {
+    if (!IMEI_PATTERN.test(entry.value)) {
+      invalid.push(entry);
+    } else if (seen.has(entry.value)) {
+      duplicates.push(entry.value);
+    } else {
+      seen.add(entry.value);
+      imeis.push(entry.value);
+    }
+  });
+
+  if (imeis.length === 0 && invalid.length === 0) {
+    throw new ReconciliationError('No IMEIs in the list', 'EMPTY_LIST');
+  }
+  if (imeis.length > MAX_IMEIS) {
+    throw new ReconciliationError(`Lists are limited to ${MAX_IMEIS} IMEIs`, 'TOO_MANY_IMEIS', { received: imeis.length, max: MAX_IMEIS });
+  }
+  return { imeis, invalid, duplicates };
+}
+
+/**
+ * Validate the invoice number a list is reconciled against
+ * @param {string|number} value
+ * @returns {string} Normalized invoice number
+ * @throws {ReconciliationError} INVALID_INVOICE
+ */
+function parseInvoice(value) {
+  const invoice = normalizeInvoice(value);
+  if (!INVOICE_PATTERN.test(invoice)) {
+    throw new ReconciliationError('invoice must be an invoice number', 'INVALID_INVOICE', { received: String(value === undefined ? '' : value).slice(0, 40) });
+  }
+  return invoice;
+}
+
+function describeRow(row) {
+  return {
+    imei: row.imei,
+    invoice: normalizeInvoice(row.invoice),
+    model: row.model,
+    capacity: row.capacity,
+    color: row.color,
+    grade: row.grade,
+    date: row.date
+  };
+}
+
+/**
+ * Reconcile a list of IMEIs against an invoice
+ * @param {Object} options
+ * @param {string} options.invoice - From parseInvoice
+ * @param {Object} options.list - From parseImeiList
+ * @param {Array<Object>} options.rows - Outbound IMEI rows (`imei`, `invoice`, ...)
+ * @returns {Object} Buckets and a summary of counts
+ */
+function reconcileImeis({ invoice, list, rows }) {
+  const byImei = new Map();
+  const onInvoiceRows = [];
+
+  rows.forEach(row => {
+    const imei = String(row.imei || '').trim();
+    if (!imei) return;
+    if (!byImei.has(imei)) byImei.set(imei, []);
+    byImei.get(imei).push(row);
+    if (normalizeInvoice(row.invoice) === invoice) onInvoiceRows.push(row);
+  });
+
+  const listed = new Set(list.imeis);
+  const onInvoice = [];
+  const otherInvoice = [];
+  const notShipped = [];
+
+  list.imeis.forEach(imei => {
+    const shipments = byImei.get(imei) || [];
+    const match = shipments.find(row => normalizeInvoice(row.invoice) === invoice);
+
+    if (match) {
+      onInvoice.push(describeRow(match));
+    } else if (shipments.length > 0) {
+      const sorted = [...shipments].sort((a, b) => (parseRowDate(a.date) || 0) - (parseRowDate(b.date) || 0));
+      otherInvoice.push({ imei, shipments: sorted.map(describeRow) });
+    } else {
+      notShipped.push(imei);
+    }
+  });
+
+  const notListed = onInvoiceRows
+    .filter(row => !listed.has(String(row.imei).trim()))
+    .map(describeRow);
+
+  return {
+    invoice,
+    invoiceFound: onInvoiceRows.length > 0,
+    summary: {
+      submitted: list.imeis.length + list.invalid.length + list.duplicates.length,
+      unique: list.imeis.length,
+      onInvoice: onInvoice.length,
+      otherInvoice: otherInvoice.length,
+      notShipped: notShipped.length,
+      invalid: list.invalid.length,
+      duplicates: list.duplicates.length,
+      invoiceUnits: onInvoiceRows.length,
+      notListed: notListed.length
+    },
+    onInvoice,
+    otherInvoice,
+    notShipped,
+    notListed,
+    invalid: list.invalid,
+    duplicates: list.duplicates
+  };
+}
+
+module.exports = {
+  INVOICE_PATTERN,
+  MAX_IMEIS,
+  ReconciliationError,
+  parseImeiList,
+  parseInvoice,
+  reconcileImeis
+};
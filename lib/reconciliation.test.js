@@ -0,0 +1,77 @@
+/**
+ * Test suite for reconciling a customer IMEI list against an invoice
+ */
+
+const { parseImeiList, parseInvoice, reconcileImeis } = require('./reconciliation');
+
+const ROWS = [
+  { imei: '353238100433431', model: '11 PRO', capacity: '256GB', color: 'SPACE GRAY', grade: 'A', total: '175', date: '2025-11-18 9:30:27', invoice: '20959' },
+  { imei: '353238106841256', model: '11 PRO', capacity: '256GB', color: 'GOLD', grade: 'B', total: '160', date: '2025-11-18 9:31:02', invoice: '20959' },
+  { imei: '356789012345678', model: '13', capacity: '128GB', color: 'BLUE', grade: 'A', total: '310', date: '2025-11-20 14:00:00', invoice: '20960' },
+  { imei: '356789012345678', model: '13', capacity: '128GB', color: 'BLUE', grade: 'A', total: '300', date: '2025-11-02 10:00:00', invoice: '20901' }
+];
+
+describe('parseImeiList', () => {
+  test('should split pasted lists on lines, commas and spaces', () => {
+    const list = parseImeiList('353238100433431, 356789012345678\n\n353238100433431;12345\n 359999999999999 ');
+
+    expect(list).toEqual({
+      imeis: ['353238100433431', '356789012345678', '359999999999999'],
+      invalid: [{ line: 3, value: '12345' }],
+      duplicates: ['353238100433431']
+    });
+  });
+
+  test('should read only the imei column of a CSV with a header', () => {
+    const list = parseImeiList('\uFEFFModel,IMEI\n"11 PRO, 256GB",353238100433431\n13,3.56789E+14\n');
+
+    expect(list.imeis).toEqual(['353238100433431']);
+    expect(list.invalid).toEqual([{ line: 3, value: '3.56789E+14' }]);
+  });
+
+  test('should accept an array from JSON and refuse an empty list', () => {
+    expect(parseImeiList(['353238100433431', 353238106841256]).imeis).toEqual(['353238100433431', '353238106841256']);
+    expect(() => parseImeiList(' \n ')).toThrow(expect.objectContaining({ code: 'EMPTY_LIST' }));
+  });
+});
+
+describe('parseInvoice', () => {
+  test('should normalize invoice numbers and refuse anything else', () => {
+    expect(parseInvoice(' 20959 ')).toBe('20959');
+    expect(() => parseInvoice('')).toThrow(expect.objectContaining({ code: 'INVALID_INVOICE' }));
+    expect(() => parseInvoice('abc')).toThrow(expect.objectContaining({ code: 'INVALID_INVOICE' }));
+  });
+});
+
+describe('reconcileImeis', () => {
+  test('should put each IMEI on the invoice, on other invoices or not shipped', () => {
+    const list = parseImeiList('353238100433431\n356789012345678\n359999999999999\nnot-an-imei');
+    const result = reconcileImeis({ invoice: '20959', list, rows: ROWS });
+
+    expect(result.invoiceFound).toBe(true);
+    expect(result.summary).toEqual({
+      submitted: 4,
+      unique: 3,
+      onInvoice: 1,
+      otherInvoice: 1,
+      notShipped: 1,
+      invalid: 1,
+      duplicates: 0,
+      invoiceUnits: 2,
+      notListed: 1
+    });
+    expect(result.onInvoice).toEqual([
+      { imei: '353238100433431', invoice: '20959', model: '11 PRO', capacity: '256GB', color: 'SPACE GRAY', grade: 'A', date: '2025-11-18 9:30:27' }
+    ]);
+    expect(result.otherInvoice[0].shipments.map(shipment => shipment.invoice)).toEqual(['20901', '20960']);
+    expect(result.notShipped).toEqual(['359999999999999']);
+    expect(result.notListed.map(row => row.imei)).toEqual(['353238106841256']);
+  });
+
+  test('should report an invoice with no outbound rows', () => {
+    const result = reconcileImeis({ invoice: '30000', list: parseImeiList('353238100433431'), rows: ROWS });
+
+    expect(result.invoiceFound).toBe(false);
+    expect(result.summary).toMatchObject({ onInvoice: 0, otherInvoice: 1, invoiceUnits: 0 });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Secret redaction for logs, diagnostics and reports
+ *
+ * Private keys are never previewed. They are described by a fingerprint
+ * instead: the SHA-256 of the derived public key (the same value whichever
+ * way the key was encoded), plus the key's length and line count, which is
+ * enough to tell whether two deployments hold the same key.
+ *
+ * Redaction is applied where credentials are handled (startup validation
+ * logging, the diagnose route and the validator report), not by patching the
+ * global console, so ordinary logs are printed as written.
+ *
+ * @module redaction
+ */
+
+const crypto = require('crypto');
+
+// A BEGIN marker followed by base64 body lines (real or escaped newlines), with
+// the END marker if present. A bare marker, as in "must start with -----BEGIN
+// PRIVATE KEY-----", has no body and is left alone.
+const PEM_BLOCK = /-----BEGIN ([A-Z ]*PRIVATE KEY)-----(?:(?:\s|\\n)*[A-Za-z0-9+/=]{16,})+(?:(?:\s|\\n)*[A-Za-z0-9+/=]*(?:\s|\\n)*-----END \1-----)?/g;
+// Key-shaped base64 only: a base64-encoded PEM (GOOGLE_PRIVATE_KEY_BASE64
+// starts "LS0tLS1CRUdJTi", "-----BEGI"), the same encoded twice ("TFMwdExTMUNSVWRKVGk"),
+// or a bare PEM body (DER keys start "MII"). Other long base64, such as
+// cursors or hashes, is left alone.
+const ENCODED_KEY = /(?:LS0tLS1CRUdJTi|TFMwdExTMUNSVWRKVGk|MII)[A-Za-z0-9+/]{100,}={0,2}/g;
+const SECRET_FIELDS = /^(private_?key|privateKey|password|secret|token|api_?key|apiKey|authorization)$/i;
+
+/**
+ * Describe a private key without revealing it
+ * @param {string} key - PEM private key (or whatever was supplied as one)
+ * @returns {{fingerprint: string|null, length: number, lineCount: number, parseable: boolean}}
+ *   `fingerprint` is `SHA256:<base64>` of the DER public key, or of the raw
+ *   value when it cannot be parsed as a key
+ */
+function fingerprintKey(key) {
+  const text = typeof key === 'string' ? key : '';
+  const description = {
+    fingerprint: null,
+    length: text.length,
+    lineCount: text ? text.split(/\r?\n/).filter(line => line.trim().length > 0).length : 0,
+    parseable: false
+  };
+
+  if (!text) return description;
+
+  let material;
+  try {
+    material = crypto.createPublicKey(text).export({ type: 'spki', format: 'der' });
+    description.parseable = true;
+  } catch (error) {
+    material = Buffer.from(text, 'utf8');
+  }
+
+  description.fingerprint = 'SHA256:' + crypto.createHash('sha256').update(material).digest('base64').replace(/=+$/, '');
+  return description;
+}
+
+/**
+ * One-line summary of fingerprintKey() for logs and reports
+ * @param {string} key
+ * @returns {string}
+ */
+function formatFingerprint(key) {
+  const { fingerprint, length, lineCount, parseable } = fingerprintKey(key);
+  return `${fingerprint || 'none'} (${length} chars, ${lineCount} lines${parseable ? '' : ', not a parseable key'})`;
+}
+
+/**
+ * Replace private key blocks and base64-encoded keys in a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(PEM_BLOCK, block => `[REDACTED PRIVATE KEY ${fingerprintKey(block).fingerprint}]`)
+    .replace(ENCODED_KEY, run => `[REDACTED ${run.length} chars]`);
+}
+
+/**
+ * Deep-copy a value with secrets redacted
+ * Fields named like private_key/password/token are replaced entirely (keys
+ * with a fingerprint); every other string goes through redactString.
+ * @param {*} value
+ * @param {WeakSet} [seen] - Objects already visited (internal)
+ * @returns {*}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    // Keep the prototype so console still prints it as an error
+    const copy = Object.create(Object.getPrototypeOf(value));
+    Object.defineProperty(copy, 'message', { value: redactString(value.message), enumerable: false, writable: true });
+    Object.defineProperty(copy, 'stack', { value: redactString(value.stack), enumerable: false, writable: true });
+    Object.keys(value).forEach(field => {
+      copy[field] = redact(value[field], seen);
+    });
+    return copy;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  // Leave Dates, Buffers, class instances etc. as they are
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) return value;
+
+  const copy = {};
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    if (SECRET_FIELDS.test(field) && fieldValue) {
+      copy[field] = /key/i.test(field) && typeof fieldValue === 'string'
+        ? `[REDACTED ${formatFingerprint(fieldValue)}]`
+        : '[REDACTED]';
+    } else {
+      copy[field] = redact(fieldValue, seen);
+    }
+  });
+  return copy;
+}
+
+/**
+ * Wrap a console-like logger so every argument is redacted
+ * @param {Object} logger - Object with log/info/warn/error/debug methods
+ * @returns {Object} Logger with the same methods
+ */
+function createRedactingLogger(logger) {
+  const wrapped = {};
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    if (typeof logger[level] === 'function') {
+      const original = logger[level].bind(logger);
+      wrapped[level] = (...args) => original(...args.map(arg => redact(arg)));
+    }
+  });
+  return wrapped;
+}
+
+module.exports = {
+  fingerprintKey,
+  formatFingerprint,
+  redactString,
+  redact,
+  createRedactingLogger
+};
@@ -0,0 +1,112 @@
+/**
+ * Google Sheets client initialization
+ *
+ * Builds the read-only Sheets client from GOOGLE_SERVICE_ACCOUNT_EMAIL and
+ * GOOGLE_PRIVATE_KEY / GOOGLE_PRIVATE_KEY_BASE64 after running them through
+ * GoogleCredentialsValidator, which handles every key encoding we have seen
+ * in deployments (base64, double base64, quoted, escaped newlines, JSON).
+ *
+ * @module sheets-client
+ */
+
+const { google } = require('googleapis');
+const { GoogleCredentialsValidator, validateFromEnv } = require('./google-credentials-validator');
+const { fingerprintKey, formatFingerprint, redact, redactString, createRedactingLogger } = require('./redaction');
+
+const SHEETS_SCOPES = ['https://www.googleapis.com/auth/spreadsheets.readonly'];
+
+/**
+ * Whether any Google credential variable is set
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ */
+function hasGoogleCredentials(env = process.env) {
+  return !!(env.GOOGLE_SERVICE_ACCOUNT_EMAIL || env.GOOGLE_PRIVATE_KEY || env.GOOGLE_PRIVATE_KEY_BASE64);
+}
+
+/**
+ * Validate the environment's credentials and create a Sheets client
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment
+ * @param {boolean} [options.testAuthentication=false] - Request a token from Google while validating
+ * @param {Object} [options.logger=console] - Logger
+ * @param {Function} [options.validate=validateFromEnv] - Validator entry point
+ * @param {Function} [options.createClient] - (credentials) => Sheets client
+ * @returns {Promise<{client: Object|null, validation: Object|null}>} `validation` is
+ *   null when no credentials are configured at all
+ */
+async function initializeSheetsClient({
+  env = process.env,
+  testAuthentication = false,
+  logger = console,
+  validate = validateFromEnv,
+  createClient = credentials => google.sheets({
+    version: 'v4',
+    auth: new google.auth.GoogleAuth({ credentials, scopes: SHEETS_SCOPES })
+  })
+} = {}) {
+  if (!hasGoogleCredentials(env)) {
+    logger.warn('⚠️  Google Sheets credentials not configured');
+    logger.warn('   Missing: GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY or GOOGLE_PRIVATE_KEY_BASE64');
+    return { client: null, validation: null };
+  }
+
+  logger.log('🔑 Validating Google Sheets credentials...');
+  // Validation errors and warnings can quote the key they were given
+  const validation = await validate(env, { testAuthentication, logger: createRedactingLogger(logger) });
+
+  if (!validation.valid) {
+    logger.error('❌ Google Sheets credential validation failed:');
+    validation.errors.forEach((error, index) => {
+      logger.error(`   ${index + 1}. [${error.code}] ${redactString(error.message)}`);
+      if (error.suggestion) {
+        logger.error(`      💡 ${redactString(error.suggestion)}`);
+      }
+    });
+    logger.warn('⚠️  Historical calendar view will not be available');
+    logger.warn('   💡 Visit /api/historical/diagnose for the full report, or run:');
+    logger.warn('      node encode-google-key.js path/to/key.json');
+    logger.warn('      and set the output as GOOGLE_PRIVATE_KEY_BASE64');
+    return { client: null, validation };
+  }
+
+  validation.warnings.forEach(warning => {
+    logger.warn(`⚠️  [${warning.code}] ${redactString(warning.message)}`);
+  });
+
+  const { diagnostics } = validation;
+  logger.log(`✓ Credentials valid (format: ${diagnostics.detectedFormat}, transformations: ${diagnostics.transformationsApplied.join(', ') || 'none'})`);
+  logger.log(`   Email: ${validation.credentials.client_email}`);
+  logger.log(`   Key: ${formatFingerprint(validation.credentials.private_key)}`);
+
+  const client = createClient(validation.credentials);
+  logger.log('✓ Google Sheets API client initialized successfully');
+  return { client, validation };
+}
+
+/**
+ * Diagnostics payload for the credentials, safe to return from an API route
+ * The key itself is only ever described by its fingerprint (see redaction.js).
+ * @param {Object} validation - Result from validateFromEnv
+ * @returns {Object}
+ */
+function describeValidation(validation) {
+  return {
+    valid: validation.valid,
+    errors: redact(validation.errors),
+    warnings: redact(validation.warnings),
+    diagnostics: validation.diagnostics,
+    credentials: validation.valid ? {
+      email: validation.credentials.client_email,
+      key: fingerprintKey(validation.credentials.private_key)
+    } : null,
+    report: new GoogleCredentialsValidator().generateReport(validation)
+  };
+}
+
+module.exports = {
+  SHEETS_SCOPES,
+  hasGoogleCredentials,
+  initializeSheetsClient,
+  describeValidation
+};
@@ -0,0 +1,206 @@
+/**
+ * Snowflake connection pool
+ *
+ * Wraps snowflake-sdk's generic-pool based `createPool` so queries reuse
+ * logged-in sessions instead of paying a login handshake per request.
+ * Connections are validated on borrow, evicted after sitting idle, every
+ * statement runs under a timeout, and the pool drains cleanly on shutdown.
+ *
+ * @module snowflake-pool
+ */
+
+const DEFAULT_POOL_OPTIONS = {
+  max: 5,
+  min: 0,
+  idleTimeoutSeconds: 300,
+  evictionIntervalSeconds: 60,
+  acquireTimeoutSeconds: 30,
+  queryTimeoutSeconds: 120
+};
+
+/**
+ * Error raised when a statement exceeds its timeout and is cancelled
+ */
+class QueryTimeoutError extends Error {
+  constructor(message, code = 'QUERY_TIMEOUT', details = {}) {
+    super(message);
+    this.name = 'QueryTimeoutError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Read pool options from SNOWFLAKE_POOL_* / SNOWFLAKE_QUERY_TIMEOUT_SECONDS
+ * @param {Object} [env=process.env]
+ * @returns {Object} Options with the defaults filled in
+ */
+function readPoolOptions(env = process.env) {
+  const read = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    max: Math.max(1, read('SNOWFLAKE_POOL_MAX', DEFAULT_POOL_OPTIONS.max)),
+    min: read('SNOWFLAKE_POOL_MIN', DEFAULT_POOL_OPTIONS.min),
+    idleTimeoutSeconds: read('SNOWFLAKE_POOL_IDLE_TIMEOUT_SECONDS', DEFAULT_POOL_OPTIONS.idleTimeoutSeconds),
+    evictionIntervalSeconds: read('SNOWFLAKE_POOL_EVICTION_INTERVAL_SECONDS', DEFAULT_POOL_OPTIONS.evictionIntervalSeconds),
+    acquireTimeoutSeconds: read('SNOWFLAKE_POOL_ACQUIRE_TIMEOUT_SECONDS', DEFAULT_POOL_OPTIONS.acquireTimeoutSeconds),
+    queryTimeoutSeconds: read('SNOWFLAKE_QUERY_TIMEOUT_SECONDS', DEFAULT_POOL_OPTIONS.queryTimeoutSeconds)
+  };
+}
+
+/**
+ * Run one statement on a connection, cancelling it after `timeoutMs`
+ * @param {Object} connection - snowflake-sdk connection
+ * @param {string} sqlText - SQL to execute
+ * @param {Array} binds - Bind parameters
+ * @param {number} timeoutMs - 0 disables the timeout
+ * @returns {Promise<Array>} Result rows
+ */
+function runStatement(connection, sqlText, binds, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const statement = connection.execute({
+      sqlText,
+      binds,
+      complete: (err, stmt, rows) => {
+        if (err) {
+          settle(reject, err);
+        } else {
+          settle(resolve, rows || []);
+        }
+      }
+    });
+
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        settle(reject, new QueryTimeoutError(
+          `Query exceeded ${timeoutMs / 1000}s timeout and was cancelled`,
+          'QUERY_TIMEOUT',
+          { timeoutMs }
+        ));
+        if (statement && typeof statement.cancel === 'function') {
+          statement.cancel(cancelErr => {
+            if (cancelErr) console.error('Unable to cancel timed out statement:', cancelErr.message);
+          });
+        }
+      }, timeoutMs);
+    }
+  });
+}
+
+/**
+ * Create a managed Snowflake connection pool
+ * @param {Object} deps
+ * @param {Object} deps.sdk - snowflake-sdk module (anything with createPool)
+ * @param {Object} deps.connectionConfig - Options passed to each connection
+ * @param {Object} [deps.options] - Pool options (defaults from readPoolOptions())
+ * @param {Object} [deps.logger=console] - Logger
+ * @returns {Object} Pool with execute, checkHealth, status and shutdown
+ */
+function createSnowflakePool({ sdk, connectionConfig, options = readPoolOptions(), logger = console }) {
+  let pool = null;
+  let closing = null;
+
+  const getPool = () => {
+    if (closing) {
+      throw new Error('Snowflake pool is shut down');
+    }
+    if (!pool) {
+      pool = sdk.createPool(connectionConfig, {
+        max: options.max,
+        min: options.min,
+        // Validates the session with isValidAsync() before handing it out
+        testOnBorrow: true,
+        idleTimeoutMillis: options.idleTimeoutSeconds * 1000,
+        evictionRunIntervalMillis: options.evictionIntervalSeconds * 1000,
+        acquireTimeoutMillis: options.acquireTimeoutSeconds * 1000
+      });
+      logger.log(`❄️  Snowflake pool created (max ${options.max}, idle timeout ${options.idleTimeoutSeconds}s)`);
+    }
+    return pool;
+  };
+
+  /**
+   * Execute a query on a pooled connection
+   * @param {string} sqlText - SQL to execute
+   * @param {Array} [binds=[]] - Bind parameters
+   * @param {Object} [queryOptions]
+   * @param {number} [queryOptions.timeoutSeconds] - Override the default query timeout
+   * @returns {Promise<Array>} Result rows
+   */
+  async function execute(sqlText, binds = [], queryOptions = {}) {
+    const timeoutSeconds = queryOptions.timeoutSeconds ?? options.queryTimeoutSeconds;
+    return getPool().use(connection => runStatement(connection, sqlText, binds, timeoutSeconds * 1000));
+  }
+
+  /**
+   * Run a trivial query through the pool
+   * @returns {Promise<{healthy: boolean, latencyMs: number, error?: string}>}
+   */
+  async function checkHealth() {
+    const started = Date.now();
+    try {
+      await execute('SELECT 1', [], { timeoutSeconds: Math.min(options.queryTimeoutSeconds || 10, 10) });
+      return { healthy: true, latencyMs: Date.now() - started };
+    } catch (error) {
+      return { healthy: false, latencyMs: Date.now() - started, error: error.message };
+    }
+  }
+
+  /**
+   * Current pool counters
+   * @returns {Object}
+   */
+  function status() {
+    return {
+      created: pool !== null,
+      shuttingDown: closing !== null,
+      max: options.max,
+      min: options.min,
+      size: pool ? pool.size : 0,
+      available: pool ? pool.available : 0,
+      borrowed: pool ? pool.borrowed : 0,
+      pending: pool ? pool.pending : 0
+    };
+  }
+
+  /**
+   * Wait for borrowed connections to be returned, then destroy them all
+   * Safe to call more than once.
+   * @returns {Promise<void>}
+   */
+  function shutdown() {
+    if (!closing) {
+      closing = pool
+        ? pool.drain().then(() => pool.clear()).then(() => logger.log('❄️  Snowflake pool drained'))
+        : Promise.resolve();
+    }
+    return closing;
+  }
+
+  return {
+    execute,
+    checkHealth,
+    status,
+    shutdown
+  };
+}
+
+module.exports = {
+  DEFAULT_POOL_OPTIONS,
+  QueryTimeoutError,
+  readPoolOptions,
+  runStatement,
+  createSnowflakePool
+};
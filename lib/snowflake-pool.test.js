@@ -0,0 +1,172 @@
+/**
+ * Test suite for the Snowflake connection pool
+ */
+
+const {
+  DEFAULT_POOL_OPTIONS,
+  QueryTimeoutError,
+  readPoolOptions,
+  runStatement,
+  createSnowflakePool
+} = require('./snowflake-pool');
+
+const silent = { log: () => {}, warn: () => {} };
+
+/**
+ * Connection whose statements complete after `delayMs` with `rows`
+ */
+function fakeConnection({ rows = [{ ONE: 1 }], error = null, delayMs = 0 } = {}) {
+  const connection = {
+    executed: [],
+    cancelled: 0,
+    execute({ sqlText, binds, complete }) {
+      connection.executed.push({ sqlText, binds });
+      const timer = setTimeout(() => complete(error, null, rows), delayMs);
+      return {
+        cancel(callback) {
+          clearTimeout(timer);
+          connection.cancelled += 1;
+          callback();
+        }
+      };
+    }
+  };
+  return connection;
+}
+
+/**
+ * Minimal stand-in for snowflake-sdk's generic-pool based createPool
+ */
+function fakeSdk(connection) {
+  const sdk = {
+    created: [],
+    createPool(connectionConfig, poolOptions) {
+      const pool = {
+        connectionConfig,
+        poolOptions,
+        size: 1,
+        available: 1,
+        borrowed: 0,
+        pending: 0,
+        drained: false,
+        cleared: false,
+        async use(fn) {
+          pool.borrowed += 1;
+          try {
+            return await fn(connection);
+          } finally {
+            pool.borrowed -= 1;
+          }
+        },
+        async drain() {
+          pool.drained = true;
+        },
+        async clear() {
+          pool.cleared = true;
+        }
+      };
+      sdk.created.push(pool);
+      return pool;
+    }
+  };
+  return sdk;
+}
+
+describe('readPoolOptions', () => {
+  test('should use defaults when unset or invalid', () => {
+    expect(readPoolOptions({})).toEqual(DEFAULT_POOL_OPTIONS);
+    expect(readPoolOptions({ SNOWFLAKE_POOL_MAX: 'lots', SNOWFLAKE_POOL_MIN: '-1' })).toEqual(DEFAULT_POOL_OPTIONS);
+  });
+
+  test('should read overrides from the environment', () => {
+    const options = readPoolOptions({
+      SNOWFLAKE_POOL_MAX: '10',
+      SNOWFLAKE_POOL_IDLE_TIMEOUT_SECONDS: '30',
+      SNOWFLAKE_QUERY_TIMEOUT_SECONDS: '0'
+    });
+
+    expect(options.max).toBe(10);
+    expect(options.idleTimeoutSeconds).toBe(30);
+    expect(options.queryTimeoutSeconds).toBe(0);
+  });
+
+  test('should keep at least one connection', () => {
+    expect(readPoolOptions({ SNOWFLAKE_POOL_MAX: '0' }).max).toBe(1);
+  });
+});
+
+describe('runStatement', () => {
+  test('should resolve with the result rows', async () => {
+    const connection = fakeConnection({ rows: [{ A: 1 }] });
+
+    await expect(runStatement(connection, 'SELECT ?', [1], 1000)).resolves.toEqual([{ A: 1 }]);
+    expect(connection.executed).toEqual([{ sqlText: 'SELECT ?', binds: [1] }]);
+  });
+
+  test('should reject with the statement error', async () => {
+    const connection = fakeConnection({ error: new Error('SQL compilation error') });
+
+    await expect(runStatement(connection, 'SELECT', [], 1000)).rejects.toThrow('SQL compilation error');
+  });
+
+  test('should cancel statements that exceed the timeout', async () => {
+    const connection = fakeConnection({ delayMs: 200 });
+
+    const error = await runStatement(connection, 'SELECT', [], 20).catch(err => err);
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(error.code).toBe('QUERY_TIMEOUT');
+    expect(connection.cancelled).toBe(1);
+  });
+});
+
+describe('createSnowflakePool', () => {
+  const options = { ...DEFAULT_POOL_OPTIONS, max: 3, idleTimeoutSeconds: 60 };
+
+  test('should create the pool lazily with validation and eviction', async () => {
+    const sdk = fakeSdk(fakeConnection());
+    const pool = createSnowflakePool({ sdk, connectionConfig: { account: 'x' }, options, logger: silent });
+
+    expect(sdk.created).toHaveLength(0);
+    expect(pool.status()).toMatchObject({ created: false, size: 0 });
+
+    await pool.execute('SELECT 1');
+    await pool.execute('SELECT 2');
+
+    expect(sdk.created).toHaveLength(1);
+    expect(sdk.created[0].connectionConfig).toEqual({ account: 'x' });
+    expect(sdk.created[0].poolOptions).toMatchObject({
+      max: 3,
+      testOnBorrow: true,
+      idleTimeoutMillis: 60000,
+      evictionRunIntervalMillis: 60000
+    });
+    expect(pool.status()).toMatchObject({ created: true, max: 3, size: 1, borrowed: 0 });
+  });
+
+  test('should report health from a live query', async () => {
+    const healthy = createSnowflakePool({ sdk: fakeSdk(fakeConnection()), connectionConfig: {}, options, logger: silent });
+    const broken = createSnowflakePool({
+      sdk: fakeSdk(fakeConnection({ error: new Error('Network error') })),
+      connectionConfig: {},
+      options,
+      logger: silent
+    });
+
+    expect(await healthy.checkHealth()).toMatchObject({ healthy: true });
+    expect(await broken.checkHealth()).toMatchObject({ healthy: false, error: 'Network error' });
+  });
+
+  test('should drain once and refuse queries after shutdown', async () => {
+    const sdk = fakeSdk(fakeConnection());
+    const pool = createSnowflakePool({ sdk, connectionConfig: {}, options, logger: silent });
+    await pool.execute('SELECT 1');
+
+    await Promise.all([pool.shutdown(), pool.shutdown()]);
+
+    expect(sdk.created[0].drained).toBe(true);
+    expect(sdk.created[0].cleared).toBe(true);
+    expect(pool.status().shuttingDown).toBe(true);
+    await expect(pool.execute('SELECT 1')).rejects.toThrow('shut down');
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * SQL builders for the snowflake-client fetchers
+ *
+ * Builds the IMEI (SCAL.OUTBOUND.AUTOMATED) and customer
+ * (SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS) queries from a filter object and
+ * a page request. Every value, including the row limit, is sent as a bind
+ * parameter.
+ *
+ * Supported filters:
+ * - dateFrom, dateTo
+ *     Inclusive date bounds (YYYY-MM-DD) on UPDATED_AT / QBO_TRANSACTION_DATE.
+ * - invoice, invtype, customer, model, color, grade, lock_status
+ *     Exact matches (invtype and customer are case-insensitive). Pass an
+ *     array to match any of several values. On the IMEI table `customer`
+ *     matches invoices billed to that company in the B2B log.
+ *
+ * Pagination is keyset based: results are ordered newest first with
+ * tie-breakers, and `nextCursor` encodes the sort key of the last row so the
+ * next page starts strictly after it. IMEI rows are ordered by UPDATED_AT,
+ * INVNO and IMEI (the table has no row id), so only rows identical in all
+ * three can straddle a page boundary. Timestamps go into cursors as text at
+ * full (nanosecond) precision; the driver's Date values stop at milliseconds.
+ *
+ * @module snowflake-queries
+ */
+
+const crypto = require('crypto');
+
+const IMEI_TABLE = 'SCAL.OUTBOUND.AUTOMATED';
+const CUSTOMER_TABLE = 'SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS';
+const MAX_LIMIT = 10000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Text form of TIMESTAMP sort keys in cursors
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH24:MI:SS.FF9';
+
+// Keyset order: result column and direction; the last columns break ties.
+// `timestamp` keys are read from an extra CURSOR_<column> result column.
+const IMEI_ORDER = [
+  { column: 'UPDATED_AT', direction: 'DESC', timestamp: true },
+  { column: 'INVNO', direction: 'DESC' },
+  { column: 'IMEI', direction: 'DESC' }
+];
+const CUSTOMER_ORDER = [
+  { column: 'QBO_TRANSACTION_DATE', direction: 'DESC' },
+  { column: 'INVNO', direction: 'DESC' },
+  { column: 'COMPANY_NAME', direction: 'ASC' },
+  { column: 'MODEL', direction: 'ASC' },
+  { column: 'GB', direction: 'ASC' },
+  { column: 'INVTYPE', direction: 'ASC' }
+];
+
+/**
+ * Error class for invalid fetcher filters or page requests
+ */
+class SnowflakeQueryError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SnowflakeQueryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalize a filter value to a list of non-empty strings
+ * @private
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate a YYYY-MM-DD filter value
+ * @private
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const parsed = new Date(`${text}T00:00:00Z`);
+  if (!DATE_PATTERN.test(text) || Number.isNaN(parsed.getTime()) || parsed.toISOString().substring(0, 10) !== text) {
+    throw new SnowflakeQueryError(`${name} must be a date in YYYY-MM-DD format`, 'INVALID_DATE', { field: name, received: value });
+  }
+  return text;
+}
+
+/**
+ * Normalize a page request. A bare number is treated as the limit, matching
+ * the old fetchIMEIData(filters, limit) signature.
+ * @param {number|Object} [page]
+ * @returns {{limit: number|null, cursor: string|null}}
+ */
+function normalizePage(page) {
+  const options = typeof page === 'number' ? { limit: page } : (page || {});
+  let limit = null;
+
+  if (options.limit !== undefined && options.limit !== null) {
+    limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new SnowflakeQueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`, 'INVALID_LIMIT', { received: options.limit });
+    }
+  }
+
+  return { limit, cursor: options.cursor || null };
+}
+
+/**
+ * Build WHERE conditions shared by both tables
+ * @private
+ */
+function addListCondition(conditions, binds, expression, values) {
+  if (values.length === 0) return;
+  conditions.push(`${expression} IN (${values.map(() => '?').join(', ')})`);
+  binds.push(...values);
+}
+
+/**
+ * Fingerprint of the filters, embedded in cursors so a cursor cannot be
+ * replayed against a different result set
+ * @private
+ */
+function filtersHash(kind, filters) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([kind, filters]))
+    .digest('base64url')
+    .substring(0, 12);
+}
+
+/**
+ * Cursor-safe form of a sort key value
+ * DATE values arrive as Date objects holding UTC wall-clock time; timestamp
+ * keys are already text (see selectList).
+ * @private
+ */
+function keyValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString().substring(0, 23).replace('T', ' ');
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Select list for a keyset order: every column plus the full-precision text
+ * of its timestamp keys
+ * @private
+ */
+function selectList(order) {
+  const cursorColumns = order
+    .filter(({ timestamp }) => timestamp)
+    .map(({ column }) => `, TO_VARCHAR(${column}, '${TIMESTAMP_FORMAT}') AS CURSOR_${column}`);
+  return `*${cursorColumns.join('')}`;
+}
+
+/**
+ * Encode the sort key of the last row of a page
+ * @param {string} kind - 'imei' or 'customer'
+ * @param {Object} filters - Normalized filters the page was fetched with
+ * @param {Object} row - Last row of the page, with its CURSOR_ columns
+ * @returns {string}
+ */
+function encodeCursor(kind, filters, row) {
+  const order = kind === 'imei' ? IMEI_ORDER : CUSTOMER_ORDER;
+  const key = order.map(({ column, timestamp }) => keyValue(timestamp ? row[`CURSOR_${column}`] : row[column]));
+  return Buffer.from(JSON.stringify({ k: key, q: filtersHash(kind, filters) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @private
+ */
+function decodeCursor(kind, filters, cursor) {
+  const order = kind === 'imei' ? IMEI_ORDER : CUSTOMER_ORDER;
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new SnowflakeQueryError('cursor is malformed', 'INVALID_CURSOR');
+  }
+
+  if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== order.length) {
+    throw new SnowflakeQueryError('cursor is malformed', 'INVALID_CURSOR');
+  }
+  if (decoded.q !== filtersHash(kind, filters)) {
+    throw new SnowflakeQueryError(
+      'cursor does not match the current filters',
+      'CURSOR_QUERY_MISMATCH',
+      { suggestion: 'Restart pagination without a cursor after changing filters' }
+    );
+  }
+  return decoded.k;
+}
+
+/**
+ * Expand a keyset comparison without row-value syntax:
+ * (a < ?) OR (a = ? AND b < ?) OR ...
+ * NULLs sort last in both directions (NULLS LAST in the ORDER BY), so a NULL
+ * is "after" every value and only equal to another NULL.
+ * @private
+ */
+function keysetCondition(order, key, binds) {
+  const clauses = [];
+
+  const placeholder = ({ timestamp }) => (timestamp ? `TO_TIMESTAMP_NTZ(?, '${TIMESTAMP_FORMAT}')` : '?');
+
+  order.forEach(({ column, direction, timestamp }, index) => {
+    // Nothing sorts after NULL in this column (NULLS LAST)
+    if (key[index] === null) return;
+
+    const parts = [];
+    const clauseBinds = [];
+    order.slice(0, index).forEach((previous, i) => {
+      if (key[i] === null) {
+        parts.push(`${previous.column} IS NULL`);
+      } else {
+        parts.push(`${previous.column} = ${placeholder(previous)}`);
+        clauseBinds.push(key[i]);
+      }
+    });
+    parts.push(`(${column} ${direction === 'DESC' ? '<' : '>'} ${placeholder({ timestamp })} OR ${column} IS NULL)`);
+    clauseBinds.push(key[index]);
+
+    clauses.push(`(${parts.join(' AND ')})`);
+    binds.push(...clauseBinds);
+  });
+
+  return clauses.length > 0 ? `(${clauses.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * ORDER BY clause for a keyset order
+ * @private
+ */
+function orderBy(order) {
+  return order.map(({ column, direction }) => `${column} ${direction} NULLS LAST`).join(', ');
+}
+
+/**
+ * Normalize fetcher filters
+ * @param {Object} [filters]
+ * @returns {Object} Filters with list values and validated dates
+ */
+function normalizeFilters(filters = {}) {
+  const normalized = {
+    dateFrom: parseDate(filters.dateFrom, 'dateFrom'),
+    dateTo: parseDate(filters.dateTo, 'dateTo'),
+    invoice: toList(filters.invoice),
+    invtype: toList(filters.invtype).map(value => value.toUpperCase()),
+    // company_name is the old fetchCustomerData filter name
+    customer: toList(filters.customer ?? filters.company_name).map(value => value.toUpperCase()),
+    model: toList(filters.model),
+    color: toList(filters.color),
+    grade: toList(filters.grade),
+    lock_status: toList(filters.lock_status)
+  };
+
+  if (normalized.dateFrom && normalized.dateTo && normalized.dateFrom > normalized.dateTo) {
+    throw new SnowflakeQueryError('dateFrom must not be after dateTo', 'INVALID_DATE_RANGE', {
+      dateFrom: normalized.dateFrom,
+      dateTo: normalized.dateTo
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Add the date range conditions for a timestamp or date column
+ * @private
+ */
+function addDateConditions(conditions, binds, column, filters) {
+  if (filters.dateFrom) {
+    conditions.push(`${column} >= TO_DATE(?)`);
+    binds.push(filters.dateFrom);
+  }
+  if (filters.dateTo) {
+    conditions.push(`${column} < DATEADD(DAY, 1, TO_DATE(?))`);
+    binds.push(filters.dateTo);
+  }
+}
+
+/**
+ * Build the IMEI query
+ * @param {Object} [filters] - See module docs
+ * @param {number|Object} [page] - { limit, cursor } or a bare limit
+ * @returns {{sqlText: string, binds: Array, filters: Object, page: Object}}
+ */
+function buildImeiQuery(filters = {}, page = {}) {
+  const normalized = normalizeFilters(filters);
+  const pageRequest = normalizePage(page);
+  const conditions = [];
+  const binds = [];
+
+  addDateConditions(conditions, binds, 'UPDATED_AT', normalized);
+  addListCondition(conditions, binds, 'TO_VARCHAR(INVNO)', normalized.invoice);
+  addListCondition(conditions, binds, 'UPPER(INVTYPE)', normalized.invtype);
+  addListCondition(conditions, binds, 'MODEL', normalized.model);
+  addListCondition(conditions, binds, 'COLOR', normalized.color);
+  addListCondition(conditions, binds, 'GRADE', normalized.grade);
+  addListCondition(conditions, binds, 'LOCK_STATUS', normalized.lock_status);
+
+  if (normalized.customer.length > 0) {
+    conditions.push(
+      `TO_VARCHAR(INVNO) IN (SELECT DISTINCT TO_VARCHAR(INVNO) FROM ${CUSTOMER_TABLE} ` +
+      `WHERE UPPER(COMPANY_NAME) IN (${normalized.customer.map(() => '?').join(', ')}))`
+    );
+    binds.push(...normalized.customer);
+  }
+
+  if (pageRequest.cursor) {
+    conditions.push(keysetCondition(IMEI_ORDER, decodeCursor('imei', normalized, pageRequest.cursor), binds));
+  }
+
+  let sqlText = `SELECT ${selectList(IMEI_ORDER)} FROM ${IMEI_TABLE}`;
+  if (conditions.length > 0) {
+    sqlText += ' WHERE ' + conditions.join(' AND ');
+  }
+  sqlText += ` ORDER BY ${orderBy(IMEI_ORDER)}`;
+  // One extra row tells toPage() whether another page follows
+  if (pageRequest.limit) {
+    sqlText += ' LIMIT ?';
+    binds.push(pageRequest.limit + 1);
+  }
+
+  return { sqlText, binds, filters: normalized, page: pageRequest };
+}
+
+/**
+ * Build the customer query, aggregated by company, invoice, model, GB,
+ * invoice type and transaction date
+ * @param {Object} [filters] - See module docs
+ * @param {number|Object} [page] - { limit, cursor } or a bare limit
+ * @returns {{sqlText: string, binds: Array, filters: Object, page: Object}}
+ */
+function buildCustomerQuery(filters = {}, page = {}) {
+  const normalized = normalizeFilters(filters);
+  const pageRequest = normalizePage(page);
+  const conditions = [];
+  const binds = [];
+
+  addDateConditions(conditions, binds, 'QBO_TRANSACTION_DATE', normalized);
+  addListCondition(conditions, binds, 'TO_VARCHAR(INVNO)', normalized.invoice);
+  addListCondition(conditions, binds, 'UPPER(INVTYPE)', normalized.invtype);
+  addListCondition(conditions, binds, 'UPPER(COMPANY_NAME)', normalized.customer);
+  addListCondition(conditions, binds, 'MODEL', normalized.model);
+
+  let grouped = `
+      SELECT
+        COMPANY_NAME,
+        MODEL,
+        GB,
+        UPPER(INVTYPE) as INVTYPE,
+        COUNT(*) as UNITS,
+        INVNO,
+        QBO_TRANSACTION_DATE,
+        AVG(PRICE) as AVG_PRICE
+      FROM ${CUSTOMER_TABLE}`;
+  if (conditions.length > 0) {
+    grouped += `
+      WHERE ${conditions.join(' AND ')}`;
+  }
+  grouped += `
+      GROUP BY COMPANY_NAME, INVNO, MODEL, GB, QBO_TRANSACTION_DATE, UPPER(INVTYPE)`;
+
+  let sqlText = `
+    SELECT * FROM (${grouped}
+    )`;
+  // Keyset conditions apply to the grouped rows
+  if (pageRequest.cursor) {
+    const key = decodeCursor('customer', normalized, pageRequest.cursor);
+    sqlText += `
+    WHERE ${keysetCondition(CUSTOMER_ORDER, key, binds)}`;
+  }
+  sqlText += `
+    ORDER BY ${orderBy(CUSTOMER_ORDER)}`;
+  if (pageRequest.limit) {
+    sqlText += `
+    LIMIT ?`;
+    binds.push(pageRequest.limit + 1);
+  }
+
+  return { sqlText, binds, filters: normalized, page: pageRequest };
+}
+
+/**
+ * Trim the extra look-ahead row and compute the next cursor
+ * @param {string} kind - 'imei' or 'customer'
+ * @param {Array<Object>} rows - Rows returned by a query from buildImeiQuery/buildCustomerQuery
+ * @param {Object} query - The built query
+ * @returns {{rows: Array<Object>, hasMore: boolean, nextCursor: string|null}}
+ */
+function toPage(kind, rows, query) {
+  const { limit } = query.page;
+  if (!limit || rows.length <= limit) {
+    return { rows, hasMore: false, nextCursor: null };
+  }
+
+  const pageRows = rows.slice(0, limit);
+  return {
+    rows: pageRows,
+    hasMore: true,
+    nextCursor: encodeCursor(kind, query.filters, pageRows[pageRows.length - 1])
+  };
+}
+
+module.exports = {
+  IMEI_TABLE,
+  CUSTOMER_TABLE,
+  MAX_LIMIT,
+  SnowflakeQueryError,
+  normalizeFilters,
+  normalizePage,
+  buildImeiQuery,
+  buildCustomerQuery,
+  encodeCursor,
+  toPage
+};
@@ -0,0 +1,180 @@
+/**
+ * Test suite for the Snowflake fetcher query builders
+ */
+
+const {
+  SnowflakeQueryError,
+  normalizeFilters,
+  normalizePage,
+  buildImeiQuery,
+  buildCustomerQuery,
+  encodeCursor,
+  toPage
+} = require('./snowflake-queries');
+
+const placeholders = sqlText => (sqlText.match(/\?/g) || []).length;
+
+describe('normalizeFilters', () => {
+  test('should turn values into trimmed lists and upper-case case-insensitive fields', () => {
+    const filters = normalizeFilters({ invoice: [' 20997 ', 21005], invtype: 'wholesale', customer: 'Acme', model: '' });
+
+    expect(filters.invoice).toEqual(['20997', '21005']);
+    expect(filters.invtype).toEqual(['WHOLESALE']);
+    expect(filters.customer).toEqual(['ACME']);
+    expect(filters.model).toEqual([]);
+  });
+
+  test('should accept the old company_name filter', () => {
+    expect(normalizeFilters({ company_name: 'Globex' }).customer).toEqual(['GLOBEX']);
+  });
+
+  test('should reject invalid or inverted dates', () => {
+    expect(() => normalizeFilters({ dateFrom: '2025-02-30' })).toThrow(SnowflakeQueryError);
+    expect(() => normalizeFilters({ dateTo: '11/18/2025' })).toThrow('dateTo must be a date');
+    expect(() => normalizeFilters({ dateFrom: '2025-11-20', dateTo: '2025-11-18' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_DATE_RANGE' }));
+  });
+});
+
+describe('normalizePage', () => {
+  test('should treat a bare number as the limit', () => {
+    expect(normalizePage(50)).toEqual({ limit: 50, cursor: null });
+    expect(normalizePage()).toEqual({ limit: null, cursor: null });
+  });
+
+  test('should reject limits outside the allowed range', () => {
+    expect(() => normalizePage({ limit: 0 })).toThrow(expect.objectContaining({ code: 'INVALID_LIMIT' }));
+    expect(() => normalizePage({ limit: 10001 })).toThrow(SnowflakeQueryError);
+    expect(() => normalizePage({ limit: '5; DROP TABLE' })).toThrow(SnowflakeQueryError);
+  });
+});
+
+describe('buildImeiQuery', () => {
+  test('should select everything newest first without filters', () => {
+    const { sqlText, binds } = buildImeiQuery();
+
+    expect(sqlText).toBe(
+      "SELECT *, TO_VARCHAR(UPDATED_AT, 'YYYY-MM-DD HH24:MI:SS.FF9') AS CURSOR_UPDATED_AT FROM SCAL.OUTBOUND.AUTOMATED " +
+      'ORDER BY UPDATED_AT DESC NULLS LAST, INVNO DESC NULLS LAST, IMEI DESC NULLS LAST'
+    );
+    expect(binds).toEqual([]);
+  });
+
+  test('should bind every filter value and the limit', () => {
+    const { sqlText, binds } = buildImeiQuery(
+      { dateFrom: '2025-11-01', dateTo: '2025-11-30', invoice: ['20997', '21005'], invtype: 'wholesale', customer: "O'Brien", grade: 'A' },
+      { limit: 100 }
+    );
+
+    expect(sqlText).toContain('UPDATED_AT >= TO_DATE(?)');
+    expect(sqlText).toContain('UPDATED_AT < DATEADD(DAY, 1, TO_DATE(?))');
+    expect(sqlText).toContain('TO_VARCHAR(INVNO) IN (?, ?)');
+    expect(sqlText).toContain('UPPER(COMPANY_NAME) IN (?)');
+    expect(sqlText).toMatch(/LIMIT \?$/);
+    expect(sqlText).not.toContain("O'Brien");
+    expect(sqlText).not.toContain('100');
+    expect(binds).toEqual(['2025-11-01', '2025-11-30', '20997', '21005', 'WHOLESALE', 'A', "O'BRIEN", 101]);
+    expect(placeholders(sqlText)).toBe(binds.length);
+  });
+
+  test('should continue after the cursor row at full timestamp precision', () => {
+    const filters = { invtype: 'WHOLESALE' };
+    const first = buildImeiQuery(filters, { limit: 2 });
+    const at = new Date(Date.UTC(2025, 10, 18, 9, 30, 27));
+    const page = toPage('imei', [
+      { IMEI: '3', INVNO: 20997, UPDATED_AT: at, CURSOR_UPDATED_AT: '2025-11-18 09:30:27.000000900' },
+      { IMEI: '2', INVNO: 20997, UPDATED_AT: at, CURSOR_UPDATED_AT: '2025-11-18 09:30:27.000000100' },
+      { IMEI: '1', INVNO: 20990, UPDATED_AT: new Date(Date.UTC(2025, 10, 17)), CURSOR_UPDATED_AT: '2025-11-17 00:00:00.000000000' }
+    ], first);
+
+    const next = buildImeiQuery(filters, { limit: 2, cursor: page.nextCursor });
+
+    const timestamp = "TO_TIMESTAMP_NTZ(?, 'YYYY-MM-DD HH24:MI:SS.FF9')";
+    expect(next.sqlText).toContain(
+      `(((UPDATED_AT < ${timestamp} OR UPDATED_AT IS NULL)) OR ` +
+      `(UPDATED_AT = ${timestamp} AND (INVNO < ? OR INVNO IS NULL)) OR ` +
+      `(UPDATED_AT = ${timestamp} AND INVNO = ? AND (IMEI < ? OR IMEI IS NULL)))`
+    );
+    expect(next.binds).toEqual([
+      'WHOLESALE',
+      '2025-11-18 09:30:27.000000100',
+      '2025-11-18 09:30:27.000000100', 20997,
+      '2025-11-18 09:30:27.000000100', 20997, '2',
+      3
+    ]);
+    expect(placeholders(next.sqlText)).toBe(next.binds.length);
+  });
+
+  test('should reject cursors from different filters or that are malformed', () => {
+    const cursor = encodeCursor('imei', normalizeFilters({ invtype: 'WHOLESALE' }), { IMEI: '1', INVNO: 20997, CURSOR_UPDATED_AT: null });
+
+    expect(() => buildImeiQuery({ invtype: 'RETAIL' }, { cursor }))
+      .toThrow(expect.objectContaining({ code: 'CURSOR_QUERY_MISMATCH' }));
+    expect(() => buildImeiQuery({}, { cursor: 'not-a-cursor' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+
+  test('should treat NULL sort keys as last', () => {
+    const filters = normalizeFilters({});
+    const cursor = encodeCursor('imei', filters, { IMEI: '7', INVNO: 20997, CURSOR_UPDATED_AT: null });
+
+    const { sqlText, binds } = buildImeiQuery({}, { cursor });
+
+    expect(sqlText).toContain(
+      'WHERE ((UPDATED_AT IS NULL AND (INVNO < ? OR INVNO IS NULL)) OR (UPDATED_AT IS NULL AND INVNO = ? AND (IMEI < ? OR IMEI IS NULL)))'
+    );
+    expect(binds).toEqual([20997, 20997, '7']);
+  });
+});
+
+describe('buildCustomerQuery', () => {
+  test('should filter before grouping and bind the limit', () => {
+    const { sqlText, binds } = buildCustomerQuery(
+      { dateFrom: '2025-11-01', customer: 'acme', invtype: 'retail' },
+      { limit: 25 }
+    );
+
+    expect(sqlText).toContain('QBO_TRANSACTION_DATE >= TO_DATE(?)');
+    expect(sqlText).toContain('UPPER(COMPANY_NAME) IN (?)');
+    expect(sqlText.indexOf('WHERE')).toBeLessThan(sqlText.indexOf('GROUP BY'));
+    expect(sqlText).toContain('ORDER BY QBO_TRANSACTION_DATE DESC NULLS LAST, INVNO DESC NULLS LAST, COMPANY_NAME ASC NULLS LAST');
+    expect(binds).toEqual(['2025-11-01', 'RETAIL', 'ACME', 26]);
+    expect(placeholders(sqlText)).toBe(binds.length);
+  });
+
+  test('should apply the keyset condition to the grouped rows', () => {
+    const query = buildCustomerQuery({}, { limit: 1 });
+    const page = toPage('customer', [
+      { QBO_TRANSACTION_DATE: new Date(Date.UTC(2025, 10, 18)), INVNO: 20997, COMPANY_NAME: 'Acme', MODEL: 'iPhone 13', GB: 128, INVTYPE: 'WHOLESALE' },
+      { QBO_TRANSACTION_DATE: new Date(Date.UTC(2025, 10, 17)), INVNO: 20990, COMPANY_NAME: 'Acme', MODEL: 'iPhone 12', GB: 64, INVTYPE: 'WHOLESALE' }
+    ], query);
+
+    const next = buildCustomerQuery({}, { limit: 1, cursor: page.nextCursor });
+    const outerWhere = next.sqlText.lastIndexOf('WHERE');
+
+    expect(outerWhere).toBeGreaterThan(next.sqlText.indexOf('GROUP BY'));
+    expect(next.binds.slice(0, 2)).toEqual(['2025-11-18 00:00:00.000', '2025-11-18 00:00:00.000']);
+    expect(next.binds[next.binds.length - 1]).toBe(2);
+    expect(placeholders(next.sqlText)).toBe(next.binds.length);
+  });
+});
+
+describe('toPage', () => {
+  test('should trim the look-ahead row and return a cursor only when more remain', () => {
+    const query = buildImeiQuery({}, { limit: 2 });
+    const rows = [{ IMEI: '3' }, { IMEI: '2' }];
+
+    expect(toPage('imei', rows, query)).toEqual({ rows, hasMore: false, nextCursor: null });
+
+    const more = toPage('imei', [...rows, { IMEI: '1' }], query);
+    expect(more.rows).toEqual(rows);
+    expect(more.hasMore).toBe(true);
+    expect(typeof more.nextCursor).toBe('string');
+  });
+
+  test('should return every row when no limit was requested', () => {
+    const rows = [{ IMEI: '1' }, { IMEI: '2' }];
+
+    expect(toPage('imei', rows, buildImeiQuery())).toEqual({ rows, hasMore: false, nextCursor: null });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Spreadsheet exports
+ *
+ * Writes records as CSV or as a single-sheet XLSX workbook (built with
+ * exceljs).
+ *
+ * Text cells stay text: IMEIs and invoice numbers are written as strings so
+ * Excel does not turn them into floats (see imei-validation). In CSV, cells
+ * starting with `=`, `+`, `-` or `@` are prefixed with `'` so a customer name
+ * cannot run as a formula; XLSX string cells are typed as text, which Excel
+ * never evaluates, so they are written unchanged.
+ *
+ * @module spreadsheet-export
+ */
+
+const ExcelJS = require('exceljs');
+const { DashboardQueryError } = require('./dashboard-query');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Parse a `format` query parameter
+ * @param {string} [value] - json (default), csv or xlsx
+ * @returns {string}
+ * @throws {DashboardQueryError} INVALID_FORMAT
+ */
+function parseExportFormat(value) {
+  if (value === undefined || value === '') return 'json';
+  const format = String(value).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new DashboardQueryError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 'INVALID_FORMAT', {
+      received: value,
+      allowed: EXPORT_FORMATS
+    });
+  }
+  return format;
+}
+
+/**
+ * A CSV cell's text with formula triggers neutralized
+ * @private
+ */
+function safeText(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+  const text = typeof value === 'number' ? String(value) : safeText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write records as CSV
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {Array<Object>} records
+ * @returns {string} CRLF-separated, header row first
+ */
+function toCsv(columns, records) {
+  const lines = [columns.map(column => csvCell(column.header))];
+  records.forEach(record => {
+    lines.push(columns.map(column => csvCell(record[column.key])));
+  });
+  return `${lines.map(cells => cells.join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Write records as a one-sheet XLSX workbook with the header row frozen
+ * Numbers stay numbers; everything else is written as text.
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Sheet1'] - Up to 31 characters, no []:*?/\
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(columns, records, { sheetName = 'Sheet1' } = {}) {
+  const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.addRow(columns.map(column => column.header));
+  records.forEach(record => {
+    sheet.addRow(columns.map(column => {
+      const value = record[column.key];
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      return value === undefined || value === null ? '' : String(value);
+    }));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  parseExportFormat,
+  toCsv,
+  toXlsx
+};
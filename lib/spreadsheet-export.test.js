@@ -0,0 +1,69 @@
+/**
+ * Test suite for CSV and XLSX exports
+ */
+
+const ExcelJS = require('exceljs');
+const { parseExportFormat, toCsv, toXlsx } = require('./spreadsheet-export');
+
+const COLUMNS = [
+  { key: 'imei', header: 'IMEI' },
+  { key: 'customer', header: 'Customer' },
+  { key: 'price', header: 'Price' }
+];
+
+const RECORDS = [
+  { imei: '353238100433431', customer: 'Acme, Inc.', price: 175.25 },
+  { imei: '353238106841256', customer: '=HYPERLINK("x")', price: 100 }
+];
+
+describe('parseExportFormat', () => {
+  test('should default to json and reject unknown formats', () => {
+    expect(parseExportFormat(undefined)).toBe('json');
+    expect(parseExportFormat('XLSX')).toBe('xlsx');
+    expect(() => parseExportFormat('pdf')).toThrow(expect.objectContaining({ code: 'INVALID_FORMAT' }));
+  });
+});
+
+describe('toCsv', () => {
+  test('should quote cells and neutralize formulas', () => {
+    expect(toCsv(COLUMNS, RECORDS)).toBe(
+      'IMEI,Customer,Price\r\n' +
+      '353238100433431,"Acme, Inc.",175.25\r\n' +
+      '353238106841256,"\'=HYPERLINK(""x"")",100\r\n'
+    );
+  });
+});
+
+describe('toXlsx', () => {
+  test('should write a workbook with IMEIs as text and prices as numbers', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(COLUMNS, RECORDS, { sheetName: '2025-11-18' }));
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['2025-11-18']);
+    const sheet = workbook.getWorksheet('2025-11-18');
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['IMEI', 'Customer', 'Price']);
+    expect(sheet.getCell('A2').value).toBe('353238100433431');
+    expect(sheet.getCell('C2').value).toBe(175.25);
+    expect(sheet.getCell('B3').value).toBe('=HYPERLINK("x")');
+    expect(sheet.getCell('B3').formula).toBeUndefined();
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+  });
+
+  test('should write text cells unchanged, as text rather than formulas', async () => {
+    const texts = ['-', '-5 units', '+1 555 0100', '@acme', '=SUM(A1:A2)', 'Acme, Inc.'];
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx([{ key: 'note', header: 'Note' }], texts.map(note => ({ note }))));
+
+    const cells = workbook.worksheets[0].getColumn(1).values.slice(2);
+    expect(cells).toEqual(texts);
+    expect(workbook.worksheets[0].getCell('A6').type).toBe(ExcelJS.ValueType.String);
+  });
+
+  test('should replace characters Excel does not allow in sheet names', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(COLUMNS, [], { sheetName: 'a/b:c' }));
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['a b c']);
+    expect(workbook.worksheets[0].rowCount).toBe(1);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * In-process TTL cache for expensive upstream reads
+ *
+ * Used to share Google Sheets (and other API) responses between requests so
+ * that several people opening the dashboard don't each re-download the full
+ * sheet range.
+ *
+ * Features:
+ * - Per-key time-to-live with a configurable default
+ * - Forced refresh for a single read (e.g. `?refresh=true`)
+ * - Concurrent loads of the same key share one upstream request
+ * - Cache metadata (cached, cacheAge) for API responses
+ *
+ * @module ttl-cache
+ */
+
+/**
+ * Result of a cached read
+ * @typedef {Object} CacheResult
+ * @property {*} value - Cached or freshly loaded value
+ * @property {boolean} cached - Whether the value came from the cache
+ * @property {number} cacheAge - Age of the value in whole seconds
+ * @property {string} fetchedAt - ISO timestamp of when the value was loaded
+ * @property {string} expiresAt - ISO timestamp of when the value goes stale
+ */
+
+class TtlCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.ttlMs=300000] - Default time-to-live in milliseconds
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 5 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0, refreshes: 0 };
+  }
+
+  /**
+   * Return the cached value for a key, loading it when missing or stale
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Bypass the cached value
+   * @param {number} [options.ttlMs] - Override the default TTL for this key
+   * @returns {Promise<CacheResult>}
+   */
+  async getOrLoad(key, loader, options = {}) {
+    const entry = this.entries.get(key);
+
+    if (options.refresh) {
+      this.stats.refreshes++;
+    } else if (entry && entry.expiresAt > this.now()) {
+      this.stats.hits++;
+      return this.describe(entry, true);
+    }
+
+    // Share an in-flight load so concurrent misses hit the upstream once
+    if (this.pending.has(key)) {
+      const loaded = await this.pending.get(key);
+      return this.describe(loaded, false);
+    }
+
+    this.stats.misses++;
+    const ttlMs = options.ttlMs !== undefined ? options.ttlMs : this.ttlMs;
+    const load = (async () => {
+      const value = await loader();
+      const fetchedAt = this.now();
+      const loaded = { value, fetchedAt, expiresAt: fetchedAt + ttlMs };
+      this.entries.set(key, loaded);
+      return loaded;
+    })();
+
+    this.pending.set(key, load);
+    try {
+      return this.describe(await load, false);
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Drop one key, or every key when called without arguments
+   * @param {string} [key]
+   */
+  invalidate(key) {
+    if (key === undefined) {
+      this.entries.clear();
+    } else {
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Summary of cache contents for diagnostics
+   * @returns {Object}
+   */
+  snapshot() {
+    const now = this.now();
+    return {
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.stats,
+      entries: Array.from(this.entries.entries()).map(([key, entry]) => ({
+        key,
+        cacheAge: Math.floor((now - entry.fetchedAt) / 1000),
+        stale: entry.expiresAt <= now
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  describe(entry, cached) {
+    return {
+      value: entry.value,
+      cached,
+      cacheAge: Math.floor((this.now() - entry.fetchedAt) / 1000),
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+}
+
+/**
+ * Extract the cache metadata fields included in API responses
+ * @param {CacheResult} result
+ * @returns {{cached: boolean, cacheAge: number, fetchedAt: string}}
+ */
+function cacheMetadata(result) {
+  return {
+    cached: result.cached,
+    cacheAge: result.cacheAge,
+    fetchedAt: result.fetchedAt
+  };
+}
+
+module.exports = {
+  TtlCache,
+  cacheMetadata
+};
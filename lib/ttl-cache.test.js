@@ -0,0 +1,105 @@
+/**
+ * Test suite for the TTL cache used by Sheets reads
+ */
+
+const { TtlCache, cacheMetadata } = require('./ttl-cache');
+
+function createClock(start = 1700000000000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+describe('TtlCache', () => {
+  test('should load on first read and serve from cache afterwards', async () => {
+    const now = createClock();
+    const cache = new TtlCache({ ttlMs: 60000, now });
+    const loader = jest.fn().mockResolvedValue(['row']);
+
+    const first = await cache.getOrLoad('sheet!A3:J', loader);
+    now.advance(5000);
+    const second = await cache.getOrLoad('sheet!A3:J', loader);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBe(false);
+    expect(first.cacheAge).toBe(0);
+    expect(second.cached).toBe(true);
+    expect(second.cacheAge).toBe(5);
+    expect(second.value).toEqual(['row']);
+  });
+
+  test('should reload after the TTL expires', async () => {
+    const now = createClock();
+    const cache = new TtlCache({ ttlMs: 1000, now });
+    const loader = jest.fn()
+      .mockResolvedValueOnce('old')
+      .mockResolvedValueOnce('new');
+
+    await cache.getOrLoad('key', loader);
+    now.advance(1001);
+    const result = await cache.getOrLoad('key', loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(result.value).toBe('new');
+    expect(result.cached).toBe(false);
+  });
+
+  test('should bypass a fresh entry when refresh is requested', async () => {
+    const cache = new TtlCache({ ttlMs: 60000, now: createClock() });
+    const loader = jest.fn()
+      .mockResolvedValueOnce(1)
+      .mockResolvedValueOnce(2);
+
+    await cache.getOrLoad('key', loader);
+    const result = await cache.getOrLoad('key', loader, { refresh: true });
+
+    expect(result.value).toBe(2);
+    expect(cache.snapshot().refreshes).toBe(1);
+  });
+
+  test('should share one upstream load between concurrent misses', async () => {
+    const cache = new TtlCache({ ttlMs: 60000 });
+    let resolveLoad;
+    const loader = jest.fn(() => new Promise(resolve => { resolveLoad = resolve; }));
+
+    const first = cache.getOrLoad('key', loader);
+    const second = cache.getOrLoad('key', loader);
+    resolveLoad('value');
+
+    const results = await Promise.all([first, second]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(results.map(r => r.value)).toEqual(['value', 'value']);
+  });
+
+  test('should not cache failed loads', async () => {
+    const cache = new TtlCache({ ttlMs: 60000 });
+    const loader = jest.fn()
+      .mockRejectedValueOnce(new Error('quota exceeded'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(cache.getOrLoad('key', loader)).rejects.toThrow('quota exceeded');
+    const result = await cache.getOrLoad('key', loader);
+
+    expect(result.value).toBe('ok');
+  });
+
+  test('should keep keys independent and support invalidation', async () => {
+    const cache = new TtlCache({ ttlMs: 60000 });
+    await cache.getOrLoad('a', async () => 'A');
+    await cache.getOrLoad('b', async () => 'B');
+
+    cache.invalidate('a');
+    expect(cache.snapshot().entries.map(e => e.key)).toEqual(['b']);
+
+    cache.invalidate();
+    expect(cache.snapshot().entries).toEqual([]);
+  });
+
+  test('cacheMetadata should expose only response fields', async () => {
+    const cache = new TtlCache({ ttlMs: 60000 });
+    const result = await cache.getOrLoad('key', async () => 'value');
+
+    expect(Object.keys(cacheMetadata(result))).toEqual(['cached', 'cacheAge', 'fetchedAt']);
+  });
+});
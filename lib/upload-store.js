@@ -0,0 +1,165 @@
+/**
+ * Persistent store for uploaded inventory CSV batches
+ *
+ * Every accepted upload is written to its own JSON file under UPLOADS_DIR
+ * (default data/uploads) with the rows that were accepted and the ingestion
+ * report, so an upload survives restarts and can be audited later.
+ *
+ * @module upload-store
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { rowKey } = require('./csv-ingest');
+
+const DEFAULT_UPLOADS_DIR = path.join('data', 'uploads');
+const BATCH_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{6}$/;
+
+/**
+ * Batch summary without rows
+ * @typedef {Object} BatchSummary
+ * @property {string} id
+ * @property {string} filename
+ * @property {string} uploadedBy
+ * @property {string} uploadedAt - ISO timestamp
+ * @property {number} totalRows
+ * @property {number} accepted
+ * @property {number} rejectedCount
+ * @property {number} duplicateCount
+ */
+
+class UploadStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir=data/uploads] - Directory holding one JSON file per batch
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_UPLOADS_DIR;
+    this.now = options.now || Date.now;
+    this.keyIndex = null;
+  }
+
+  /**
+   * @private
+   */
+  fileFor(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * @private
+   */
+  readBatch(id) {
+    return JSON.parse(fs.readFileSync(this.fileFor(id), 'utf8'));
+  }
+
+  /**
+   * @returns {string[]} Batch ids, oldest first
+   */
+  ids() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .filter(id => BATCH_ID_PATTERN.test(id))
+      .sort();
+  }
+
+  /**
+   * Persist an ingested batch
+   * @param {Object} batch
+   * @param {string} batch.filename - Original file name
+   * @param {string} batch.uploadedBy - Username or token name
+   * @param {Object[]} batch.rows - Accepted rows (common IMEI row shape)
+   * @param {Object} batch.report - Report from ingestInventoryCsv
+   * @returns {BatchSummary}
+   */
+  save({ filename, uploadedBy, rows, report }) {
+    const uploadedAt = new Date(this.now());
+    const stamp = uploadedAt.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const id = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const summary = {
+      id,
+      filename,
+      uploadedBy,
+      uploadedAt: uploadedAt.toISOString(),
+      totalRows: report.totalRows,
+      accepted: report.accepted,
+      rejectedCount: report.rejectedCount,
+      duplicateCount: report.duplicateCount
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const temp = `${this.fileFor(id)}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ ...summary, report, rows }) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.fileFor(id));
+
+    if (this.keyIndex) {
+      rows.forEach(row => this.indexKey(rowKey(row), id));
+    }
+    return summary;
+  }
+
+  /**
+   * @returns {BatchSummary[]} Newest first
+   */
+  list() {
+    return this.ids().reverse().map(id => {
+      const { report, rows, ...summary } = this.readBatch(id);
+      return summary;
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Full batch (summary, report and rows), or null when unknown
+   */
+  get(id) {
+    if (!BATCH_ID_PATTERN.test(id) || !fs.existsSync(this.fileFor(id))) return null;
+    return this.readBatch(id);
+  }
+
+  /**
+   * @private
+   */
+  indexKey(key, id) {
+    const ids = this.keyIndex.get(key);
+    if (!ids) {
+      this.keyIndex.set(key, [id]);
+    } else if (!ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+
+  /**
+   * Every batch holding an IMEI + invoice key
+   * @param {string} key - From csv-ingest rowKey()
+   * @returns {string[]} Batch ids, oldest first
+   */
+  batchesFor(key) {
+    if (!this.keyIndex) {
+      this.keyIndex = new Map();
+      this.ids().forEach(id => {
+        this.readBatch(id).rows.forEach(row => this.indexKey(rowKey(row), id));
+      });
+    }
+    return [...(this.keyIndex.get(key) || [])];
+  }
+
+  /**
+   * Which batch already holds an IMEI + invoice key
+   * @param {string} key - From csv-ingest rowKey()
+   * @returns {string|null} Batch id of the first upload holding it
+   */
+  findKey(key) {
+    return this.batchesFor(key)[0] || null;
+  }
+}
+
+module.exports = {
+  DEFAULT_UPLOADS_DIR,
+  UploadStore
+};
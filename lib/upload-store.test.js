@@ -0,0 +1,70 @@
+/**
+ * Test suite for the uploaded CSV batch store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UploadStore } = require('./upload-store');
+
+const ROW = { imei: '353238100433431', invoice: '20959', model: '11 PRO', total: '175' };
+const REPORT = { totalRows: 2, accepted: 1, rejectedCount: 1, duplicateCount: 0, rejected: [{ line: 3, reasons: ['imei is required'] }], duplicates: [] };
+
+function tempDir() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-')), 'uploads');
+}
+
+describe('UploadStore', () => {
+  test('should persist batches and list them newest first', () => {
+    const dir = tempDir();
+    let now = Date.UTC(2025, 10, 18, 9, 30, 27);
+    const store = new UploadStore({ dir, now: () => now });
+
+    const first = store.save({ filename: '11_18_25 INV DUMP - OUTBOUND.csv', uploadedBy: 'dock', rows: [ROW], report: REPORT });
+    now += 60000;
+    const second = store.save({ filename: 'next.csv', uploadedBy: 'dock', rows: [{ ...ROW, invoice: '20960' }], report: REPORT });
+
+    expect(first).toEqual({
+      id: expect.stringMatching(/^20251118-093027-[0-9a-f]{6}$/),
+      filename: '11_18_25 INV DUMP - OUTBOUND.csv',
+      uploadedBy: 'dock',
+      uploadedAt: '2025-11-18T09:30:27.000Z',
+      totalRows: 2,
+      accepted: 1,
+      rejectedCount: 1,
+      duplicateCount: 0
+    });
+
+    const reopened = new UploadStore({ dir });
+    expect(reopened.list().map(batch => batch.id)).toEqual([second.id, first.id]);
+    expect(reopened.get(first.id)).toMatchObject({ ...first, rows: [ROW], report: REPORT });
+  });
+
+  test('should find which batch holds a key', () => {
+    const store = new UploadStore({ dir: tempDir() });
+    const batch = store.save({ filename: 'a.csv', uploadedBy: 'dock', rows: [ROW], report: REPORT });
+
+    expect(new UploadStore({ dir: store.dir }).findKey('353238100433431:20959')).toBe(batch.id);
+    expect(store.findKey('353238100433431:20959')).toBe(batch.id);
+    expect(store.findKey('353238100433431:1')).toBeNull();
+  });
+
+  test('should list every batch that holds a key', () => {
+    let now = Date.UTC(2025, 10, 18);
+    const store = new UploadStore({ dir: tempDir(), now: () => now });
+    const first = store.save({ filename: 'a.csv', uploadedBy: 'dock', rows: [ROW], report: REPORT });
+    now += 1000;
+    const second = store.save({ filename: 'b.csv', uploadedBy: 'dock', rows: [ROW], report: REPORT });
+
+    expect(new UploadStore({ dir: store.dir }).batchesFor('353238100433431:20959')).toEqual([first.id, second.id]);
+    expect(store.batchesFor('353238100433431:1')).toEqual([]);
+  });
+
+  test('should ignore unknown or malformed ids', () => {
+    const store = new UploadStore({ dir: tempDir() });
+
+    expect(store.list()).toEqual([]);
+    expect(store.get('20251118-093027-abcdef')).toBeNull();
+    expect(store.get('../../etc/passwd')).toBeNull();
+  });
+});
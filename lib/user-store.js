@@ -0,0 +1,353 @@
+/**
+ * Local user and API token store
+ *
+ * Users and tokens live in one JSON file (AUTH_USERS_FILE, default
+ * data/users.json) so the server needs no database. Passwords are hashed with
+ * scrypt and API tokens are stored only as SHA-256 hashes: the plain token is
+ * shown once, when it is created.
+ *
+ * File format:
+ *   { "users": [{ username, role, passwordHash, createdAt }],
+ *     "tokens": [{ id, name, role, tokenHash, createdAt, lastUsedAt }] }
+ *
+ * @module user-store
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_USERS_FILE = path.join('data', 'users.json');
+const TOKEN_PREFIX = 'obr_';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+class UserStoreError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'UserStoreError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {string} `scrypt$N$r$p$<salt>$<hash>` (salt and hash base64)
+ */
+function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword
+ * @returns {boolean}
+ */
+function verifyPasswordHash(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt' || typeof password !== 'string') return false;
+
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {string} token
+ * @returns {string} Hex SHA-256 of the token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * User record without its password hash, safe to return from the API
+ * @param {Object} user
+ * @returns {{username: string, role: string, createdAt: string}}
+ */
+function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+class UserStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file=data/users.json] - JSON file holding users and tokens
+   * @param {string[]} [options.roles] - Allowed role names (any role when omitted)
+   * @param {Function} [options.now] - Clock function, overridable for tests
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_USERS_FILE;
+    this.roles = options.roles || null;
+    this.now = options.now || Date.now;
+    this.data = null;
+  }
+
+  /**
+   * Read the file (once); a missing file is an empty store
+   * @returns {{users: Object[], tokens: Object[]}}
+   */
+  load() {
+    if (this.data) return this.data;
+
+    if (!fs.existsSync(this.file)) {
+      this.data = { users: [], tokens: [] };
+      return this.data;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.data = {
+        users: Array.isArray(parsed.users) ? parsed.users : [],
+        tokens: Array.isArray(parsed.tokens) ? parsed.tokens : []
+      };
+    } catch (error) {
+      throw new UserStoreError(`Could not read user store ${this.file}: ${error.message}`, 'STORE_UNREADABLE', { file: this.file });
+    }
+    return this.data;
+  }
+
+  /**
+   * Write the store atomically (temp file + rename), readable by the owner only
+   * @private
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.data, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * @private
+   */
+  checkRole(role) {
+    if (this.roles && !this.roles.includes(role)) {
+      throw new UserStoreError(`Unknown role "${role}"`, 'INVALID_ROLE', { allowed: this.roles });
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether at least one user exists
+   */
+  hasUsers() {
+    return this.load().users.length > 0;
+  }
+
+  /**
+   * @returns {Object[]} Users without password hashes
+   */
+  listUsers() {
+    return this.load().users.map(publicUser);
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Object|null} Stored user record
+   */
+  getUser(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return this.load().users.find(user => user.username === name) || null;
+  }
+
+  /**
+   * Create a user
+   * @param {Object} user
+   * @param {string} user.username - Lower-cased; letters, digits and . _ @ -
+   * @param {string} user.password - At least 10 characters
+   * @param {string} user.role
+   * @returns {Object} The public user record
+   */
+  addUser({ username, password, role }) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new UserStoreError('Username must be 2-64 letters, digits or . _ @ -', 'INVALID_USERNAME');
+    }
+    if (this.getUser(name)) {
+      throw new UserStoreError(`User "${name}" already exists`, 'USER_EXISTS');
+    }
+    this.checkRole(role);
+    this.checkPassword(password);
+
+    const user = {
+      username: name,
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date(this.now()).toISOString()
+    };
+    this.load().users.push(user);
+    this.save();
+    return publicUser(user);
+  }
+
+  /**
+   * @private
+   */
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new UserStoreError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'WEAK_PASSWORD');
+    }
+  }
+
+  /**
+   * Change a user's password
+   * @param {string} username
+   * @param {string} password
+   */
+  setPassword(username, password) {
+    const user = this.requireUser(username);
+    this.checkPassword(password);
+    user.passwordHash = hashPassword(password);
+    this.save();
+  }
+
+  /**
+   * Change a user's role
+   * @param {string} username
+   * @param {string} role
+   */
+  setRole(username, role) {
+    const user = this.requireUser(username);
+    this.checkRole(role);
+    user.role = role;
+    this.save();
+  }
+
+  /**
+   * Delete a user
+   * @param {string} username
+   */
+  removeUser(username) {
+    const user = this.requireUser(username);
+    const data = this.load();
+    data.users = data.users.filter(existing => existing !== user);
+    this.save();
+  }
+
+  /**
+   * @private
+   */
+  requireUser(username) {
+    const user = this.getUser(username);
+    if (!user) {
+      throw new UserStoreError(`No user "${username}"`, 'USER_NOT_FOUND');
+    }
+    return user;
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username
+   * @param {string} password
+   * @returns {Object|null} The public user record, or null when either is wrong
+   */
+  verifyPassword(username, password) {
+    const user = this.getUser(username);
+    if (!user) {
+      // Spend the same time as a real check so usernames can't be probed
+      verifyPasswordHash(password, DUMMY_HASH);
+      return null;
+    }
+    return verifyPasswordHash(password, user.passwordHash) ? publicUser(user) : null;
+  }
+
+  /**
+   * Issue an API token
+   * @param {Object} options
+   * @param {string} options.name - What the token is for (e.g. "power-bi")
+   * @param {string} options.role
+   * @returns {{token: string, record: Object}} `token` is only available here
+   */
+  createToken({ name, role }) {
+    if (!name || !String(name).trim()) {
+      throw new UserStoreError('Token name is required', 'INVALID_TOKEN_NAME');
+    }
+    this.checkRole(role);
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: String(name).trim(),
+      role,
+      tokenHash: hashToken(token),
+      createdAt: new Date(this.now()).toISOString(),
+      lastUsedAt: null
+    };
+    this.load().tokens.push(record);
+    this.save();
+
+    const { tokenHash, ...visible } = record;
+    return { token, record: visible };
+  }
+
+  /**
+   * @returns {Object[]} Tokens without their hashes
+   */
+  listTokens() {
+    return this.load().tokens.map(({ tokenHash, ...visible }) => visible);
+  }
+
+  /**
+   * Look up a presented API token
+   * @param {string} token
+   * @returns {Object|null} Token record (without hash), or null when unknown
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const record = this.load().tokens.find(candidate => {
+      const stored = Buffer.from(candidate.tokenHash, 'hex');
+      return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+    if (!record) return null;
+
+    // Persisting on every request would rewrite the file constantly; a day's
+    // resolution is enough to spot unused tokens
+    const now = new Date(this.now()).toISOString();
+    if (!record.lastUsedAt || record.lastUsedAt.slice(0, 10) !== now.slice(0, 10)) {
+      record.lastUsedAt = now;
+      this.save();
+    }
+
+    const { tokenHash, ...visible } = record;
+    return visible;
+  }
+
+  /**
+   * Revoke an API token
+   * @param {string} id - Token id from createToken/listTokens
+   */
+  revokeToken(id) {
+    const data = this.load();
+    const remaining = data.tokens.filter(token => token.id !== id);
+    if (remaining.length === data.tokens.length) {
+      throw new UserStoreError(`No token "${id}"`, 'TOKEN_NOT_FOUND');
+    }
+    data.tokens = remaining;
+    this.save();
+  }
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+module.exports = {
+  DEFAULT_USERS_FILE,
+  TOKEN_PREFIX,
+  UserStoreError,
+  UserStore,
+  hashPassword,
+  verifyPasswordHash,
+  hashToken
+};
@@ -0,0 +1,115 @@
+/**
+ * Test suite for the local user and API token store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore, UserStoreError, hashPassword, verifyPasswordHash } = require('./user-store');
+
+const ROLES = ['warehouse', 'viewer', 'sales', 'admin'];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+  return path.join(dir, 'nested', 'users.json');
+}
+
+describe('password hashing', () => {
+  test('should verify the right password only', () => {
+    const stored = hashPassword('correct horse battery');
+
+    expect(stored).toMatch(/^scrypt\$16384\$8\$1\$/);
+    expect(stored).not.toContain('correct horse');
+    expect(verifyPasswordHash('correct horse battery', stored)).toBe(true);
+    expect(verifyPasswordHash('correct horse batter', stored)).toBe(false);
+    expect(verifyPasswordHash('anything', 'not-a-hash')).toBe(false);
+  });
+
+  test('should salt each hash', () => {
+    expect(hashPassword('same password')).not.toBe(hashPassword('same password'));
+  });
+});
+
+describe('UserStore users', () => {
+  test('should persist users without plain passwords', () => {
+    const file = tempFile();
+    const store = new UserStore({ file, roles: ROLES });
+
+    const user = store.addUser({ username: ' Dock.Lead ', password: 'warehouse-pass-1', role: 'warehouse' });
+
+    expect(user).toEqual({ username: 'dock.lead', role: 'warehouse', createdAt: expect.any(String) });
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('warehouse-pass-1');
+
+    const reloaded = new UserStore({ file, roles: ROLES });
+    expect(reloaded.listUsers()).toEqual([user]);
+    expect(reloaded.verifyPassword('DOCK.LEAD', 'warehouse-pass-1')).toEqual(user);
+    expect(reloaded.verifyPassword('dock.lead', 'wrong-password')).toBeNull();
+    expect(reloaded.verifyPassword('nobody', 'warehouse-pass-1')).toBeNull();
+  });
+
+  test('should reject duplicates, weak passwords and unknown roles', () => {
+    const store = new UserStore({ file: tempFile(), roles: ROLES });
+    store.addUser({ username: 'alice', password: 'long-enough-1', role: 'viewer' });
+
+    expect(() => store.addUser({ username: 'alice', password: 'long-enough-2', role: 'viewer' }))
+      .toThrow(expect.objectContaining({ code: 'USER_EXISTS' }));
+    expect(() => store.addUser({ username: 'bob', password: 'short', role: 'viewer' }))
+      .toThrow(expect.objectContaining({ code: 'WEAK_PASSWORD' }));
+    expect(() => store.addUser({ username: 'bob', password: 'long-enough-1', role: 'owner' }))
+      .toThrow(UserStoreError);
+    expect(() => store.addUser({ username: 'bad name', password: 'long-enough-1', role: 'viewer' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_USERNAME' }));
+  });
+
+  test('should change passwords and roles and remove users', () => {
+    const store = new UserStore({ file: tempFile(), roles: ROLES });
+    store.addUser({ username: 'alice', password: 'first-password', role: 'viewer' });
+
+    store.setPassword('alice', 'second-password');
+    store.setRole('alice', 'sales');
+
+    expect(store.verifyPassword('alice', 'first-password')).toBeNull();
+    expect(store.verifyPassword('alice', 'second-password').role).toBe('sales');
+
+    store.removeUser('alice');
+    expect(store.hasUsers()).toBe(false);
+    expect(() => store.removeUser('alice')).toThrow(expect.objectContaining({ code: 'USER_NOT_FOUND' }));
+  });
+
+  test('should report an unreadable file', () => {
+    const file = tempFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{ not json');
+
+    expect(() => new UserStore({ file }).listUsers()).toThrow(expect.objectContaining({ code: 'STORE_UNREADABLE' }));
+  });
+});
+
+describe('UserStore tokens', () => {
+  test('should store only a hash and verify the issued token', () => {
+    const file = tempFile();
+    const store = new UserStore({ file, roles: ROLES, now: () => Date.UTC(2025, 10, 18) });
+
+    const { token, record } = store.createToken({ name: 'power-bi', role: 'viewer' });
+
+    expect(token).toMatch(/^obr_/);
+    expect(record).not.toHaveProperty('tokenHash');
+    expect(fs.readFileSync(file, 'utf8')).not.toContain(token);
+
+    const verified = new UserStore({ file, now: () => Date.UTC(2025, 10, 19) }).verifyToken(token);
+    expect(verified).toMatchObject({ id: record.id, name: 'power-bi', role: 'viewer', lastUsedAt: '2025-11-19T00:00:00.000Z' });
+    expect(store.verifyToken(token.slice(0, -1) + 'x')).toBeNull();
+    expect(store.verifyToken('not-a-token')).toBeNull();
+  });
+
+  test('should stop accepting revoked tokens', () => {
+    const store = new UserStore({ file: tempFile(), roles: ROLES });
+    const { token, record } = store.createToken({ name: 'script', role: 'warehouse' });
+
+    store.revokeToken(record.id);
+
+    expect(store.verifyToken(token)).toBeNull();
+    expect(store.listTokens()).toEqual([]);
+    expect(() => store.revokeToken(record.id)).toThrow(expect.objectContaining({ code: 'TOKEN_NOT_FOUND' }));
+  });
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Manage dashboard users and API tokens in AUTH_USERS_FILE (default data/users.json)
+ *
+ * Usage:
+ *   node manage-users.js list
+ *   node manage-users.js add <username> <role>      (prompts for the password)
+ *   node manage-users.js passwd <username>          (prompts for the new password)
+ *   node manage-users.js role <username> <role>
+ *   node manage-users.js remove <username>
+ *   node manage-users.js token <name> <role>        (prints the token once)
+ *   node manage-users.js revoke <token-id>
+ *
+ * Roles: warehouse, viewer, sales, admin (see lib/auth.js).
+ * The password can also be piped in: echo "$PASSWORD" | node manage-users.js add alice viewer
+ * Restart the server after changes - it reads the file at startup.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { UserStore, UserStoreError } = require('./lib/user-store');
+const { ROLES } = require('./lib/auth');
+
+const store = new UserStore({ file: process.env.AUTH_USERS_FILE, roles: ROLES });
+const [command, ...args] = process.argv.slice(2);
+
+function readPassword(prompt) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    if (process.stdin.isTTY) {
+      // Don't echo what is typed
+      rl._writeToOutput = text => {
+        if (text.includes(prompt)) rl.output.write(prompt);
+      };
+    }
+    rl.question(prompt, answer => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function requireArgs(count, usage) {
+  if (args.length < count) {
+    console.error(`❌ Usage: node manage-users.js ${usage}`);
+    process.exit(1);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'list': {
+      console.log(`👥 Users (${store.file}):`);
+      store.listUsers().forEach(user => console.log(`   ${user.username.padEnd(24)} ${user.role.padEnd(10)} created ${user.createdAt}`));
+      console.log('🔑 API tokens:');
+      store.listTokens().forEach(token => console.log(`   ${token.id}  ${token.name.padEnd(24)} ${token.role.padEnd(10)} last used ${token.lastUsedAt || 'never'}`));
+      break;
+    }
+    case 'add': {
+      requireArgs(2, 'add <username> <role>');
+      const password = await readPassword('Password: ');
+      const user = store.addUser({ username: args[0], password, role: args[1] });
+      console.log(`✓ Added ${user.username} (${user.role})`);
+      break;
+    }
+    case 'passwd': {
+      requireArgs(1, 'passwd <username>');
+      store.setPassword(args[0], await readPassword('New password: '));
+      console.log(`✓ Password changed for ${args[0]}`);
+      break;
+    }
+    case 'role': {
+      requireArgs(2, 'role <username> <role>');
+      store.setRole(args[0], args[1]);
+      console.log(`✓ ${args[0]} is now ${args[1]}`);
+      break;
+    }
+    case 'remove': {
+      requireArgs(1, 'remove <username>');
+      store.removeUser(args[0]);
+      console.log(`✓ Removed ${args[0]}`);
+      break;
+    }
+    case 'token': {
+      requireArgs(2, 'token <name> <role>');
+      const { token, record } = store.createToken({ name: args[0], role: args[1] });
+      console.log(`✓ Created token ${record.id} for ${record.name} (${record.role})`);
+      console.log('\n🔑 Copy it now - it is not stored and cannot be shown again:\n');
+      console.log(token);
+      console.log('\n   Send it as: Authorization: Bearer <token>\n');
+      break;
+    }
+    case 'revoke': {
+      requireArgs(1, 'revoke <token-id>');
+      store.revokeToken(args[0]);
+      console.log(`✓ Revoked token ${args[0]}`);
+      break;
+    }
+    default:
+      console.log('Usage: node manage-users.js list | add <username> <role> | passwd <username> | role <username> <role> | remove <username> | token <name> <role> | revoke <token-id>');
+      console.log(`Roles: ${ROLES.join(', ')}`);
+      process.exit(command ? 1 : 0);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error instanceof UserStoreError ? error.message : error.stack}`);
+  process.exit(1);
+});
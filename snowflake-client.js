@@ -1,5 +1,7 @@
 const snowflake = require('snowflake-sdk');
 const crypto = require('crypto');
+const { createSnowflakePool } = require('./lib/snowflake-pool');
+const { buildImeiQuery, buildCustomerQuery, toPage } = require('./lib/snowflake-queries');
 
 // Determine authentication method and build connection config
 function buildConnectionConfig() {
@@ -52,166 +54,59 @@ function buildConnectionConfig() {
 
 const connectionConfig = buildConnectionConfig();
 
-/**
- * Create and return a Snowflake connection
- * @returns {Promise<Object>} Snowflake connection object
- */
-function createConnection() {
-  return new Promise((resolve, reject) => {
-    const connection = snowflake.createConnection(connectionConfig);
-
-    connection.connect((err, conn) => {
-      if (err) {
-        console.error('Unable to connect to Snowflake:');
-        console.error('Error code:', err.code);
-        console.error('Error message:', err.message);
-        console.error('Full error:', JSON.stringify(err, null, 2));
-        reject(err);
-      } else {
-        console.log('Successfully connected to Snowflake');
-        resolve(conn);
-      }
-    });
-  });
-}
+// Shared pool so queries reuse logged-in sessions (see lib/snowflake-pool.js)
+const pool = createSnowflakePool({ sdk: snowflake, connectionConfig });
 
 /**
- * Execute a SQL query on Snowflake
+ * Execute a SQL query on Snowflake using a pooled connection
  * @param {string} sqlText - SQL query to execute
  * @param {Array} binds - Optional array of bind parameters
+ * @param {Object} options - Optional { timeoutSeconds } overriding SNOWFLAKE_QUERY_TIMEOUT_SECONDS
  * @returns {Promise<Array>} Query results
  */
-async function executeQuery(sqlText, binds = []) {
-  let connection;
-
+async function executeQuery(sqlText, binds = [], options = {}) {
   try {
-    connection = await createConnection();
-
-    return new Promise((resolve, reject) => {
-      connection.execute({
-        sqlText: sqlText,
-        binds: binds,
-        complete: (err, stmt, rows) => {
-          if (err) {
-            console.error('Failed to execute statement:');
-            console.error('Error code:', err.code);
-            console.error('Error message:', err.message);
-            console.error('SQL State:', err.sqlState);
-            console.error('Full error:', JSON.stringify(err, null, 2));
-            reject(err);
-          } else {
-            console.log(`Successfully executed query. Rows returned: ${rows ? rows.length : 0}`);
-            resolve(rows || []);
-          }
-        }
-      });
-    });
+    const rows = await pool.execute(sqlText, binds, options);
+    console.log(`Successfully executed query. Rows returned: ${rows.length}`);
+    return rows;
   } catch (error) {
-    console.error('Error executing query:', error.message);
+    console.error('Failed to execute statement:');
+    console.error('Error code:', error.code);
+    console.error('Error message:', error.message);
+    if (error.sqlState) console.error('SQL State:', error.sqlState);
     throw error;
-  } finally {
-    if (connection) {
-      connection.destroy((err) => {
-        if (err) {
-          console.error('Unable to disconnect:', err.message);
-        } else {
-          console.log('Disconnected from Snowflake');
-        }
-      });
-    }
   }
 }
 
 /**
- * Fetch IMEI data from SCAL.OUTBOUND.AUTOMATED table
- * @param {Object} filters - Optional filters (e.g., { model, color, grade })
- * @param {number} limit - Optional row limit
- * @returns {Promise<Array>} IMEI records
+ * Fetch IMEI data from SCAL.OUTBOUND.AUTOMATED table, newest first
+ * @param {Object} filters - Optional filters: dateFrom, dateTo, invoice, invtype, customer,
+ *   model, color, grade, lock_status (see lib/snowflake-queries.js)
+ * @param {Object|number} page - Optional { limit, cursor } (a bare number is the limit)
+ * @returns {Promise<{rows: Array, hasMore: boolean, nextCursor: string|null}>} IMEI records
  */
-async function fetchIMEIData(filters = {}, limit = null) {
-  let query = 'SELECT * FROM SCAL.OUTBOUND.AUTOMATED';
-  const conditions = [];
-  const binds = [];
-
-  // Add filters if provided
-  if (filters.model) {
-    conditions.push('MODEL = ?');
-    binds.push(filters.model);
-  }
-  if (filters.color) {
-    conditions.push('COLOR = ?');
-    binds.push(filters.color);
-  }
-  if (filters.grade) {
-    conditions.push('GRADE = ?');
-    binds.push(filters.grade);
-  }
-  if (filters.lock_status) {
-    conditions.push('LOCK_STATUS = ?');
-    binds.push(filters.lock_status);
-  }
-
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
-
-  // Add limit if specified
-  if (limit && limit > 0) {
-    query += ` LIMIT ${limit}`;
-  }
+async function fetchIMEIData(filters = {}, page = {}) {
+  const query = buildImeiQuery(filters, page);
 
-  console.log('Executing IMEI query:', query);
-  return await executeQuery(query, binds);
+  console.log('Executing IMEI query:', query.sqlText);
+  const rows = await executeQuery(query.sqlText, query.binds);
+  return toPage('imei', rows, query);
 }
 
 /**
- * Fetch customer data from SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS
+ * Fetch customer data from SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS, newest first
  * Aggregates data by company, invoice, model, GB, and transaction date
- * @param {Object} filters - Optional filters (e.g., { company_name, invtype })
- * @returns {Promise<Array>} Customer transaction records
+ * @param {Object} filters - Optional filters: dateFrom, dateTo, invoice, invtype, customer
+ *   (or company_name), model
+ * @param {Object|number} page - Optional { limit, cursor } (a bare number is the limit)
+ * @returns {Promise<{rows: Array, hasMore: boolean, nextCursor: string|null}>} Customer transaction records
  */
-async function fetchCustomerData(filters = {}) {
-  let query = `
-    SELECT
-      COMPANY_NAME,
-      MODEL,
-      GB,
-      UPPER(INVTYPE) as INVTYPE,
-      COUNT(*) as UNITS,
-      INVNO,
-      QBO_TRANSACTION_DATE,
-      AVG(PRICE) as AVG_PRICE
-    FROM SCAL_DAG.B2B_OUTBOUND.B2B_OUTBOUND_LOGS
-  `;
-
-  const conditions = [];
-  const binds = [];
-
-  // Add filters if provided
-  if (filters.company_name) {
-    conditions.push('COMPANY_NAME = ?');
-    binds.push(filters.company_name);
-  }
-  if (filters.invtype) {
-    conditions.push('UPPER(INVTYPE) = ?');
-    binds.push(filters.invtype.toUpperCase());
-  }
-  if (filters.model) {
-    conditions.push('MODEL = ?');
-    binds.push(filters.model);
-  }
-
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
-
-  query += `
-    GROUP BY COMPANY_NAME, INVNO, MODEL, GB, QBO_TRANSACTION_DATE, UPPER(INVTYPE)
-    ORDER BY QBO_TRANSACTION_DATE DESC
-  `;
+async function fetchCustomerData(filters = {}, page = {}) {
+  const query = buildCustomerQuery(filters, page);
 
   console.log('Executing customer data query');
-  return await executeQuery(query, binds);
+  const rows = await executeQuery(query.sqlText, query.binds);
+  return toPage('customer', rows, query);
 }
 
 /**
@@ -254,10 +149,12 @@ async function testConnection() {
 }
 
 module.exports = {
-  createConnection,
   executeQuery,
   fetchIMEIData,
   fetchCustomerData,
   fetchHistoricalData,
-  testConnection
+  testConnection,
+  checkHealth: pool.checkHealth,
+  poolStatus: pool.status,
+  shutdown: pool.shutdown
 };